@@ -8,6 +8,9 @@ module.exports = function(grunt) {
   // use a single build time for all commands
   const buildTime = String(Math.floor(Date.now() / 1000));
 
+  // local storage directory for the standalone server
+  const localDataDir = process.env.LOCAL_DATA_DIR || 'build/data';
+
   // Project configuration.
   grunt.initConfig({
     pkg: grunt.file.readJSON('package.json'),
@@ -242,6 +245,19 @@ module.exports = function(grunt) {
             'sam local start-api --skip-pull-image -s ../../dist/local ' +
             '-t src/server/template.yaml -n build/environment.json',
         },
+        localServer: {
+          cmd: 'node build/server/server.js',
+          options: {
+            env: Object.assign({}, process.env, {
+              FROM_EMAIL: config.fromEmail,
+              FIRST_ADMIN_EMAIL: config.firstAdminEmail,
+              SITE_URL: config.distributions.local.siteUrl,
+              GOOGLE_CLIENT_ID: config.googleClientId,
+              RESOURCE_BUCKET: config.resourceBucket,
+              LOCAL_DATA_DIR: localDataDir,
+            }),
+          },
+        },
         prepare: {
           cmd:
             `aws cloudformation deploy --template-file ` +
@@ -329,6 +345,7 @@ module.exports = function(grunt) {
     concurrent: {
       options: {logConcurrentOutput: true},
       local: ['chokidar:local', 'exec:localApi', 'open:local'],
+      localServer: ['chokidar:local', 'exec:localServer', 'open:local'],
     },
     'ftp-deploy': {
       build: {
@@ -379,6 +396,77 @@ module.exports = function(grunt) {
     }
   });
 
+  // physics regression task
+  grunt.registerTask(
+    'settle',
+    'Checks that bodies dropped onto a floor come to rest.',
+    function() {
+      const results = require('./build/tools/settle').default(900);
+      let passed = true;
+      for (const result of results) {
+        if (result.restFrame == null) {
+          grunt.log.error(`${result.description}: never came to rest`);
+          passed = false;
+        }
+      }
+      return passed;
+    },
+  );
+  grunt.registerTask(
+    'penetration',
+    'Checks the penetrations reported by the colliders.',
+    function() {
+      const {distance} = require('./build/server/store/math');
+      const results = require('./build/tools/penetration').default();
+      let passed = true;
+      for (const {description, expected, actual} of results) {
+        if (distance(expected, actual) > 0.00001) {
+          grunt.log.error(
+            `${description}: expected (${expected.x}, ${expected.y}), ` +
+              `got (${actual.x}, ${actual.y})`,
+          );
+          passed = false;
+        }
+      }
+      return passed;
+    },
+  );
+  grunt.registerTask('check-physics', 'Builds and checks the physics.', [
+    'babel',
+    'copy:json',
+    'penetration',
+    'settle',
+  ]);
+
+  // model regression task
+  grunt.registerTask(
+    'sbrrn',
+    'Checks the JavaScript versions of the SBRRN models.',
+    function() {
+      const results = require('./build/tools/sbrrn').default();
+      let passed = true;
+      for (const {description, error} of results) {
+        if (error) {
+          grunt.log.error(`${description}: ${error}`);
+          passed = false;
+        }
+      }
+      return passed;
+    },
+  );
+  grunt.registerTask('check-models', 'Builds and checks the models.', [
+    'babel',
+    'copy:json',
+    'sbrrn',
+  ]);
+  grunt.registerTask('check', 'Builds and runs all checks.', [
+    'babel',
+    'copy:json',
+    'penetration',
+    'settle',
+    'sbrrn',
+  ]);
+
   // distribution tasks
   for (const key in config.distributions) {
     const distributionConfig = config.distributions[key];
@@ -438,6 +526,21 @@ module.exports = function(grunt) {
     ],
   );
 
+  // runs the local distribution with the standalone server and local storage
+  grunt.registerTask(
+    'serve-local',
+    'Builds the local distribution and serves it without AWS.',
+    function() {
+      process.env.LOCAL_DATA_DIR = localDataDir;
+      grunt.task.run([
+        'build-local',
+        'exec:npm',
+        'migrate:local',
+        'concurrent:localServer',
+      ]);
+    },
+  );
+
   // Default task(s).
   grunt.registerTask('default', ['start-local']);
 };
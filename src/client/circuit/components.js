@@ -30,10 +30,22 @@ export const CircuitCategories: {[string]: CategoryData} = {
     ),
     parent: 'circuit',
   },
+  logic: {
+    label: <FormattedMessage id="logic.title" defaultMessage="Logic" />,
+    parent: 'circuit',
+  },
   control: {
     label: <FormattedMessage id="control.title" defaultMessage="Control" />,
     parent: 'circuit',
   },
+  time: {
+    label: <FormattedMessage id="time.title" defaultMessage="Time" />,
+    parent: 'circuit',
+  },
+  learning: {
+    label: <FormattedMessage id="learning.title" defaultMessage="Learning" />,
+    parent: 'circuit',
+  },
   display: {
     label: <FormattedMessage id="display.title" defaultMessage="Display" />,
     parent: 'circuit',
@@ -115,6 +127,13 @@ const MinProperty = {
   },
 };
 
+const SignedMinProperty = {
+  min: {
+    ...MinProperty.min,
+    defaultValue: -1.0,
+  },
+};
+
 const MaxProperty = {
   max: {
     type: 'number',
@@ -201,6 +220,136 @@ export const CircuitComponents: {[string]: ComponentData} = {
     category: 'arithmetic',
     removable: false,
   },
+  minimum: {
+    label: <FormattedMessage id="minimum.title" defaultMessage="Minimum" />,
+    properties: {
+      ...InputsProperty,
+    },
+    category: 'arithmetic',
+    removable: false,
+  },
+  maximum: {
+    label: <FormattedMessage id="maximum.title" defaultMessage="Maximum" />,
+    properties: {
+      ...InputsProperty,
+    },
+    category: 'arithmetic',
+    removable: false,
+  },
+  absolute: {
+    label: (
+      <FormattedMessage id="absolute.title" defaultMessage="Absolute Value" />
+    ),
+    properties: {},
+    category: 'arithmetic',
+    removable: false,
+  },
+  clamp: {
+    label: <FormattedMessage id="clamp.title" defaultMessage="Clamp" />,
+    properties: {
+      ...SignedMinProperty,
+      ...MaxProperty,
+    },
+    category: 'arithmetic',
+    removable: false,
+  },
+  comparator: {
+    label: (
+      <FormattedMessage id="comparator.title" defaultMessage="Comparator" />
+    ),
+    properties: {
+      threshold: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="comparator.threshold"
+            defaultMessage="Threshold:"
+          />
+        ),
+        step: 0.01,
+        precision: 2,
+      },
+      ...HysteresisProperty,
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  andGate: {
+    label: <FormattedMessage id="and_gate.title" defaultMessage="AND" />,
+    properties: {
+      ...InputsProperty,
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  orGate: {
+    label: <FormattedMessage id="or_gate.title" defaultMessage="OR" />,
+    properties: {
+      ...InputsProperty,
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  xorGate: {
+    label: <FormattedMessage id="xor_gate.title" defaultMessage="XOR" />,
+    properties: {
+      ...InputsProperty,
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  notGate: {
+    label: <FormattedMessage id="not_gate.title" defaultMessage="NOT" />,
+    properties: {
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  srLatch: {
+    label: <FormattedMessage id="sr_latch.title" defaultMessage="SR Latch" />,
+    properties: {
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  toggleFlipFlop: {
+    label: (
+      <FormattedMessage
+        id="toggle_flip_flop.title"
+        defaultMessage="Toggle Flip-Flop"
+      />
+    ),
+    properties: {
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
+  multiplexer: {
+    label: (
+      <FormattedMessage id="multiplexer.title" defaultMessage="Multiplexer" />
+    ),
+    properties: {
+      ...InputsProperty,
+      ...SignedMinProperty,
+      ...MaxProperty,
+    },
+    category: 'logic',
+    removable: false,
+  },
   pushButton: {
     label: (
       <FormattedMessage id="push_button.title" defaultMessage="Push-Button" />
@@ -247,13 +396,7 @@ export const CircuitComponents: {[string]: ComponentData} = {
   joystick: {
     label: <FormattedMessage id="joystick.title" defaultMessage="Joystick" />,
     properties: {
-      min: {
-        type: 'number',
-        label: MinLabel,
-        step: 0.01,
-        precision: 2,
-        defaultValue: -1.0,
-      },
+      ...SignedMinProperty,
       ...MaxProperty,
       autocenter: {
         type: 'boolean',
@@ -269,6 +412,145 @@ export const CircuitComponents: {[string]: ComponentData} = {
     category: 'control',
     removable: false,
   },
+  delay: {
+    label: <FormattedMessage id="delay.title" defaultMessage="Delay" />,
+    properties: {},
+    category: 'time',
+    removable: false,
+  },
+  integrator: {
+    label: (
+      <FormattedMessage id="integrator.title" defaultMessage="Integrator" />
+    ),
+    properties: {
+      ...SignedMinProperty,
+      ...MaxProperty,
+    },
+    category: 'time',
+    removable: false,
+  },
+  differentiator: {
+    label: (
+      <FormattedMessage
+        id="differentiator.title"
+        defaultMessage="Differentiator"
+      />
+    ),
+    properties: {},
+    category: 'time',
+    removable: false,
+  },
+  oscillator: {
+    label: (
+      <FormattedMessage id="oscillator.title" defaultMessage="Oscillator" />
+    ),
+    properties: {
+      waveform: {
+        type: 'select',
+        label: (
+          <FormattedMessage
+            id="oscillator.waveform"
+            defaultMessage="Waveform:"
+          />
+        ),
+        options: [
+          {
+            label: (
+              <FormattedMessage id="waveform.sine" defaultMessage="Sine" />
+            ),
+            value: 'sine',
+          },
+          {
+            label: (
+              <FormattedMessage id="waveform.square" defaultMessage="Square" />
+            ),
+            value: 'square',
+          },
+        ],
+        defaultValue: 'sine',
+      },
+      frequency: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="oscillator.frequency"
+            defaultMessage="Frequency:"
+          />
+        ),
+        min: 0.0,
+        step: 0.01,
+        wheelStep: 0.1,
+        precision: 2,
+        defaultValue: 1.0,
+      },
+      phase: {
+        type: 'angle',
+        label: (
+          <FormattedMessage id="oscillator.phase" defaultMessage="Phase:" />
+        ),
+        min: 0.0,
+        max: 2 * Math.PI,
+      },
+      ...SignedMinProperty,
+      ...MaxProperty,
+    },
+    category: 'time',
+    removable: false,
+  },
+  noise: {
+    label: <FormattedMessage id="noise.title" defaultMessage="Noise" />,
+    properties: {
+      ...MinProperty,
+      ...MaxProperty,
+    },
+    category: 'time',
+    removable: false,
+  },
+  sbrrn: {
+    label: <FormattedMessage id="sbrrn.title" defaultMessage="SBRRN" />,
+    properties: {
+      model: {
+        type: 'select',
+        label: <FormattedMessage id="sbrrn.model" defaultMessage="Model:" />,
+        options: [
+          {
+            label: (
+              <FormattedMessage id="sbrrn.model.sbrrn" defaultMessage="SBRRN" />
+            ),
+            value: 'sbrrn',
+          },
+          {
+            label: (
+              <FormattedMessage
+                id="sbrrn.model.sbrrn2"
+                defaultMessage="SBRRN 2"
+              />
+            ),
+            value: 'sbrrn2',
+          },
+        ],
+        defaultValue: 'sbrrn',
+      },
+      width: {
+        type: 'number',
+        label: WidthLabel,
+        min: 1,
+        defaultValue: 16,
+      },
+      height: {
+        type: 'number',
+        label: HeightLabel,
+        min: 1,
+        defaultValue: 16,
+      },
+      ...InputsProperty,
+      ...OutputsProperty,
+      ...OffProperty,
+      ...OnProperty,
+    },
+    category: 'learning',
+    removable: false,
+  },
   lamp: {
     label: <FormattedMessage id="lamp.title" defaultMessage="Lamp" />,
     properties: {
@@ -352,4 +634,24 @@ export const CircuitComponents: {[string]: ComponentData} = {
     properties: {},
     removable: false,
   },
+  customModule: {
+    label: (
+      <FormattedMessage
+        id="custom_module.title"
+        defaultMessage="Custom Module"
+      />
+    ),
+    properties: {},
+    removable: false,
+  },
+  moduleDefinition: {
+    label: (
+      <FormattedMessage
+        id="module_definition.title"
+        defaultMessage="Module Definition"
+      />
+    ),
+    properties: {},
+    removable: false,
+  },
 };
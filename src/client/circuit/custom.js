@@ -0,0 +1,281 @@
+/**
+ * Collapsing sub-circuits into custom modules and expanding them back.
+ *
+ * @module client/circuit/custom
+ * @flow
+ */
+
+import * as React from 'react';
+import {FormattedMessage} from 'react-intl';
+import {ComponentModules, getModuleDefinition, getModuleKey} from './modules';
+import {createUuid, updateRefs} from '../store';
+import {EntityName} from '../entity';
+import {renderText} from '../util/ui';
+import type {Scene} from '../../server/store/scene';
+import {mergeEdits, applyEdit} from '../../server/store/scene';
+import type {Transform} from '../../server/store/math';
+import {
+  vec2,
+  plusEquals,
+  timesEquals,
+  getTransformTranslation,
+  times,
+  composeTransforms,
+  simplifyTransform,
+} from '../../server/store/math';
+
+/**
+ * Checks whether a set of entities can be collapsed into a custom module.
+ *
+ * @param scene the scene containing the entities.
+ * @param selection the ids of the selected entities.
+ * @return whether or not the selection includes any collapsible modules.
+ */
+export function canCollapseToModule(
+  scene: Scene,
+  selection: Set<string>,
+): boolean {
+  return getCollapsibleIds(scene, selection).size > 0;
+}
+
+/**
+ * Creates the edit that replaces a group of modules with an instance of a new
+ * custom module type.  The modules' terminals that aren't connected to each
+ * other become the inputs and outputs of the new type, and any connections
+ * to modules outside the group are transferred to the instance.
+ *
+ * @param scene the scene containing the modules.
+ * @param selection the ids of the selected entities.
+ * @param page the id of the page containing the selection.
+ * @param locale the locale in which to name the terminals.
+ * @return a tuple containing the edit map and the id of the new instance.
+ */
+export function createCollapseEdit(
+  scene: Scene,
+  selection: Set<string>,
+  page: string,
+  locale: string,
+): [Object, string] {
+  const ids = getCollapsibleIds(scene, selection);
+  const pageNode = scene.getEntityHierarchyNode(page);
+  const definitionId = createUuid();
+  const instanceId = createUuid();
+
+  // center the instance on the modules it replaces
+  const centroid = vec2();
+  const worldTransforms: Map<string, Transform> = new Map();
+  for (const id of ids) {
+    const worldTransform = scene.getWorldTransform(id);
+    worldTransforms.set(id, worldTransform);
+    plusEquals(centroid, getTransformTranslation(worldTransform));
+  }
+  timesEquals(centroid, 1.0 / ids.size);
+  const transform = {translation: centroid};
+  const inverseTransform = {translation: times(centroid, -1.0)};
+
+  const map = {};
+  const addEdit = (id: string, edit: Object) => {
+    const oldEdit = map[id];
+    map[id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+  };
+  const inputs = {};
+  const outputs = {};
+  const instance = {definition: definitionId, order: 1};
+  const entities = {};
+  let inputCount = 0;
+  let outputCount = 0;
+  for (const id of ids) {
+    const entity = scene.getEntity(id);
+    const key = entity && getModuleKey(entity.state);
+    if (!(entity && key)) {
+      continue;
+    }
+    const module = ComponentModules[key];
+    const data = entity.state[key];
+    const innerData = Object.assign({}, data);
+    const getName = (label: React.Element<any>) =>
+      renderText(
+        <FormattedMessage
+          id="custom_module.terminal"
+          defaultMessage="{entity} {label}"
+          values={{entity: <EntityName entity={entity} />, label}}
+        />,
+        locale,
+      );
+    const moduleInputs = module.getInputs(scene.idTree, data);
+    for (const name in moduleInputs) {
+      const input = data[name];
+      if (input && ids.has(input.ref)) {
+        continue;
+      }
+      const inputName = 'input' + ++inputCount;
+      inputs[inputName] = {
+        name: getName(moduleInputs[name].label),
+        ref: id,
+        input: name,
+      };
+      delete innerData[name];
+      const source = input && scene.getEntity(input.ref);
+      const sourceKey = source && getModuleKey(source.state);
+      if (source && sourceKey) {
+        instance[inputName] = {ref: source.id, output: input.output};
+        addEdit(source.id, {
+          [sourceKey]: {[input.output]: {ref: instanceId, input: inputName}},
+        });
+      }
+    }
+    const moduleOutputs = module.getOutputs(scene.idTree, data);
+    for (const name in moduleOutputs) {
+      const output = data[name];
+      if (output && ids.has(output.ref)) {
+        continue;
+      }
+      const outputName = 'output' + ++outputCount;
+      outputs[outputName] = {
+        name: getName(moduleOutputs[name].label),
+        ref: id,
+        output: name,
+      };
+      delete innerData[name];
+      const target = output && scene.getEntity(output.ref);
+      const targetKey = target && getModuleKey(target.state);
+      if (target && targetKey) {
+        instance[outputName] = {ref: target.id, input: output.input};
+        addEdit(target.id, {
+          [targetKey]: {[output.input]: {ref: instanceId, output: outputName}},
+        });
+      }
+    }
+    // store the state relative to the instance, without the parent
+    const state = Object.assign({}, entity.state, {
+      [key]: innerData,
+      transform: simplifyTransform(
+        composeTransforms(inverseTransform, worldTransforms.get(id)),
+        true,
+      ),
+    });
+    delete state.parent;
+    entities[id] = state;
+    map[id] = null;
+  }
+  const baseName = renderText(
+    <FormattedMessage id="custom_module.name" defaultMessage="Module" />,
+    locale,
+  );
+  const definitionName = pageNode ? pageNode.getUniqueName(baseName) : baseName;
+  const order = pageNode ? pageNode.highestChildOrder : 0;
+  map[definitionId] = {
+    parent: {ref: page},
+    name: definitionName,
+    order: order + 1,
+    moduleDefinition: {inputs, outputs, entities},
+  };
+  map[instanceId] = {
+    parent: {ref: page},
+    name: definitionName,
+    order: order + 2,
+    transform,
+    customModule: instance,
+    moduleRenderer: {order: 2},
+  };
+  return [map, instanceId];
+}
+
+/**
+ * Creates the edit that replaces a custom module instance with the modules
+ * of its definition, preserving its connections and inner state.
+ *
+ * @param scene the scene containing the instance.
+ * @param id the id of the instance entity.
+ * @return a tuple containing the edit map and the ids of the new modules, or
+ * null if the entity isn't an instance of a valid definition.
+ */
+export function createExpandEdit(
+  scene: Scene,
+  id: string,
+): ?[Object, string[]] {
+  const entity = scene.getEntity(id);
+  const data = entity && entity.state.customModule;
+  const definition = data && getModuleDefinition(scene.idTree, data);
+  if (!(entity && data && definition)) {
+    return null;
+  }
+  const parentRef = entity.state.parent ? entity.state.parent.ref : '';
+  const parentNode = scene.getEntityHierarchyNode(parentRef);
+  const ids: Map<string, string> = new Map();
+  for (const innerId in definition.entities) {
+    ids.set(innerId, createUuid());
+  }
+  const map = {[id]: null};
+  const addEdit = (id: string, edit: Object) => {
+    const oldEdit = map[id];
+    map[id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+  };
+  const states = data.states || {};
+  let order = parentNode ? parentNode.highestChildOrder : 0;
+  for (const [innerId, newId] of ids) {
+    const state = updateRefs(definition.entities[innerId], ids, parentRef);
+    const key = getModuleKey(state);
+    addEdit(newId, {
+      ...state,
+      ...(key && states[innerId]
+        ? {[key]: applyEdit(state[key], states[innerId])}
+        : {}),
+      parent: {ref: parentRef},
+      order: ++order,
+      transform: simplifyTransform(
+        composeTransforms(entity.state.transform, state.transform),
+        true,
+      ),
+    });
+  }
+  // transfer our connections to the inner modules
+  for (const name in definition.inputs) {
+    const input = definition.inputs[name];
+    const newId = ids.get(input.ref);
+    const source = data[name] && scene.getEntity(data[name].ref);
+    const sourceKey = source && getModuleKey(source.state);
+    if (!(newId && source && sourceKey)) {
+      continue;
+    }
+    const output = data[name].output;
+    const innerKey = getModuleKey(definition.entities[input.ref]);
+    innerKey &&
+      addEdit(newId, {
+        [innerKey]: {[input.input]: {ref: source.id, output}},
+      });
+    addEdit(source.id, {
+      [sourceKey]: {[output]: {ref: newId, input: input.input}},
+    });
+  }
+  for (const name in definition.outputs) {
+    const output = definition.outputs[name];
+    const newId = ids.get(output.ref);
+    const target = data[name] && scene.getEntity(data[name].ref);
+    const targetKey = target && getModuleKey(target.state);
+    if (!(newId && target && targetKey)) {
+      continue;
+    }
+    const input = data[name].input;
+    const innerKey = getModuleKey(definition.entities[output.ref]);
+    innerKey &&
+      addEdit(newId, {
+        [innerKey]: {[output.output]: {ref: target.id, input}},
+      });
+    addEdit(target.id, {
+      [targetKey]: {[input]: {ref: newId, output: output.output}},
+    });
+  }
+  return [map, Array.from(ids.values())];
+}
+
+function getCollapsibleIds(scene: Scene, selection: Set<string>): Set<string> {
+  const ids: Set<string> = new Set();
+  for (const id of selection) {
+    const entity = scene.getEntity(id);
+    if (entity && !scene.isInitialEntity(id) && getModuleKey(entity.state)) {
+      ids.add(id);
+    }
+  }
+  return ids;
+}
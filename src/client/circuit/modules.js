@@ -22,13 +22,16 @@ import {
   renderLineHelper,
   renderRectangleHelper,
 } from '../renderer/helpers';
-import {ComponentPhysics} from '../physics/physics';
+import {ComponentPhysics, random} from '../physics/physics';
 import {ComponentSensors} from '../sensor/sensors';
 import {ComponentEffectors} from '../effector/effectors';
+import type {BaseSbrrn, SbrrnType} from '../models/sbrrn';
+import {createSbrrn} from '../models/sbrrn';
 import {ShapeList} from '../../server/store/shape';
 import type {Entity} from '../../server/store/resource';
-import type {IdTreeNode} from '../../server/store/scene';
-import {SceneActions, mergeEdits} from '../../server/store/scene';
+import {RefCounted, TransferableValue} from '../../server/store/resource';
+import type {IdTreeNode, Scene} from '../../server/store/scene';
+import {SceneActions, applyEdit, mergeEdits} from '../../server/store/scene';
 import type {Transform, Vector2} from '../../server/store/math';
 import {
   TWO_PI,
@@ -63,6 +66,16 @@ type ModuleData = {
   getOutputs: (IdTreeNode, Object) => {[string]: OutputData},
   getOutputTransform: Object => Transform,
   getOutputValue: (Object, string) => number,
+  isActive: Object => boolean,
+  evaluate: (
+    Object,
+    {[string]: number},
+    number,
+    Scene,
+    Entity,
+    Object,
+    string[],
+  ) => ?Object,
   getWidth: Object => number,
   getHeight: (Object, number, number) => number,
   drawBody: (Object, number, number, ShapeList) => void,
@@ -141,6 +154,138 @@ const DivideIcon = new ShapeList()
   .penDown(false, IconAttributes)
   .advance(0.75);
 
+const MinimumIcon = new ShapeList()
+  .move(0.0, 0.375)
+  .penDown(false, IconAttributes)
+  .move(0.0, -0.375)
+  .penUp()
+  .move(-0.25, -0.125)
+  .penDown()
+  .move(0.0, -0.375)
+  .move(0.25, -0.125);
+
+const MaximumIcon = new ShapeList()
+  .move(0.0, -0.375)
+  .penDown(false, IconAttributes)
+  .move(0.0, 0.375)
+  .penUp()
+  .move(-0.25, 0.125)
+  .penDown()
+  .move(0.0, 0.375)
+  .move(0.25, 0.125);
+
+const AbsoluteIcon = new ShapeList()
+  .move(-0.2, -0.375)
+  .penDown(false, IconAttributes)
+  .move(-0.2, 0.375)
+  .penUp()
+  .move(0.2, -0.375)
+  .penDown()
+  .move(0.2, 0.375);
+
+const ClampIcon = new ShapeList()
+  .move(-0.25, 0.375)
+  .penDown(false, IconAttributes)
+  .move(0.25, 0.375)
+  .penUp()
+  .move(-0.25, -0.375)
+  .penDown()
+  .move(0.25, -0.375)
+  .penUp()
+  .move(0.0, -0.375)
+  .penDown()
+  .move(0.0, 0.375);
+
+const ComparatorIcon = new ShapeList()
+  .move(-0.375, -0.25)
+  .penDown(false, IconAttributes)
+  .move(0.125, -0.25)
+  .move(0.125, 0.25)
+  .penUp()
+  .move(0.375, 0.25)
+  .penDown()
+  .move(-0.125, 0.25)
+  .move(-0.125, -0.25);
+
+const AndIcon = new ShapeList()
+  .move(-0.3, -0.3)
+  .penDown(false, IconAttributes)
+  .move(0.0, 0.3)
+  .move(0.3, -0.3);
+
+const OrIcon = new ShapeList()
+  .move(-0.3, 0.3)
+  .penDown(false, IconAttributes)
+  .move(0.0, -0.3)
+  .move(0.3, 0.3);
+
+const XorIcon = new ShapeList()
+  .move(0.0, -0.375, 0)
+  .penDown(false, IconAttributes)
+  .turn(360, 0.375)
+  .penUp()
+  .move(-0.375, 0.0)
+  .penDown()
+  .move(0.375, 0.0)
+  .penUp()
+  .move(0.0, -0.375)
+  .penDown()
+  .move(0.0, 0.375);
+
+const NotIcon = new ShapeList()
+  .move(-0.375, 0.125)
+  .penDown(false, IconAttributes)
+  .move(0.375, 0.125)
+  .move(0.375, -0.125);
+
+const LatchIcon = new ShapeList()
+  .move(-0.375, -0.25)
+  .penDown(false, IconAttributes)
+  .move(-0.125, -0.25)
+  .move(-0.125, 0.25)
+  .move(0.375, 0.25);
+
+const FlipFlopIcon = new ShapeList()
+  .move(-0.3, 0.3)
+  .penDown(false, IconAttributes)
+  .move(0.3, 0.3)
+  .penUp()
+  .move(0.0, 0.3)
+  .penDown()
+  .move(0.0, -0.375);
+
+const MultiplexerIcon = new ShapeList()
+  .move(-0.25, -0.375)
+  .penDown(false, IconAttributes)
+  .move(0.25, -0.2)
+  .move(0.25, 0.2)
+  .move(-0.25, 0.375)
+  .move(-0.25, -0.375);
+
+const SbrrnIcon = new ShapeList()
+  .move(-0.375, -0.375)
+  .penDown(false, IconAttributes)
+  .move(0.375, -0.375)
+  .move(0.375, 0.375)
+  .move(-0.375, 0.375)
+  .move(-0.375, -0.375)
+  .penUp()
+  .move(-0.125, -0.375)
+  .penDown()
+  .move(-0.125, 0.375)
+  .penUp()
+  .move(0.125, -0.375)
+  .penDown()
+  .move(0.125, 0.375)
+  .penUp()
+  .move(-0.375, -0.125)
+  .penDown()
+  .move(0.375, -0.125)
+  .penUp()
+  .move(-0.375, 0.125)
+  .penDown()
+  .move(0.375, 0.125);
+
 const ButtonDialIcon = new ShapeList().penDown(false, {
   thickness: 1.2,
   pathColor: White,
@@ -220,6 +365,77 @@ const JoystickIcon = new ShapeList()
   .pivot(90)
   .advance(JOYSTICK_SIZE);
 
+const DelayIcon = new ShapeList()
+  .move(0.0, -0.375, 0)
+  .penDown(false, IconAttributes)
+  .turn(360, 0.375)
+  .penUp()
+  .move(0.0, 0.25, -90)
+  .penDown()
+  .advance(0.25)
+  .pivot(90)
+  .advance(0.2);
+
+const IntegratorIcon = new ShapeList()
+  .move(-0.25, -0.25, -90)
+  .penDown(false, IconAttributes)
+  .turn(180, 0.125)
+  .advance(0.5)
+  .turn(-180, 0.125);
+
+const DifferentiatorIcon = new ShapeList()
+  .move(-0.375, -0.325)
+  .penDown(false, IconAttributes)
+  .advance(0.75)
+  .pivot(120)
+  .advance(0.75)
+  .pivot(120)
+  .advance(0.75);
+
+const SineWaveIcon = new ShapeList()
+  .move(-0.375, 0.0, 60)
+  .penDown(false, IconAttributes)
+  .curve(0.25, -Math.PI / 3, 0.125, -Math.PI / 3, 0.25)
+  .curve(0.25, Math.PI / 3, 0.125, Math.PI / 3, 0.25);
+
+const SquareWaveIcon = new ShapeList()
+  .move(-0.375, 0.0, 90)
+  .penDown(false, IconAttributes)
+  .advance(0.25)
+  .pivot(-90)
+  .advance(0.375)
+  .pivot(-90)
+  .advance(0.5)
+  .pivot(90)
+  .advance(0.375)
+  .pivot(90)
+  .advance(0.25);
+
+const NoiseIcon = new ShapeList()
+  .move(-0.375, 0.0)
+  .penDown(false, IconAttributes)
+  .move(-0.25, 0.3)
+  .move(-0.125, -0.2)
+  .move(0.0, 0.35)
+  .move(0.125, -0.3)
+  .move(0.25, 0.15)
+  .move(0.375, -0.1);
+
+const CustomModuleIcon = new ShapeList()
+  .move(-0.375, -0.375)
+  .penDown(false, IconAttributes)
+  .advance(0.75)
+  .pivot(90)
+  .advance(0.75)
+  .pivot(90)
+  .advance(0.75)
+  .pivot(90)
+  .advance(0.75)
+  .penUp()
+  .move(-0.375, 0.0)
+  .penDown()
+  .advance(0.75);
+
 const NoIcon = new ShapeList();
 
 const DEFAULT_MODULE_WIDTH = 3.0;
@@ -236,7 +452,9 @@ const BaseModule = {
     return Math.max(inputCount, outputCount) * MODULE_HEIGHT_PER_TERMINAL;
   },
   getOutputTransform: data => null,
-  getOutputValue: (data, name) => 0.0,
+  getOutputValue: (data, name) => (data.values && data.values[name]) || 0.0,
+  isActive: hasConnectedInput,
+  evaluate: (data, inputs, duration) => null,
   drawBody: (data, width, height, shapeList) => {
     shapeList
       .move(width * -0.5, height * -0.5, 0)
@@ -259,6 +477,43 @@ const BaseModule = {
   onRelease: (entity, position) => {},
 };
 
+function hasConnectedInput(data: Object): boolean {
+  for (const key in data) {
+    const value = data[key];
+    if (value && value.ref && value.output) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function hasConnectedInputOrState(data: Object): boolean {
+  // stay active until our state has settled to zero
+  return (
+    hasConnectedInput(data) ||
+    !!data.previous ||
+    !!(data.values && data.values.output)
+  );
+}
+
+function isHigh(value: ?number): boolean {
+  return !!value && value > 0.0;
+}
+
+function getLogicOutputValue(data: Object, name: string): number {
+  return data.value ? getValue(data.on, 1.0) : getValue(data.off, 0.0);
+}
+
+function countHighInputs(inputs: {[string]: number}): [number, number] {
+  let count = 0;
+  let highCount = 0;
+  for (const key in inputs) {
+    count++;
+    isHigh(inputs[key]) && highCount++;
+  }
+  return [count, highCount];
+}
+
 function defaultOnMove(entity: Entity, position: Vector2): HoverState {
   const oldHoverState = store.getState().hoverStates.get(entity.id);
   if (oldHoverState && oldHoverState.part === 0 && !oldHoverState.dragging) {
@@ -277,11 +532,21 @@ export const ComponentModules: {[string]: ModuleData} = {
     getIcon: data => ForkIcon,
     getInputs: (idTree, data) => SingleInput,
     getOutputs: createMultipleOutputs,
+    evaluate: (data, inputs, duration) => {
+      const values = {};
+      const value = inputs.input || 0.0;
+      const outputCount = data.outputs || OutputsProperty.outputs.defaultValue;
+      for (let ii = 1; ii <= outputCount; ii++) {
+        values['output' + ii] = value;
+      }
+      return {values};
+    },
   }),
   bundle: extend(BaseModule, {
     getWidth: data => MODULE_HEIGHT_PER_TERMINAL,
     getInputs: createElementInputs,
     getOutputs: createElementOutputs,
+    evaluate: evaluateElements,
   }),
   bend: extend(BaseModule, {
     getWidth: data => {
@@ -291,6 +556,7 @@ export const ComponentModules: {[string]: ModuleData} = {
     },
     getInputs: createElementInputs,
     getOutputs: createElementOutputs,
+    evaluate: evaluateElements,
     getOutputTransform: data => ({rotation: data.left ? HALF_PI : -HALF_PI}),
     drawBody: (data, width, height, shapeList) => {
       if (data.left) {
@@ -323,6 +589,13 @@ export const ComponentModules: {[string]: ModuleData} = {
         label: <FormattedMessage id="add.sum" defaultMessage="Sum" />,
       },
     }),
+    evaluate: (data, inputs, duration) => {
+      let sum = 0.0;
+      for (const key in inputs) {
+        sum += inputs[key];
+      }
+      return {values: {sum}};
+    },
   }),
   subtract: extend(BaseModule, {
     getIcon: data => SubtractIcon,
@@ -359,6 +632,16 @@ export const ComponentModules: {[string]: ModuleData} = {
         ),
       },
     }),
+    evaluate: (data, inputs, duration) => {
+      const subtrahend = inputs.subtrahend || 0.0;
+      return {
+        values: {
+          difference: data.unary
+            ? -subtrahend
+            : (inputs.minuend || 0.0) - subtrahend,
+        },
+      };
+    },
   }),
   multiply: extend(BaseModule, {
     getIcon: data => MultiplyIcon,
@@ -377,6 +660,16 @@ export const ComponentModules: {[string]: ModuleData} = {
         ),
       },
     }),
+    evaluate: (data, inputs, duration) => {
+      // only connected factors contribute; with none, the product is zero
+      let product = 0.0;
+      let first = true;
+      for (const key in inputs) {
+        product = first ? inputs[key] : product * inputs[key];
+        first = false;
+      }
+      return {values: {product}};
+    },
   }),
   divide: extend(BaseModule, {
     getIcon: data => DivideIcon,
@@ -407,6 +700,176 @@ export const ComponentModules: {[string]: ModuleData} = {
         ),
       },
     }),
+    evaluate: (data, inputs, duration) => {
+      // treat division by zero as yielding zero rather than infinity
+      const divisor = inputs.divisor || 0.0;
+      const dividend = data.unary ? 1.0 : inputs.dividend || 0.0;
+      return {values: {quotient: divisor === 0.0 ? 0.0 : dividend / divisor}};
+    },
+  }),
+  minimum: extend(BaseModule, {
+    getIcon: data => MinimumIcon,
+    getInputs: createNumberedInputs,
+    getOutputs: (idTree, data) => SingleOutput,
+    evaluate: (data, inputs, duration) => {
+      // as with multiply, only connected inputs count
+      let output = Infinity;
+      for (const key in inputs) {
+        output = Math.min(output, inputs[key]);
+      }
+      return {values: {output: output === Infinity ? 0.0 : output}};
+    },
+  }),
+  maximum: extend(BaseModule, {
+    getIcon: data => MaximumIcon,
+    getInputs: createNumberedInputs,
+    getOutputs: (idTree, data) => SingleOutput,
+    evaluate: (data, inputs, duration) => {
+      let output = -Infinity;
+      for (const key in inputs) {
+        output = Math.max(output, inputs[key]);
+      }
+      return {values: {output: output === -Infinity ? 0.0 : output}};
+    },
+  }),
+  absolute: extend(BaseModule, {
+    getIcon: data => AbsoluteIcon,
+    getInputs: (idTree, data) => SingleInput,
+    getOutputs: (idTree, data) => SingleOutput,
+    evaluate: (data, inputs, duration) => ({
+      values: {output: Math.abs(inputs.input || 0.0)},
+    }),
+  }),
+  clamp: extend(BaseModule, {
+    getIcon: data => ClampIcon,
+    getInputs: (idTree, data) => SingleInput,
+    getOutputs: (idTree, data) => SingleOutput,
+    evaluate: (data, inputs, duration) => ({
+      values: {
+        output: clamp(
+          inputs.input || 0.0,
+          getValue(data.min, -1.0),
+          getValue(data.max, 1.0),
+        ),
+      },
+    }),
+  }),
+  comparator: extend(BaseModule, {
+    getIcon: data => ComparatorIcon,
+    getInputs: (idTree, data) => SingleInput,
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => {
+      // within the hysteresis band around the threshold, keep the old state
+      const threshold = data.threshold || 0.0;
+      const halfHysteresis = getValue(data.hysteresis, 0.5) * 0.5;
+      const input = inputs.input || 0.0;
+      return {
+        value: data.value
+          ? input >= threshold - halfHysteresis
+          : input > threshold + halfHysteresis,
+      };
+    },
+  }),
+  andGate: extend(BaseModule, {
+    getIcon: data => AndIcon,
+    getInputs: createNumberedInputs,
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => {
+      const [count, highCount] = countHighInputs(inputs);
+      return {value: count > 0 && highCount === count};
+    },
+  }),
+  orGate: extend(BaseModule, {
+    getIcon: data => OrIcon,
+    getInputs: createNumberedInputs,
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => {
+      return {value: countHighInputs(inputs)[1] > 0};
+    },
+  }),
+  xorGate: extend(BaseModule, {
+    getIcon: data => XorIcon,
+    getInputs: createNumberedInputs,
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => {
+      return {value: countHighInputs(inputs)[1] % 2 === 1};
+    },
+  }),
+  notGate: extend(BaseModule, {
+    getIcon: data => NotIcon,
+    getInputs: (idTree, data) => SingleInput,
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => ({value: !isHigh(inputs.input)}),
+  }),
+  srLatch: extend(BaseModule, {
+    getIcon: data => LatchIcon,
+    getInputs: (idTree, data) => ({
+      set: {
+        label: <FormattedMessage id="sr_latch.set" defaultMessage="Set" />,
+      },
+      reset: {
+        label: <FormattedMessage id="sr_latch.reset" defaultMessage="Reset" />,
+      },
+    }),
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => {
+      // reset takes precedence over set
+      if (isHigh(inputs.reset)) {
+        return {value: false};
+      }
+      return {value: isHigh(inputs.set) || !!data.value};
+    },
+  }),
+  toggleFlipFlop: extend(BaseModule, {
+    getIcon: data => FlipFlopIcon,
+    getInputs: (idTree, data) => ({
+      toggle: {
+        label: (
+          <FormattedMessage
+            id="toggle_flip_flop.toggle"
+            defaultMessage="Toggle"
+          />
+        ),
+      },
+    }),
+    getOutputs: (idTree, data) => SingleOutput,
+    getOutputValue: getLogicOutputValue,
+    evaluate: (data, inputs, duration) => {
+      // flip on each rising edge of the toggle input
+      const high = isHigh(inputs.toggle);
+      return {
+        value: high && !data.previous ? !data.value : !!data.value,
+        previous: high,
+      };
+    },
+  }),
+  multiplexer: extend(BaseModule, {
+    getIcon: data => MultiplexerIcon,
+    getInputs: (idTree, data) => ({
+      select: {
+        label: (
+          <FormattedMessage id="multiplexer.select" defaultMessage="Select" />
+        ),
+      },
+      ...createNumberedInputs(idTree, data),
+    }),
+    getOutputs: (idTree, data) => SingleOutput,
+    evaluate: (data, inputs, duration) => {
+      // the select range is divided evenly among the inputs
+      const inputCount = data.inputs || InputsProperty.inputs.defaultValue;
+      const min = getValue(data.min, -1.0);
+      const max = getValue(data.max, 1.0);
+      const fraction =
+        max > min ? ((inputs.select || 0.0) - min) / (max - min) : 0.0;
+      const index = clamp(Math.floor(fraction * inputCount), 0, inputCount - 1);
+      return {values: {output: inputs['input' + (index + 1)] || 0.0}};
+    },
   }),
   pushButton: extend(BaseModule, {
     getIcon: (idTree, data) => ButtonDialIcon,
@@ -819,9 +1282,147 @@ export const ComponentModules: {[string]: ModuleData} = {
       }
     },
   }),
+  delay: extend(BaseModule, {
+    getIcon: data => DelayIcon,
+    getInputs: (idTree, data) => SingleInput,
+    getOutputs: (idTree, data) => SingleOutput,
+    isActive: hasConnectedInputOrState,
+    // output the input as of the previous frame
+    evaluate: (data, inputs, duration) => ({
+      values: {output: data.previous || 0.0},
+      previous: inputs.input || 0.0,
+    }),
+  }),
+  integrator: extend(BaseModule, {
+    getIcon: data => IntegratorIcon,
+    getInputs: (idTree, data) => ({
+      ...SingleInput,
+      reset: {
+        label: (
+          <FormattedMessage id="integrator.reset" defaultMessage="Reset" />
+        ),
+      },
+    }),
+    getOutputs: (idTree, data) => SingleOutput,
+    evaluate: (data, inputs, duration) => {
+      const value = inputs.reset
+        ? 0.0
+        : ((data.values && data.values.output) || 0.0) +
+          (inputs.input || 0.0) * duration;
+      return {
+        values: {
+          output: clamp(
+            value,
+            getValue(data.min, -1.0),
+            getValue(data.max, 1.0),
+          ),
+        },
+      };
+    },
+  }),
+  differentiator: extend(BaseModule, {
+    getIcon: data => DifferentiatorIcon,
+    getInputs: (idTree, data) => SingleInput,
+    getOutputs: (idTree, data) => SingleOutput,
+    isActive: hasConnectedInputOrState,
+    evaluate: (data, inputs, duration) => {
+      const input = inputs.input || 0.0;
+      const previous = data.previous === undefined ? input : data.previous;
+      return {
+        values: {output: duration > 0.0 ? (input - previous) / duration : 0.0},
+        previous: input,
+      };
+    },
+  }),
+  oscillator: extend(BaseModule, {
+    getIcon: data =>
+      data.waveform === 'square' ? SquareWaveIcon : SineWaveIcon,
+    getOutputs: (idTree, data) => SingleOutput,
+    isActive: data => true,
+    evaluate: (data, inputs, duration) => {
+      const frequency = getValue(
+        data.frequency,
+        CircuitComponents.oscillator.properties.frequency.defaultValue,
+      );
+      // the cycle is the fraction of the period elapsed, in [0, 1)
+      const cycle = data.cycle || 0.0;
+      const sine = Math.sin(cycle * TWO_PI + (data.phase || 0.0));
+      const wave =
+        data.waveform === 'square' ? (sine < 0.0 ? -1.0 : 1.0) : sine;
+      return {
+        values: {
+          output: mix(
+            getValue(data.min, -1.0),
+            getValue(data.max, 1.0),
+            0.5 + 0.5 * wave,
+          ),
+        },
+        cycle: (cycle + frequency * duration) % 1.0,
+      };
+    },
+  }),
+  noise: extend(BaseModule, {
+    getIcon: data => NoiseIcon,
+    getOutputs: (idTree, data) => SingleOutput,
+    isActive: data => true,
+    // use the simulation's generator so that results depend only on its seed
+    evaluate: (data, inputs, duration) => ({
+      values: {
+        output: mix(getValue(data.min, 0.0), getValue(data.max, 1.0), random()),
+      },
+    }),
+  }),
+  sbrrn: extend(BaseModule, {
+    getIcon: data => SbrrnIcon,
+    getInputs: (idTree, data) => ({
+      ...createNumberedInputs(idTree, data),
+      reward: {
+        label: <FormattedMessage id="sbrrn.reward" defaultMessage="Reward" />,
+      },
+    }),
+    getOutputs: createMultipleOutputs,
+    isActive: data => true,
+    evaluate: (data, inputs, duration, scene, entity, map, path) => {
+      const steps = data.steps || 0;
+      const model = getSbrrnModel(entity, path, data, steps);
+      const width = model.options.width;
+      const height = model.options.height;
+      const cellCount = width * height;
+
+      // inputs are written to the cells from the bottom row up
+      const inputCount = Math.min(
+        data.inputs || InputsProperty.inputs.defaultValue,
+        cellCount,
+      );
+      for (let ii = 0; ii < inputCount; ii++) {
+        model.setState(
+          ii % width,
+          Math.floor(ii / width),
+          isHigh(inputs['input' + (ii + 1)]),
+        );
+      }
+      model.step(inputs.reward || 0.0);
+
+      // outputs are read from the top row down
+      const states = new Uint8Array(cellCount * 4);
+      model.getStates(0, 0, width, height, states);
+      const values = {};
+      const outputCount = data.outputs || OutputsProperty.outputs.defaultValue;
+      for (let ii = 0; ii < outputCount; ii++) {
+        const x = ii % width;
+        const y = height - 1 - Math.floor(ii / width);
+        values['output' + (ii + 1)] =
+          ii < cellCount && states[(y * width + x) * 4]
+            ? getValue(data.on, 1.0)
+            : getValue(data.off, 0.0);
+      }
+      return {values, steps: steps + 1};
+    },
+  }),
   lamp: extend(BaseModule, {
     getHeight: data => DEFAULT_MODULE_WIDTH,
     getInputs: (idTree, data) => SingleInput,
+    evaluate: (data, inputs, duration) => ({value: inputs.input || 0.0}),
     createRenderFn: (idTree, entity, baseFn) => {
       const transform = entity.getLastCachedValue('worldTransform');
       const value = entity.state.lamp.value || 0.0;
@@ -905,6 +1506,27 @@ export const ComponentModules: {[string]: ModuleData} = {
       }
       return outputs;
     },
+    isActive: data => !!data.sensors,
+    evaluate: (data, inputs, duration, scene) => {
+      const values = {};
+      for (const id in data.sensors) {
+        const entity = scene.getEntity(id);
+        if (!entity) {
+          continue;
+        }
+        for (const key in entity.state) {
+          const sensor = ComponentSensors[key];
+          if (sensor) {
+            const sensorValues = sensor.sense(scene, entity);
+            for (const name in sensorValues) {
+              values[id + '$' + name] = sensorValues[name];
+            }
+            break;
+          }
+        }
+      }
+      return {values};
+    },
     getWidth: data => MODULE_HEIGHT_PER_TERMINAL,
     getHeight: (data, inputCount, outputCount) => {
       return Math.max(inputCount, outputCount, 1) * MODULE_HEIGHT_PER_TERMINAL;
@@ -941,11 +1563,51 @@ export const ComponentModules: {[string]: ModuleData} = {
       }
       return inputs;
     },
+    // externally supplied actions (as from the gym) replace wired inputs
+    isActive: data => hasConnectedInput(data) || !!data.actions,
+    evaluate: (data, inputs, duration, scene, entity, map) => {
+      // group the input values by effector
+      const effectorInputs: Map<string, {[string]: number}> = new Map();
+      const busInputs = data.actions ? {...inputs, ...data.actions} : inputs;
+      for (const key in busInputs) {
+        const index = key.indexOf('$');
+        const id = key.substring(0, index);
+        let values = effectorInputs.get(id);
+        if (!values) {
+          effectorInputs.set(id, (values = {}));
+        }
+        values[key.substring(index + 1)] = busInputs[key];
+      }
+      for (const [id, values] of effectorInputs) {
+        const entity = scene.getEntity(id);
+        if (!entity) {
+          continue;
+        }
+        for (const key in entity.state) {
+          const effector = ComponentEffectors[key];
+          if (effector) {
+            effector.actuate(scene, entity, values, map);
+            break;
+          }
+        }
+      }
+      return null;
+    },
     getWidth: data => MODULE_HEIGHT_PER_TERMINAL,
     getHeight: (data, inputCount, outputCount) => {
       return Math.max(inputCount, outputCount, 1) * MODULE_HEIGHT_PER_TERMINAL;
     },
   }),
+  customModule: extend(BaseModule, {
+    getIcon: data => CustomModuleIcon,
+    getInputs: (idTree, data) => createCustomTerminals(idTree, data, 'inputs'),
+    getOutputs: (idTree, data) =>
+      createCustomTerminals(idTree, data, 'outputs'),
+    evaluate: evaluateCustomModule,
+    getHeight: (data, inputCount, outputCount) => {
+      return Math.max(inputCount, outputCount, 1) * MODULE_HEIGHT_PER_TERMINAL;
+    },
+  }),
 };
 
 function TerminalName(props: {entity: Entity, label: React.Element<any>}) {
@@ -961,6 +1623,293 @@ function TerminalName(props: {entity: Entity, label: React.Element<any>}) {
   );
 }
 
+function CustomTerminalName(props: {name: string}) {
+  return props.name;
+}
+
+/**
+ * Retrieves the definition of a custom module type.
+ *
+ * @param idTree the id tree containing the definition entity.
+ * @param data the custom module data.
+ * @return the module definition, if found.
+ */
+export function getModuleDefinition(idTree: IdTreeNode, data: Object): ?Object {
+  const entity = data.definition && idTree.getEntity(data.definition);
+  return entity && entity.state.moduleDefinition;
+}
+
+/**
+ * Finds the key of the module component in an entity state.
+ *
+ * @param state the entity state.
+ * @return the module key, if any.
+ */
+export function getModuleKey(state: Object): ?string {
+  for (const key in state) {
+    if (ComponentModules[key]) {
+      return key;
+    }
+  }
+}
+
+function createCustomTerminals(
+  idTree: IdTreeNode,
+  data: Object,
+  type: 'inputs' | 'outputs',
+): {[string]: InputData} {
+  const definition = getModuleDefinition(idTree, data);
+  if (!definition) {
+    return {};
+  }
+  const terminals = {};
+  for (const name in definition[type]) {
+    terminals[name] = {
+      label: <CustomTerminalName name={definition[type][name].name} />,
+    };
+  }
+  return terminals;
+}
+
+function evaluateCustomModule(
+  data: Object,
+  inputs: {[string]: number},
+  duration: number,
+  scene: Scene,
+  entity: Entity,
+  map: Object,
+  path: string[],
+): ?Object {
+  const definition = getModuleDefinition(scene.idTree, data);
+  if (!definition) {
+    return null;
+  }
+  // route our input values to the inner modules
+  const innerInputs: Map<string, {[string]: number}> = new Map();
+  for (const name in definition.inputs) {
+    const input = definition.inputs[name];
+    if (inputs[name] === undefined) {
+      continue; // only connected inputs are passed on, as with evaluateModule
+    }
+    let values = innerInputs.get(input.ref);
+    if (!values) {
+      innerInputs.set(input.ref, (values = {}));
+    }
+    values[input.input] = inputs[name];
+  }
+  // the inner modules' state is stored per-instance, as edits to the
+  // definition's state
+  const states = data.states || {};
+  const stateEdits = {};
+  const evaluated: Map<string, Object> = new Map();
+  const evaluateInner = (id: string, key: string): Object => {
+    const evaluatedData = evaluated.get(id);
+    if (evaluatedData) {
+      return evaluatedData;
+    }
+    const baseData = definition.entities[id][key];
+    const innerData = states[id] ? applyEdit(baseData, states[id]) : baseData;
+    evaluated.set(id, innerData);
+    const values = Object.assign({}, innerInputs.get(id));
+    for (const name in innerData) {
+      const value = getInnerOutputValue(innerData[name]);
+      value === undefined || (values[name] = value);
+    }
+    const edit = ComponentModules[key].evaluate(
+      innerData,
+      values,
+      duration,
+      scene,
+      entity,
+      map,
+      path.concat([id]),
+    );
+    if (!edit) {
+      return innerData;
+    }
+    stateEdits[id] = edit;
+    const newData = applyEdit(innerData, edit);
+    evaluated.set(id, newData);
+    return newData;
+  };
+  const getInnerOutputValue = (input: ?Object): ?number => {
+    if (!(input && input.ref && input.output)) {
+      return;
+    }
+    const state = definition.entities[input.ref];
+    const key = state && getModuleKey(state);
+    if (!key) {
+      return;
+    }
+    return ComponentModules[key].getOutputValue(
+      evaluateInner(input.ref, key),
+      input.output,
+    );
+  };
+  for (const id in definition.entities) {
+    const key = getModuleKey(definition.entities[id]);
+    key && evaluateInner(id, key);
+  }
+  const values = {};
+  for (const name in definition.outputs) {
+    values[name] = getInnerOutputValue(definition.outputs[name]) || 0.0;
+  }
+  return {values, states: stateEdits};
+}
+
+/** The model used by an SBRRN module and the state from which it was made. */
+type SbrrnModelEntry = {
+  model: BaseSbrrn,
+  key: string,
+  brain: ?Object,
+  steps: number,
+};
+
+/**
+ * Holds the models used by an SBRRN module or by the SBRRN modules within a
+ * custom module instance, replacing them when their options or saved brains
+ * change and releasing them when no longer referenced.
+ */
+class SbrrnModelHolder extends RefCounted {
+  _entries: Map<string, SbrrnModelEntry> = new Map();
+
+  /**
+   * Applies an operation to each model held.
+   *
+   * @param op the operation to apply, which receives the model and the path
+   * of inner module ids leading to it.
+   */
+  applyToModels(op: (BaseSbrrn, string[]) => void) {
+    for (const [pathKey, entry] of this._entries) {
+      op(entry.model, pathKey ? pathKey.split(',') : []);
+    }
+  }
+
+  getModel(
+    path: string[],
+    type: SbrrnType,
+    width: number,
+    height: number,
+    brain: ?Object,
+    steps: number,
+  ): BaseSbrrn {
+    const pathKey = path.join();
+    const key = [type, width, height].join();
+    let entry = this._entries.get(pathKey);
+    if (
+      !(
+        entry &&
+        entry.key === key &&
+        entry.brain === brain &&
+        entry.steps === steps
+      )
+    ) {
+      entry && entry.model.dispose();
+      const model = createSbrrnModel(type, width, height);
+      if (brain) {
+        try {
+          model.loadJSON(brain);
+        } catch (error) {
+          // a brain of another type or size; start from scratch
+        }
+      }
+      this._entries.set(pathKey, (entry = {model, key, brain, steps}));
+    }
+    entry.steps = steps + 1;
+    return entry.model;
+  }
+
+  _dispose() {
+    for (const entry of this._entries.values()) {
+      entry.model.dispose();
+    }
+    this._entries.clear();
+  }
+}
+
+function createSbrrnModel(
+  type: SbrrnType,
+  width: number,
+  height: number,
+): BaseSbrrn {
+  // seed from the simulation so that results are reproducible
+  const options = {width, height, seed: Math.floor(random() * 0x100000000)};
+  try {
+    return createSbrrn(type, options);
+  } catch (error) {
+    // fall back to the CPU backend where WebGL isn't available
+    return createSbrrn(type, {...options, backend: 'cpu'});
+  }
+}
+
+/**
+ * Retrieves the model used by an SBRRN module, creating it if necessary.  The
+ * model is cached on the entity and transferred to its successors, so that it
+ * persists (and learns) from frame to frame.  The module counts the steps it
+ * has taken as part of its state, so when the scene is restored to an earlier
+ * frame (as when seeking during play), the counts no longer match and the
+ * model starts over from its saved brain.
+ *
+ * @param entity the module entity (or the custom module instance containing
+ * it).
+ * @param path the ids of the inner modules leading to the module within the
+ * entity, if any.
+ * @param data the module data.
+ * @param steps the number of steps taken by the module.
+ * @return the model.
+ */
+function getSbrrnModel(
+  entity: Entity,
+  path: string[],
+  data: Object,
+  steps: number,
+): BaseSbrrn {
+  const properties = CircuitComponents.sbrrn.properties;
+  const holder: SbrrnModelHolder = entity.getCachedValue(
+    'sbrrnModel',
+    () => new TransferableValue(new SbrrnModelHolder(), newEntity => true),
+  );
+  return holder.getModel(
+    path,
+    data.model || properties.model.defaultValue,
+    data.width || properties.width.defaultValue,
+    data.height || properties.height.defaultValue,
+    data.brain,
+    steps,
+  );
+}
+
+/**
+ * Creates an edit that saves the learned state of all SBRRN modules in a
+ * scene (including those within custom modules) as their brains, so that
+ * they resume from that state when the scene is next simulated.
+ *
+ * @param scene the scene containing the modules, typically during play.
+ * @return the edit map, which may be applied to the scene (or to the
+ * resource from which it was loaded) with editEntities.
+ */
+export function createSaveBrainsEdit(scene: Scene): Object {
+  const map = {};
+  scene.idTree.applyToEntities(entity => {
+    const holder: ?SbrrnModelHolder = entity.getLastCachedValue('sbrrnModel');
+    const key = getModuleKey(entity.state);
+    if (!(holder && key)) {
+      return;
+    }
+    holder.applyToModels((model, path) => {
+      // inner module state is stored under the states of their instances
+      let edit = {brain: model.toJSON()};
+      for (let ii = path.length - 1; ii >= 0; ii--) {
+        edit = {states: {[path[ii]]: edit}};
+      }
+      const entityEdit = {[key]: edit};
+      const oldEdit = map[entity.id];
+      map[entity.id] = oldEdit ? mergeEdits(oldEdit, entityEdit) : entityEdit;
+    });
+  });
+  return map;
+}
+
 function createMultipleInputs(
   data: Object,
   keyBase: string,
@@ -974,6 +1923,19 @@ function createMultipleInputs(
   return inputs;
 }
 
+function createNumberedInputs(
+  idTree: IdTreeNode,
+  data: Object,
+): {[string]: InputData} {
+  return createMultipleInputs(data, 'input', index => (
+    <FormattedMessage
+      id="circuit.input.n"
+      defaultMessage="Input {number}"
+      values={{number: index}}
+    />
+  ));
+}
+
 function createMultipleOutputs(
   idTree: IdTreeNode,
   data: Object,
@@ -1030,30 +1992,119 @@ function createElement(index: number) {
   };
 }
 
-ComponentPhysics.lamp = {
-  isActive: data => {
-    return !!data.input;
-  },
-  advance: (scene, entity, duration, map) => {
-    const data = entity.state.lamp;
-    const input = data.input;
-    if (!input) {
-      return false;
-    }
-    const source = scene.getEntity(input.ref);
-    if (!source) {
-      return false;
+function evaluateElements(
+  data: Object,
+  inputs: {[string]: number},
+  duration: number,
+): Object {
+  const values = {};
+  const elementCount = data.elements || ElementsProperty.elements.defaultValue;
+  for (let ii = 1; ii <= elementCount; ii++) {
+    values['output' + ii] = inputs['input' + ii] || 0.0;
+  }
+  return {values};
+}
+
+// maps each frame's edit map to the module data evaluated in that frame
+const evaluatedModules: WeakMap<Object, Map<string, Object>> = new WeakMap();
+
+/**
+ * Evaluates a module for the current frame (if not already evaluated),
+ * first evaluating all the modules connected to its inputs.  Modules in
+ * feedback loops see the values from the previous frame.
+ *
+ * @param scene the scene containing the module.
+ * @param entity the module entity.
+ * @param key the module component key.
+ * @param duration the duration of the frame.
+ * @param map the frame's edit map, to which we add any module edit.
+ * @return the module data as of the current frame.
+ */
+export function evaluateModule(
+  scene: Scene,
+  entity: Entity,
+  key: string,
+  duration: number,
+  map: Object,
+): Object {
+  let evaluated = evaluatedModules.get(map);
+  if (!evaluated) {
+    evaluatedModules.set(map, (evaluated = new Map()));
+  }
+  const evaluatedData = evaluated.get(entity.id);
+  if (evaluatedData) {
+    return evaluatedData;
+  }
+  // until we're done, anything that loops back to us gets the old values
+  const data = entity.state[key];
+  evaluated.set(entity.id, data);
+  const inputs = {};
+  for (const name in data) {
+    const input = data[name];
+    if (input && input.ref && input.output) {
+      inputs[name] = getInputValue(scene, input, duration, map);
     }
-    for (const key in source.state) {
-      const module = ComponentModules[key];
-      if (module) {
-        const value = module.getOutputValue(source.state[key], input.output);
-        map[entity.id] = {
-          lamp: {value},
-        };
-        return true;
-      }
+  }
+  const edit = ComponentModules[key].evaluate(
+    data,
+    inputs,
+    duration,
+    scene,
+    entity,
+    map,
+    [],
+  );
+  if (!edit) {
+    return data;
+  }
+  const entityEdit = {[key]: edit, _type: 'value'};
+  const oldEdit = map[entity.id];
+  map[entity.id] = oldEdit ? mergeEdits(oldEdit, entityEdit) : entityEdit;
+  const newData = applyEdit(data, edit);
+  evaluated.set(entity.id, newData);
+  return newData;
+}
+
+/**
+ * Retrieves the current frame's value of a module input, evaluating the
+ * connected module if necessary.
+ *
+ * @param scene the scene containing the modules.
+ * @param input the input data ({ref, output}).
+ * @param duration the duration of the frame.
+ * @param map the frame's edit map.
+ * @return the value of the input (zero if disconnected).
+ */
+export function getInputValue(
+  scene: Scene,
+  input: ?Object,
+  duration: number,
+  map: Object,
+): number {
+  if (!(input && input.ref && input.output)) {
+    return 0.0;
+  }
+  const source = scene.getEntity(input.ref);
+  if (!source) {
+    return 0.0;
+  }
+  for (const key in source.state) {
+    const module = ComponentModules[key];
+    if (module) {
+      const data = evaluateModule(scene, source, key, duration, map);
+      return module.getOutputValue(data, input.output);
     }
-    return false;
-  },
-};
+  }
+  return 0.0;
+}
+
+for (const key in ComponentModules) {
+  const module = ComponentModules[key];
+  ComponentPhysics[key] = {
+    isActive: data => module.isActive(data),
+    advance: (scene, entity, duration, map) => {
+      const data = evaluateModule(scene, entity, key, duration, map);
+      return module.isActive(data);
+    },
+  };
+}
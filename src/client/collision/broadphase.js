@@ -0,0 +1,259 @@
+/**
+ * Broadphase collision detection using a pair cache that persists from frame
+ * to frame.
+ *
+ * @module client/collision/broadphase
+ * @flow
+ */
+
+import type {Entity} from '../../server/store/resource';
+import type {Scene} from '../../server/store/scene';
+import type {Bounds} from '../../server/store/math';
+import {
+  boundsContain,
+  boundsIntersect,
+  boundsValid,
+  expandBounds,
+} from '../../server/store/math';
+
+type TrackedBounds = {page: string, bounds: Bounds, cells: string[]};
+
+// the amount by which to expand tracked bounds, so that entities can move a
+// little without their pairs being recomputed
+const BOUNDS_MARGIN = 0.5;
+
+// the size of the grid cells in which we bucket tracked entities
+const CELL_SIZE = 4.0;
+
+// entities that would span more cells than this go in a single per-page
+// bucket that every search checks
+const MAX_CELLS = 64;
+
+/**
+ * Tracks the pairs of entities whose (expanded) bounds overlap.  Entities are
+ * tracked once they query their pairs or move; untracked entities are assumed
+ * to remain within their current bounds.  Tracked entities are bucketed in a
+ * grid so that we need only check those nearby.  Pairs are returned sorted by
+ * id, so that their order doesn't depend on the order in which they were
+ * found.
+ */
+class PairCache {
+  scene: Scene;
+  _tracked: Map<string, TrackedBounds> = new Map();
+  _cells: Map<string, Set<string>> = new Map();
+  _pairs: Map<string, Set<string>> = new Map();
+  _sortedPairs: Map<string, string[]> = new Map();
+  _pairCount = 0;
+
+  get pairCount(): number {
+    return this._pairCount;
+  }
+
+  constructor(scene: Scene) {
+    this.scene = scene;
+  }
+
+  getPairs(entity: Entity): string[] {
+    let pairs = this._pairs.get(entity.id);
+    if (!(pairs && this._tracked.has(entity.id))) {
+      pairs = this._update(entity.id);
+    }
+    let sortedPairs = this._sortedPairs.get(entity.id);
+    if (!sortedPairs) {
+      sortedPairs = Array.from(pairs).sort();
+      this._sortedPairs.set(entity.id, sortedPairs);
+    }
+    return sortedPairs;
+  }
+
+  transfer(scene: Scene, movedIds: Iterable<string>) {
+    this.scene = scene;
+    for (const movedId of movedIds) {
+      // children move along with their parents
+      const node = scene.getEntityHierarchyNode(movedId);
+      node &&
+        node.applyToEntityIds(id => {
+          const tracked = this._tracked.get(id);
+          if (
+            !(
+              tracked && boundsContain(tracked.bounds, scene.getWorldBounds(id))
+            )
+          ) {
+            this._update(id);
+          }
+        });
+    }
+  }
+
+  _update(id: string): Set<string> {
+    const scene = this.scene;
+    const entity = scene.getEntity(id);
+    const oldPairs = this._pairs.get(id);
+    if (oldPairs) {
+      for (const otherId of oldPairs) {
+        const otherPairs = this._pairs.get(otherId);
+        otherPairs && otherPairs.delete(id);
+        this._sortedPairs.delete(otherId);
+      }
+      this._pairCount -= oldPairs.size;
+    }
+    const pairs: Set<string> = new Set();
+    this._pairs.set(id, pairs);
+    this._sortedPairs.delete(id);
+    this._untrack(id);
+    if (!entity) {
+      return pairs;
+    }
+    const page = scene.getEntityLineage(entity)[0].id;
+    const bounds = expandBounds(scene.getWorldBounds(id), BOUNDS_MARGIN);
+    const cells = getCellKeys(page, bounds);
+    this._track(id, {page, bounds, cells});
+    const addPair = (otherId: string) => {
+      if (otherId === id || pairs.has(otherId)) {
+        return;
+      }
+      pairs.add(otherId);
+      let otherPairs = this._pairs.get(otherId);
+      if (!otherPairs) {
+        this._pairs.set(otherId, (otherPairs = new Set()));
+      }
+      otherPairs.add(id);
+      this._sortedPairs.delete(otherId);
+      this._pairCount++;
+    };
+
+    // untracked entities are where the quadtree says they are
+    scene.applyToEntities(page, bounds, otherEntity => {
+      this._tracked.has(otherEntity.id) || addPair(otherEntity.id);
+    });
+
+    // tracked ones may be anywhere within their expanded bounds
+    for (const cell of cells.includes(page) ? cells : cells.concat([page])) {
+      const ids = this._cells.get(cell);
+      if (!ids) {
+        continue;
+      }
+      for (const otherId of ids) {
+        const other = this._tracked.get(otherId);
+        other && boundsIntersect(bounds, other.bounds) && addPair(otherId);
+      }
+    }
+    return pairs;
+  }
+
+  _track(id: string, tracked: TrackedBounds) {
+    this._tracked.set(id, tracked);
+    for (const cell of tracked.cells) {
+      let ids = this._cells.get(cell);
+      if (!ids) {
+        this._cells.set(cell, (ids = new Set()));
+      }
+      ids.add(id);
+    }
+  }
+
+  _untrack(id: string) {
+    const tracked = this._tracked.get(id);
+    if (!tracked) {
+      return;
+    }
+    this._tracked.delete(id);
+    for (const cell of tracked.cells) {
+      const ids = this._cells.get(cell);
+      if (ids) {
+        ids.delete(id);
+        ids.size === 0 && this._cells.delete(cell);
+      }
+    }
+  }
+}
+
+/**
+ * Finds the keys of the grid cells overlapped by a set of bounds.
+ *
+ * @param page the id of the page containing the bounds.
+ * @param bounds the bounds of interest.
+ * @return the keys of the overlapped cells, or just the page id if the bounds
+ * are too large to bucket.
+ */
+function getCellKeys(page: string, bounds: Bounds): string[] {
+  if (!boundsValid(bounds)) {
+    return [];
+  }
+  const minX = Math.floor(bounds.min.x / CELL_SIZE);
+  const minY = Math.floor(bounds.min.y / CELL_SIZE);
+  const maxX = Math.floor(bounds.max.x / CELL_SIZE);
+  const maxY = Math.floor(bounds.max.y / CELL_SIZE);
+  if (!((maxX - minX + 1) * (maxY - minY + 1) <= MAX_CELLS)) {
+    return [page];
+  }
+  const keys = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      keys.push(`${page}:${x},${y}`);
+    }
+  }
+  return keys;
+}
+
+// maps scenes to their pair caches
+const pairCaches: WeakMap<Scene, PairCache> = new WeakMap();
+
+function getPairCache(scene: Scene): PairCache {
+  let cache = pairCaches.get(scene);
+  if (!(cache && cache.scene === scene)) {
+    pairCaches.set(scene, (cache = new PairCache(scene)));
+  }
+  return cache;
+}
+
+/**
+ * Applies an operation to all entities that may be in contact with the one
+ * provided: those whose bounds (plus a margin) overlap its own.
+ *
+ * @param scene the scene containing the entity.
+ * @param entity the entity of interest.
+ * @param op the operation to apply to each potential contact.
+ */
+export function applyToPotentialContacts(
+  scene: Scene,
+  entity: Entity,
+  op: Entity => void,
+) {
+  for (const id of getPairCache(scene).getPairs(entity)) {
+    const otherEntity = scene.getEntity(id);
+    otherEntity && op(otherEntity);
+  }
+}
+
+/**
+ * Moves a scene's pair cache (if it has one) to its successor, updating the
+ * pairs of any entities that have moved beyond their margins.  Any scene
+ * reached by other means gets a new cache.
+ *
+ * @param scene the original scene.
+ * @param newScene the new scene.
+ * @param movedIds the ids of the entities whose transforms have changed.
+ */
+export function transferPairCache(
+  scene: Scene,
+  newScene: Scene,
+  movedIds: Iterable<string>,
+) {
+  const cache = pairCaches.get(scene);
+  if (cache && cache.scene === scene) {
+    cache.transfer(newScene, movedIds);
+    pairCaches.set(newScene, cache);
+  }
+}
+
+/**
+ * Returns the number of pairs in a scene's cache.
+ *
+ * @param scene the scene of interest.
+ * @return the number of cached pairs.
+ */
+export function getPairCount(scene: Scene): number {
+  const cache = pairCaches.get(scene);
+  return cache && cache.scene === scene ? cache.pairCount : 0;
+}
@@ -26,7 +26,11 @@ import {
   getTransformInverseMatrix,
   vec2,
   plusEquals,
+  minus,
   minusEquals,
+  timesEquals,
+  dot,
+  clamp,
   negativeEquals,
   transformPoint,
   transformVectorEquals,
@@ -48,6 +52,14 @@ type ColliderData = {
     Vector2,
   ) => void,
   getPointPenetration: (IdTreeNode, Entity, Vector2, number, Vector2) => void,
+  getSegmentPenetration: (
+    IdTreeNode,
+    Entity,
+    Vector2,
+    Vector2,
+    number,
+    Vector2,
+  ) => void,
 };
 
 const bounds = {min: vec2(), max: vec2()};
@@ -55,6 +67,7 @@ const bounds = {min: vec2(), max: vec2()};
 const penetration = vec2();
 const vertex = vec2();
 const separation = vec2();
+const nearest = vec2();
 
 /**
  * Collider component functions mapped by component name.
@@ -153,6 +166,27 @@ export const ComponentColliders: {[string]: ColliderData} = {
         vec2(0.0, 0.0, result);
       }
     },
+    getSegmentPenetration: (
+      idTree: IdTreeNode,
+      entity: Entity,
+      start: Vector2,
+      end: Vector2,
+      thickness: number,
+      result: Vector2,
+    ) => {
+      const collisionGeometry = getCollisionGeometry(idTree, entity);
+      if (collisionGeometry) {
+        collisionGeometry.getSegmentPenetration(
+          start,
+          end,
+          thickness,
+          thickness,
+          result,
+        );
+      } else {
+        vec2(0.0, 0.0, result);
+      }
+    },
   },
   pointCollider: {
     collide: (scene: Scene, entity: Entity, map: Object) => {
@@ -251,6 +285,33 @@ export const ComponentColliders: {[string]: ColliderData} = {
         result,
       );
     },
+    getSegmentPenetration: (
+      idTree: IdTreeNode,
+      entity: Entity,
+      start: Vector2,
+      end: Vector2,
+      segmentThickness: number,
+      result: Vector2,
+    ) => {
+      const data = entity.state.pointCollider;
+      const thickness = getValue(data.thickness, DEFAULT_THICKNESS);
+
+      // find the point on the segment nearest to ours
+      minus(end, start, nearest);
+      const squareLength = dot(nearest, nearest);
+      const parameter =
+        squareLength > 0.0
+          ? clamp(-dot(start, nearest) / squareLength, 0.0, 1.0)
+          : 0.0;
+      plusEquals(timesEquals(nearest, parameter), start);
+      getPointPointPenetration(
+        ZERO_VECTOR,
+        thickness,
+        nearest,
+        segmentThickness,
+        result,
+      );
+    },
   },
 };
 
@@ -72,4 +72,42 @@ export const CollisionComponents: {[string]: ComponentData} = {
     },
     category: 'collision',
   },
+  triggerCollider: {
+    label: (
+      <FormattedMessage
+        id="trigger_collider.title"
+        defaultMessage="Trigger Collider"
+      />
+    ),
+    properties: {
+      ...MaskProperty,
+      reward: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="trigger_collider.reward"
+            defaultMessage="Reward:"
+          />
+        ),
+        step: 0.01,
+        wheelStep: 0.1,
+        precision: 2,
+        defaultValue: 0.0,
+      },
+    },
+    category: 'collision',
+  },
+  // accumulated by creature roots from triggers, so it has no category (and
+  // thus can't be added by hand)
+  reward: {
+    label: <FormattedMessage id="reward.title" defaultMessage="Reward" />,
+    properties: {
+      total: {
+        type: 'number',
+        label: <FormattedMessage id="reward.total" defaultMessage="Total:" />,
+        precision: 2,
+        defaultValue: 0.0,
+      },
+    },
+  },
 };
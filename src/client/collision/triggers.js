@@ -0,0 +1,230 @@
+/**
+ * Trigger collider implementation.
+ *
+ * @module client/collision/triggers
+ * @flow
+ */
+
+import {ComponentColliders} from './colliders';
+import {applyToPotentialContacts} from './broadphase';
+import {CollisionComponents, FlagsProperty, MaskProperty} from './components';
+import {ComponentPhysics} from '../physics/physics';
+import type {Entity} from '../../server/store/resource';
+import type {Scene} from '../../server/store/scene';
+import {mergeEdits} from '../../server/store/scene';
+import {getCollisionGeometry} from '../../server/store/geometry';
+import {
+  composeTransforms,
+  invertTransform,
+  vec2,
+  length,
+} from '../../server/store/math';
+import {getValue} from '../../server/store/util';
+
+/** The types of events generated by triggers. */
+export type TriggerEvent = 'enter' | 'stay' | 'exit';
+
+/** The number of each type of event involving a creature in a frame. */
+export type TriggerEventCounts = {[TriggerEvent]: number};
+
+const NO_EVENTS: TriggerEventCounts = {enter: 0, stay: 0, exit: 0};
+
+const penetration = vec2();
+
+// maps scenes to the event counts of the creatures within them
+const creatureEvents: WeakMap<
+  Scene,
+  Map<string, TriggerEventCounts>,
+> = new WeakMap();
+
+/**
+ * Finds the root of the creature to which an entity belongs: the outermost
+ * construct instance containing it or, failing that, its top-level ancestor.
+ *
+ * @param scene the scene containing the entity.
+ * @param entity the entity of interest.
+ * @return the creature root entity.
+ */
+export function getCreatureRoot(scene: Scene, entity: Entity): Entity {
+  const lineage = scene.getEntityLineage(entity);
+  for (let ii = 1; ii < lineage.length; ii++) {
+    if (lineage[ii].getConstruct()) {
+      return lineage[ii];
+    }
+  }
+  return lineage[1] || entity;
+}
+
+/**
+ * Counts the trigger events involving a creature in the last frame.
+ *
+ * @param scene the scene containing the creature.
+ * @param id the id of the creature root.
+ * @return the number of each type of event.
+ */
+export function getCreatureEvents(
+  scene: Scene,
+  id: string,
+): TriggerEventCounts {
+  let events = creatureEvents.get(scene);
+  if (!events) {
+    creatureEvents.set(scene, (events = new Map()));
+    const counts = events;
+    scene.idTree.applyToEntities(entity => {
+      const data = entity.state.triggerCollider;
+      if (!(data && data.events)) {
+        return;
+      }
+      for (const id in data.events) {
+        let creatureCounts = counts.get(id);
+        if (!creatureCounts) {
+          counts.set(id, (creatureCounts = {enter: 0, stay: 0, exit: 0}));
+        }
+        creatureCounts[data.events[id]]++;
+      }
+    });
+  }
+  return events.get(id) || NO_EVENTS;
+}
+
+/**
+ * Retrieves the total reward accumulated by a creature.
+ *
+ * @param scene the scene containing the creature.
+ * @param id the id of the creature root.
+ * @return the creature's reward.
+ */
+export function getCreatureReward(scene: Scene, id: string): number {
+  const entity = scene.getEntity(id);
+  const data = entity && entity.state.reward;
+  return getValue(
+    data && data.total,
+    CollisionComponents.reward.properties.total.defaultValue,
+  );
+}
+
+ComponentPhysics.triggerCollider = {
+  isActive: data => getValue(data.mask, MaskProperty.mask.defaultValue) !== 0,
+  advance: (scene: Scene, entity: Entity, duration: number, map: Object) => {
+    const data = entity.state.triggerCollider;
+    if (!data) {
+      return false;
+    }
+    const mask = getValue(data.mask, MaskProperty.mask.defaultValue);
+    if (mask === 0) {
+      return false;
+    }
+    const geometry = getCollisionGeometry(scene.idTree, entity);
+
+    // find the creatures that overlap the trigger (other than its own)
+    const occupants = {};
+    if (geometry) {
+      const lineage = scene.getEntityLineage(entity);
+      const root = getCreatureRoot(scene, entity);
+      const worldTransform = scene.getWorldTransform(entity.id);
+      applyToPotentialContacts(scene, entity, otherEntity => {
+        if (lineage.includes(otherEntity)) {
+          return;
+        }
+        const otherRoot = getCreatureRoot(scene, otherEntity);
+        if (otherRoot === root || occupants[otherRoot.id]) {
+          return;
+        }
+        for (const key in otherEntity.state) {
+          const collider = ComponentColliders[key];
+          if (!collider) {
+            continue;
+          }
+          const flags = getValue(
+            otherEntity.state[key].flags,
+            FlagsProperty.flags.defaultValue,
+          );
+          if (!(flags & mask)) {
+            continue;
+          }
+          collider.getShapePenetration(
+            scene.idTree,
+            otherEntity,
+            geometry,
+            composeTransforms(
+              invertTransform(worldTransform),
+              otherEntity.getLastCachedValue('worldTransform'),
+            ),
+            penetration,
+          );
+          if (length(penetration) > 0.0) {
+            occupants[otherRoot.id] = true;
+            return;
+          }
+        }
+      });
+    }
+
+    // compare against the previous occupants to generate the events
+    const oldOccupants = data.occupants || {};
+    const events = {};
+    for (const id in occupants) {
+      events[id] = oldOccupants[id] ? 'stay' : 'enter';
+    }
+    for (const id in oldOccupants) {
+      occupants[id] || (events[id] = 'exit');
+    }
+    const triggerEdit = {};
+    const occupantsEdit = getReplacementEdit(oldOccupants, occupants);
+    occupantsEdit && (triggerEdit.occupants = occupantsEdit);
+    const eventsEdit = getReplacementEdit(data.events || {}, events);
+    eventsEdit && (triggerEdit.events = eventsEdit);
+    if (occupantsEdit || eventsEdit) {
+      const edit = {triggerCollider: triggerEdit};
+      const oldEdit = map[entity.id];
+      map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+    }
+
+    // entering creatures collect the reward
+    const reward = getValue(
+      data.reward,
+      CollisionComponents.triggerCollider.properties.reward.defaultValue,
+    );
+    if (reward !== 0.0) {
+      for (const id in events) {
+        if (events[id] !== 'enter') {
+          continue;
+        }
+        const oldEdit = map[id];
+        const oldTotal = oldEdit && oldEdit.reward && oldEdit.reward.total;
+        const edit = {
+          reward: {
+            total: getValue(oldTotal, getCreatureReward(scene, id)) + reward,
+          },
+        };
+        map[id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+      }
+    }
+    return true;
+  },
+};
+
+/**
+ * Creates an edit that replaces the contents of one map with another.
+ *
+ * @param oldMap the original map.
+ * @param newMap the replacement map.
+ * @return the edit, or null if the maps have the same contents.
+ */
+function getReplacementEdit(oldMap: Object, newMap: Object): ?Object {
+  const edit = {};
+  let changed = false;
+  for (const key in newMap) {
+    if (oldMap[key] !== newMap[key]) {
+      edit[key] = newMap[key];
+      changed = true;
+    }
+  }
+  for (const key in oldMap) {
+    if (newMap[key] === undefined) {
+      edit[key] = null;
+      changed = true;
+    }
+  }
+  return changed ? edit : null;
+}
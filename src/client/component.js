@@ -925,6 +925,62 @@ const PropertyEditors = {
       </div>
     );
   },
+  entity: (props: {
+    id: string,
+    property: PropertyData,
+    sm: number,
+    classSuffix: string,
+    rightAlign: ?boolean,
+    value: ?Object,
+    setValue: (?Object) => void,
+    preferences: UserGetPreferencesResponse,
+    setPreferences: UserGetPreferencesResponse => void,
+  }) => {
+    const state = store.getState();
+    const resource = state.resource;
+    const entities = [];
+    let valueEntity: ?Entity;
+    if (resource instanceof Scene) {
+      const node = resource.getEntityHierarchyNode(state.page);
+      node &&
+        node.applyToEntityIds(id => {
+          const entity = resource.getEntity(id);
+          if (
+            entity &&
+            (!props.property.component ||
+              entity.state[props.property.component])
+          ) {
+            entities.push(entity);
+          }
+        });
+      valueEntity = props.value && resource.getEntity(props.value.ref);
+    }
+    return (
+      <div className={`col-sm-${props.sm}${props.classSuffix}`}>
+        <UncontrolledDropdown>
+          <DropdownToggle caret>
+            {valueEntity ? (
+              <EntityName entity={valueEntity} />
+            ) : (
+              <FormattedMessage id="entity.none" defaultMessage="None" />
+            )}
+          </DropdownToggle>
+          <DropdownMenu>
+            <DropdownItem onClick={() => props.setValue(null)}>
+              <FormattedMessage id="entity.none" defaultMessage="None" />
+            </DropdownItem>
+            {entities.map(entity => (
+              <DropdownItem
+                key={entity.id}
+                onClick={() => props.setValue({ref: entity.id})}>
+                <EntityName entity={entity} />
+              </DropdownItem>
+            ))}
+          </DropdownMenu>
+        </UncontrolledDropdown>
+      </div>
+    );
+  },
 };
 
 const DefaultValues = {
@@ -9,15 +9,22 @@ import * as React from 'react';
 import * as ReactRedux from 'react-redux';
 import {FormattedMessage} from 'react-intl';
 import {
+  RESOURCE_PARAM,
   ResourceMetadataDialog,
   getResourceMetadataPath,
   getResourceContentPath,
 } from './resource';
-import {store, updateRefs} from './store';
-import {postToApi, putToApi} from './util/api';
-import {Menu, MenuItem} from './util/ui';
-import type {ResourceCreateRequest} from '../server/api';
-import {Scene, SceneActions} from '../server/store/scene';
+import {StoreActions, store, updateRefs, createUuid} from './store';
+import {EvolveItem} from './evolve';
+import {createSaveBrainsEdit} from './circuit/modules';
+import {getFromApi, postToApi, putToApi} from './util/api';
+import {Menu, MenuItem, RequestDialog} from './util/ui';
+import type {
+  ResourceCreateRequest,
+  UserGetPreferencesResponse,
+} from '../server/api';
+import type {Entity} from '../server/store/resource';
+import {Scene, SceneActions, createStateEdit} from '../server/store/scene';
 
 /**
  * The dropdown menu for constructs.
@@ -25,7 +32,12 @@ import {Scene, SceneActions} from '../server/store/scene';
  * @param props the element properties.
  */
 export class ConstructDropdown extends React.Component<
-  {locale: string, setDialog: (?React.Element<any>) => void},
+  {
+    locale: string,
+    preferences: UserGetPreferencesResponse,
+    setPreferences: UserGetPreferencesResponse => void,
+    setDialog: (?React.Element<any>) => void,
+  },
   {},
 > {
   render() {
@@ -38,11 +50,17 @@ export class ConstructDropdown extends React.Component<
           locale={this.props.locale}
           setDialog={this.props.setDialog}
         />
-        <SaveConstructItem />
-        <RevertConstructItem />
-        <RefreshConstructItem />
+        <SaveConstructItem setDialog={this.props.setDialog} />
+        <RevertConstructItem setDialog={this.props.setDialog} />
+        <RefreshConstructItem setDialog={this.props.setDialog} />
         <UnlinkConstructItem />
         <OpenConstructItem />
+        <EvolveItem
+          preferences={this.props.preferences}
+          setPreferences={this.props.setPreferences}
+          setDialog={this.props.setDialog}
+        />
+        <SaveBrainsItem />
       </Menu>
     );
   }
@@ -124,69 +142,477 @@ class CreateConstructDialog extends ResourceMetadataDialog {
       name: this.state.name,
       description: this.state.description,
     };
-    const json: Object = {entities: {exterior: {}}};
+    // descendants keep their ids in the construct
     const ids = new Map([[rootId, 'root']]);
-    const map = {};
+    const constructEntities = {};
     node.applyToEntityIds(entityId => {
-      const entity = resource.getEntity(entityId);
-      if (!entity) {
-        return;
-      }
-      const newId = entityId === rootId ? 'root' : entityId;
-      json.entities[newId] = updateRefs(entity.toJSON(), ids, 'exterior');
-      const edit: Object = {construct: resourceId};
-      for (const key in entity.state) {
-        if (key !== 'parent') {
-          edit[key] = null;
-        }
+      if (entityId !== rootId) {
+        ids.set(entityId, entityId);
+        constructEntities[entityId] = {ref: entityId};
       }
-      map[entityId] = edit;
     });
-    delete json.entities.root.name;
+    const json = {
+      entities: {
+        exterior: {},
+        ...createConstructEntities(resource, rootId, ids),
+      },
+    };
     await Promise.all([
       putToApi(getResourceMetadataPath(resourceId), data),
       putToApi(getResourceContentPath(resourceId), json, false),
     ]);
-    store.dispatch(SceneActions.editEntities.create(map));
+    store.dispatch(
+      SceneActions.editEntities.create({
+        [rootId]: {construct: resourceId, constructEntities},
+      }),
+    );
   }
 }
 
 const SaveConstructItem = ReactRedux.connect(state => ({
-  disabled: true,
-}))((props: {disabled: boolean}) => (
-  <MenuItem disabled={props.disabled} onClick={() => {}}>
+  disabled: getSelectedConstructRoots(state).length === 0,
+}))((props: {disabled: boolean, setDialog: (?React.Element<any>) => void}) => (
+  <MenuItem
+    disabled={props.disabled}
+    onClick={() =>
+      props.setDialog(
+        <ConstructActionDialog
+          header={
+            <FormattedMessage
+              id="construct.save.title"
+              defaultMessage="Save Construct"
+            />
+          }
+          action={() => saveConstructs(getSelectedConstructRoots())}
+          onClosed={() => props.setDialog(null)}>
+          <FormattedMessage
+            id="construct.save.content"
+            defaultMessage={`
+                Are you sure you want to save the local changes to the
+                construct?  This will affect every environment that uses it.
+              `}
+          />
+        </ConstructActionDialog>,
+      )
+    }>
     <FormattedMessage id="construct.save" defaultMessage="Save" />
   </MenuItem>
 ));
 
 const RevertConstructItem = ReactRedux.connect(state => ({
-  disabled: true,
-}))((props: {disabled: boolean}) => (
-  <MenuItem disabled={props.disabled} onClick={() => {}}>
+  disabled: getSelectedConstructRoots(state).length === 0,
+}))((props: {disabled: boolean, setDialog: (?React.Element<any>) => void}) => (
+  <MenuItem
+    disabled={props.disabled}
+    onClick={() =>
+      props.setDialog(
+        <ConstructActionDialog
+          header={
+            <FormattedMessage
+              id="construct.revert.title"
+              defaultMessage="Revert Construct"
+            />
+          }
+          action={() => loadConstructs(getSelectedConstructRoots())}
+          onClosed={() => props.setDialog(null)}>
+          <FormattedMessage
+            id="construct.revert.content"
+            defaultMessage={`
+                Are you sure you want to discard the local changes to the
+                selected construct?
+              `}
+          />
+        </ConstructActionDialog>,
+      )
+    }>
     <FormattedMessage id="construct.revert" defaultMessage="Revert" />
   </MenuItem>
 ));
 
 const RefreshConstructItem = ReactRedux.connect(state => ({
-  disabled: true,
-}))((props: {disabled: boolean}) => (
-  <MenuItem disabled={props.disabled} onClick={() => {}}>
+  disabled: getSelectedConstructRoots(state).length === 0,
+}))((props: {disabled: boolean, setDialog: (?React.Element<any>) => void}) => (
+  <MenuItem
+    disabled={props.disabled}
+    onClick={() =>
+      props.setDialog(
+        <ConstructActionDialog
+          header={
+            <FormattedMessage
+              id="construct.refresh.title"
+              defaultMessage="Refresh Construct"
+            />
+          }
+          action={() => loadConstructs(getConstructInstances())}
+          onClosed={() => props.setDialog(null)}>
+          <FormattedMessage
+            id="construct.refresh.content"
+            defaultMessage={`
+                Are you sure you want to replace every instance of the selected
+                construct with its saved version?
+              `}
+          />
+        </ConstructActionDialog>,
+      )
+    }>
     <FormattedMessage id="construct.refresh" defaultMessage="Refresh" />
   </MenuItem>
 ));
 
 const UnlinkConstructItem = ReactRedux.connect(state => ({
-  disabled: true,
+  disabled: getSelectedConstructRoots(state).length === 0,
 }))((props: {disabled: boolean}) => (
-  <MenuItem disabled={props.disabled} onClick={() => {}}>
+  <MenuItem
+    disabled={props.disabled}
+    onClick={() => {
+      const map = {};
+      for (const root of getSelectedConstructRoots()) {
+        map[root.id] = {construct: null, constructEntities: null};
+      }
+      store.dispatch(SceneActions.editEntities.create(map));
+    }}>
     <FormattedMessage id="construct.unlink" defaultMessage="Unlink" />
   </MenuItem>
 ));
 
 const OpenConstructItem = ReactRedux.connect(state => ({
-  disabled: true,
+  disabled: getSelectedConstructRoots(state).length === 0,
 }))((props: {disabled: boolean}) => (
-  <MenuItem disabled={props.disabled} onClick={() => {}}>
+  <MenuItem
+    disabled={props.disabled}
+    onClick={() => {
+      const constructIds: Set<string> = new Set();
+      for (const root of getSelectedConstructRoots()) {
+        const constructId = root.getConstruct();
+        constructId && constructIds.add(constructId);
+      }
+      for (const constructId of constructIds) {
+        window.open('?' + RESOURCE_PARAM + constructId);
+      }
+    }}>
     <FormattedMessage id="construct.open" defaultMessage="Open" />
   </MenuItem>
 ));
+
+const SaveBrainsItem = ReactRedux.connect(state => ({
+  disabled: !(state.resource instanceof Scene && state.playState !== 'stopped'),
+}))((props: {disabled: boolean}) => (
+  <MenuItem
+    disabled={props.disabled}
+    onClick={() => {
+      const resource = store.getState().resource;
+      if (!(resource instanceof Scene)) {
+        return;
+      }
+      // stop playing and save the brains to the scene as it was before
+      const saveMap = createSaveBrainsEdit(resource);
+      store.dispatch(StoreActions.stop.create());
+      const scene = store.getState().resource;
+      if (!(scene instanceof Scene)) {
+        return;
+      }
+      const map = {};
+      let empty = true;
+      for (const id in saveMap) {
+        if (scene.getEntity(id)) {
+          map[id] = saveMap[id];
+          empty = false;
+        }
+      }
+      empty || store.dispatch(SceneActions.editEntities.create(map));
+    }}>
+    <FormattedMessage id="construct.save_brains" defaultMessage="Save Brains" />
+  </MenuItem>
+));
+
+function ConstructActionDialog(props: {
+  header: React.Element<any>,
+  children: React.Element<any>,
+  action: () => Promise<void>,
+  onClosed: () => void,
+}) {
+  return (
+    <RequestDialog
+      header={props.header}
+      makeRequest={async () => {
+        await props.action();
+        return {};
+      }}
+      onClosed={props.onClosed}
+      cancelable>
+      {props.children}
+    </RequestDialog>
+  );
+}
+
+/**
+ * Finds the root entities of the linked constructs containing the selected
+ * entities.
+ *
+ * @param [state] the store state to examine (defaults to the current one).
+ * @return the array of construct root entities.
+ */
+function getSelectedConstructRoots(state: Object = store.getState()): Entity[] {
+  const resource = state.resource;
+  const roots: Entity[] = [];
+  if (!(resource instanceof Scene)) {
+    return roots;
+  }
+  for (const id of state.selection) {
+    const lineage = resource.getEntityLineage(resource.getEntity(id));
+    for (let ii = lineage.length - 1; ii >= 0; ii--) {
+      const entity = lineage[ii];
+      if (entity.getConstruct()) {
+        roots.includes(entity) || roots.push(entity);
+        break;
+      }
+    }
+  }
+  return roots;
+}
+
+/**
+ * Finds all the roots in the resource linked to the same constructs as the
+ * selected entities.
+ *
+ * @return the array of construct root entities.
+ */
+function getConstructInstances(): Entity[] {
+  const state = store.getState();
+  const resource = state.resource;
+  const roots: Entity[] = [];
+  if (!(resource instanceof Scene)) {
+    return roots;
+  }
+  const constructIds: Set<?string> = new Set(
+    getSelectedConstructRoots(state).map(root => root.getConstruct()),
+  );
+  resource.idTree.applyToEntities(entity => {
+    if (constructIds.has(entity.getConstruct())) {
+      roots.push(entity);
+    }
+  });
+  return roots;
+}
+
+/**
+ * Creates the states of the exterior entities of a construct from an entity
+ * in the current resource and its descendants.
+ *
+ * @param resource the resource containing the entities.
+ * @param rootId the id of the root entity.
+ * @param ids the map from entity ids to construct ids.  Must contain the ids
+ * of the root and all its descendants.
+ * @return the map from construct ids to entity states.
+ */
+function createConstructEntities(
+  resource: Scene,
+  rootId: string,
+  ids: Map<string, string>,
+): Object {
+  const entities = {};
+  const node = resource.getEntityHierarchyNode(rootId);
+  node &&
+    node.applyToEntityIds(entityId => {
+      const entity = resource.getEntity(entityId);
+      const newId = ids.get(entityId);
+      if (entity && newId) {
+        entities[newId] = updateRefs(entity.toJSON(), ids, 'exterior');
+      }
+    });
+  const root = entities.root;
+  if (root) {
+    delete root.name;
+    delete root.order;
+    delete root.construct;
+    delete root.constructEntities;
+  }
+  return entities;
+}
+
+/**
+ * Retrieves the ids of the exterior entities in a construct's JSON
+ * representation: that is, the root and all its descendants.
+ *
+ * @param entities the construct's entity states.
+ * @return the set of exterior entity ids.
+ */
+function getExteriorIds(entities: Object): Set<string> {
+  const ids: Set<string> = new Set();
+  if (!entities.root) {
+    return ids;
+  }
+  ids.add('root');
+  let added = true;
+  while (added) {
+    added = false;
+    for (const id in entities) {
+      const parent = entities[id].parent;
+      if (!ids.has(id) && parent && ids.has(parent.ref)) {
+        ids.add(id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Saves a set of linked construct instances to their constructs.
+ *
+ * @param roots the root entities of the instances to save.
+ */
+async function saveConstructs(roots: Entity[]): Promise<void> {
+  for (const oldRoot of roots) {
+    const constructId = oldRoot.getConstruct();
+    if (!constructId) {
+      continue;
+    }
+    const path = getResourceContentPath(constructId);
+    const json = await getFromApi(path);
+    const resource = store.getState().resource;
+    if (!(resource instanceof Scene)) {
+      return;
+    }
+    const root = resource.getEntity(oldRoot.id);
+    const node = resource.getEntityHierarchyNode(oldRoot.id);
+    if (!(root && node)) {
+      continue;
+    }
+    const entities = json.entities || {};
+    const exteriorIds = getExteriorIds(entities);
+
+    // map instance ids to construct ids, creating new ones as necessary
+    const ids = new Map([[root.id, 'root']]);
+    const constructEntities = root.state.constructEntities || {};
+    for (const localId in constructEntities) {
+      const value = constructEntities[localId];
+      value && value.ref && ids.set(value.ref, localId);
+    }
+    const newConstructEntities = {};
+    node.applyToEntityIds(entityId => {
+      if (entityId === root.id) {
+        return;
+      }
+      let newId = ids.get(entityId);
+      if (!newId) {
+        newId =
+          entities[entityId] && !exteriorIds.has(entityId)
+            ? createUuid()
+            : entityId;
+        ids.set(entityId, newId);
+      }
+      newConstructEntities[newId] = {ref: entityId};
+    });
+
+    // replace the exterior entities, keeping the saved root transform
+    const newEntities = createConstructEntities(resource, root.id, ids);
+    const savedRoot = entities.root;
+    if (savedRoot && newEntities.root) {
+      newEntities.root.transform = savedRoot.transform;
+    }
+    for (const id of exteriorIds) {
+      delete entities[id];
+    }
+    await putToApi(
+      path,
+      Object.assign({}, json, {entities: {...entities, ...newEntities}}),
+      false,
+    );
+    store.dispatch(
+      SceneActions.editEntities.create({
+        [root.id]: createStateEdit(
+          {constructEntities},
+          {constructEntities: newConstructEntities},
+        ),
+      }),
+    );
+  }
+}
+
+/**
+ * Replaces a set of linked construct instances with the saved versions of
+ * their constructs.
+ *
+ * @param roots the root entities of the instances to replace.
+ */
+async function loadConstructs(roots: Entity[]): Promise<void> {
+  const jsonPromises: Map<string, Promise<Object>> = new Map();
+  for (const root of roots) {
+    const constructId = root.getConstruct();
+    if (constructId && !jsonPromises.has(constructId)) {
+      jsonPromises.set(
+        constructId,
+        getFromApi(getResourceContentPath(constructId)),
+      );
+    }
+  }
+  const jsons: Map<string, Object> = new Map();
+  for (const [constructId, promise] of jsonPromises) {
+    jsons.set(constructId, await promise);
+  }
+  const resource = store.getState().resource;
+  if (!(resource instanceof Scene)) {
+    return;
+  }
+  const map = {};
+  for (const oldRoot of roots) {
+    const root = resource.getEntity(oldRoot.id);
+    const constructId = root && root.getConstruct();
+    const json = constructId && jsons.get(constructId);
+    const node = root && resource.getEntityHierarchyNode(root.id);
+    if (!(root && json && node)) {
+      continue;
+    }
+    const entities = json.entities || {};
+    const exteriorIds = getExteriorIds(entities);
+    const instanceIds: Set<string> = new Set();
+    node.applyToEntityIds(entityId => {
+      instanceIds.add(entityId);
+    });
+
+    // map construct ids to instance ids, creating new ones as necessary
+    const ids = new Map([['root', root.id]]);
+    const constructEntities = root.state.constructEntities || {};
+    const newConstructEntities = {};
+    for (const id of exteriorIds) {
+      if (id === 'root') {
+        continue;
+      }
+      const value = constructEntities[id];
+      const entityId =
+        value && instanceIds.has(value.ref) ? value.ref : createUuid();
+      ids.set(id, entityId);
+      newConstructEntities[id] = {ref: entityId};
+    }
+
+    // remove anything that isn't in the construct
+    const usedIds: Set<string> = new Set(ids.values());
+    for (const entityId of instanceIds) {
+      if (!usedIds.has(entityId)) {
+        map[entityId] = null;
+      }
+    }
+    const parent = root.getParent();
+    for (const id of exteriorIds) {
+      const entityId = ids.get(id);
+      if (!entityId) {
+        continue;
+      }
+      let state = updateRefs(entities[id], ids, parent ? parent.ref : '');
+      if (id === 'root') {
+        state = Object.assign({}, state, {
+          parent: root.state.parent,
+          name: root.state.name,
+          order: root.state.order,
+          transform: root.state.transform,
+          construct: constructId,
+          constructEntities: newConstructEntities,
+        });
+      }
+      const entity = resource.getEntity(entityId);
+      map[entityId] = entity ? createStateEdit(entity.state, state) : state;
+    }
+  }
+  store.dispatch(SceneActions.editEntities.create(map));
+}
@@ -10,12 +10,22 @@ import {FormattedMessage} from 'react-intl';
 import {EffectorComponents} from './components';
 import type {InputData} from '../circuit/modules';
 import {drawWireArrow} from '../renderer/helpers';
+import type {Entity} from '../../server/store/resource';
+import type {Scene} from '../../server/store/scene';
+import {mergeEdits, getWorldTransform} from '../../server/store/scene';
 import {ShapeList} from '../../server/store/shape';
+import {
+  getTransformRotation,
+  vec2,
+  rotateEquals,
+  radians,
+} from '../../server/store/math';
 import {getValue} from '../../server/store/util';
 
 type EffectorData = {
   createShapeList: Object => ShapeList,
   getInputs: Object => {[string]: InputData},
+  actuate: (Scene, Entity, {[string]: number}, Object) => void,
 };
 
 /**
@@ -76,5 +86,35 @@ export const ComponentEffectors: {[string]: EffectorData} = {
         ),
       },
     }),
+    actuate: (scene, entity, inputs, map) => {
+      const lineage = scene.getEntityLineage(entity);
+      let bodyIndex = lineage.length - 1;
+      while (bodyIndex >= 0 && !lineage[bodyIndex].state.rigidBody) {
+        bodyIndex--;
+      }
+      if (bodyIndex < 0) {
+        return;
+      }
+      const data = entity.state.velocity;
+      const props = EffectorComponents.velocity.properties;
+      const linear = getValue(data.linear, props.linear.defaultValue);
+      const angular = getValue(data.angular, props.angular.defaultValue);
+
+      // forward is along our x axis, left along our y; rotate into the frame
+      // of the body's parent, in which its velocity is expressed
+      const linearVelocity = rotateEquals(
+        vec2(
+          (inputs.backForward || 0.0) * linear,
+          (inputs.leftRight || 0.0) * -linear,
+        ),
+        getTransformRotation(getWorldTransform(lineage)) -
+          getTransformRotation(getWorldTransform(lineage.slice(0, bodyIndex))),
+      );
+      const angularVelocity = (inputs.cwCCW || 0.0) * radians(angular);
+      const bodyId = lineage[bodyIndex].id;
+      const edit = {rigidBody: {linearVelocity, angularVelocity}};
+      const oldEdit = map[bodyId];
+      map[bodyId] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+    },
   },
 };
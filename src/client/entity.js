@@ -19,9 +19,15 @@ import {
 import type {ComponentData} from './component';
 import {EditItems} from './edit';
 import {GeometryComponents} from './geometry/components';
+import {PhysicsCategory, PhysicsComponents} from './physics/components';
 import {SensorCategory, SensorComponents} from './sensor/components';
 import {EffectorCategory, EffectorComponents} from './effector/components';
 import {CircuitCategories, CircuitComponents} from './circuit/components';
+import {
+  canCollapseToModule,
+  createCollapseEdit,
+  createExpandEdit,
+} from './circuit/custom';
 import type {Renderer} from './renderer/util';
 import {Menu, MenuItem, Submenu, ContextMenu, renderText} from './util/ui';
 import type {Resource, Entity} from '../server/store/resource';
@@ -87,9 +93,14 @@ function EntityMenuItems(props: {
       {textLabel}
     </MenuItem>,
     <ShapeMenu key="shape" createEntity={props.createEntity} />,
-    <ModuleMenu key="module" createEntity={props.createEntity} />,
+    <ModuleMenu
+      key="module"
+      locale={props.locale}
+      createEntity={props.createEntity}
+    />,
     <SensorMenu key="sensor" createEntity={props.createEntity} />,
     <EffectorMenu key="effector" createEntity={props.createEntity} />,
+    <JointMenu key="joint" createEntity={props.createEntity} />,
   ];
 }
 
@@ -180,10 +191,42 @@ function EffectorMenu(props: {
   );
 }
 
+function JointMenu(props: {
+  createEntity: (React.Element<any>, Object) => void,
+}) {
+  if (store.getState().page === 'interior') {
+    return null;
+  }
+  const entries: [string, ComponentData][] = (Object.entries(
+    PhysicsComponents,
+  ): [string, any][]);
+  return (
+    <Submenu label={PhysicsCategory.joint.label}>
+      {entries.map(([name, data]) =>
+        data.category === 'joint' ? (
+          <MenuItem
+            key={name}
+            onClick={() =>
+              props.createEntity(data.label, {
+                [name]: {order: 1},
+                jointRenderer: {order: 2},
+              })
+            }>
+            {data.label}
+          </MenuItem>
+        ) : null,
+      )}
+    </Submenu>
+  );
+}
+
 function ModuleMenu(props: {
+  locale: string,
   createEntity: (React.Element<any>, Object) => void,
 }) {
-  if (store.getState().page !== 'interior') {
+  const state = store.getState();
+  const resource = state.resource;
+  if (!(state.page === 'interior' && resource instanceof Scene)) {
     return null;
   }
   const entries: [string, ComponentData][] = (Object.entries(
@@ -220,10 +263,97 @@ function ModuleMenu(props: {
           ))}
         </Submenu>
       ))}
+      <CustomModuleMenu resource={resource} createEntity={props.createEntity} />
+      <DropdownItem divider />
+      <MenuItem
+        disabled={!canCollapseToModule(resource, state.selection)}
+        onClick={() => {
+          const [map, id] = createCollapseEdit(
+            resource,
+            state.selection,
+            state.page,
+            props.locale,
+          );
+          store.dispatch(SceneActions.editEntities.create(map));
+          store.dispatch(StoreActions.select.create({[id]: true}));
+        }}>
+        <FormattedMessage
+          id="entity.collapse_to_module"
+          defaultMessage="Collapse to Module"
+        />
+      </MenuItem>
+      <MenuItem
+        disabled={!getSelectedCustomModule(resource, state.selection)}
+        onClick={() => {
+          const id = getSelectedCustomModule(resource, state.selection);
+          const result = id && createExpandEdit(resource, id);
+          if (result) {
+            const [map, ids] = result;
+            store.dispatch(SceneActions.editEntities.create(map));
+            const selection = {};
+            for (const id of ids) {
+              selection[id] = true;
+            }
+            store.dispatch(StoreActions.select.create(selection));
+          }
+        }}>
+        <FormattedMessage
+          id="entity.expand_module"
+          defaultMessage="Expand Module"
+        />
+      </MenuItem>
     </Submenu>
   );
 }
 
+function CustomModuleMenu(props: {
+  resource: Scene,
+  createEntity: (React.Element<any>, Object) => void,
+}) {
+  const pageNode = props.resource.getEntityHierarchyNode('interior');
+  const definitions: Entity[] = [];
+  if (pageNode) {
+    for (const child of pageNode.children) {
+      const entity = child.id && props.resource.getEntity(child.id);
+      entity && entity.state.moduleDefinition && definitions.push(entity);
+    }
+  }
+  if (definitions.length === 0) {
+    return null;
+  }
+  return (
+    <Submenu
+      label={
+        <FormattedMessage id="entity.custom_module" defaultMessage="Custom" />
+      }>
+      {definitions.map(entity => (
+        <MenuItem
+          key={entity.id}
+          onClick={() =>
+            props.createEntity(<EntityName entity={entity} />, {
+              customModule: {definition: entity.id, order: 1},
+              moduleRenderer: {order: 2},
+            })
+          }>
+          <EntityName entity={entity} />
+        </MenuItem>
+      ))}
+    </Submenu>
+  );
+}
+
+function getSelectedCustomModule(
+  resource: Scene,
+  selection: Set<string>,
+): ?string {
+  if (selection.size !== 1) {
+    return null;
+  }
+  const id: string = (selection.values().next().value: any);
+  const entity = resource.getEntity(id);
+  return entity && entity.state.customModule ? id : null;
+}
+
 /**
  * Creates an entity on the page.
  *
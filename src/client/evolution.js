@@ -0,0 +1,295 @@
+/**
+ * Evolutionary optimization of entity properties over headless simulations.
+ *
+ * @module client/evolution
+ * @flow
+ */
+
+import {Simulation} from './simulation';
+import {getCreatureReward} from './collision/triggers';
+import type {ResourceType} from '../server/api';
+import type {Scene} from '../server/store/scene';
+import type {Vector2} from '../server/store/math';
+import {
+  getTransformTranslation,
+  distance,
+  clamp,
+  roundToPrecision,
+} from '../server/store/math';
+import {getValue, createRandom} from '../server/store/util';
+
+/**
+ * A numeric entity property to optimize, with its current value, the range
+ * of values it may take and, optionally, the number of decimal places to
+ * which its values are rounded.
+ */
+export type Gene = {
+  id: string,
+  key: string,
+  property: string,
+  value: number,
+  min: number,
+  max: number,
+  precision?: ?number,
+};
+
+/** The measures by which individuals may be ranked. */
+export type FitnessMeasure = 'reward' | 'distance';
+
+/**
+ * Options for evolution.  Each generation, the elite individuals survive
+ * unchanged and the rest of the population is bred from parents chosen by
+ * tournament, with uniform crossover and mutations of each gene scaled by
+ * its range.
+ */
+export type EvolutionOptions = {
+  genes: Gene[],
+  root: string,
+  type?: ResourceType,
+  fitness?: FitnessMeasure,
+  populationSize?: number,
+  eliteCount?: number,
+  mutationRate?: number,
+  mutationScale?: number,
+  episodeFrames?: number,
+  seed?: number,
+};
+
+/** An evaluated set of gene values. */
+export type EvolutionResult = {
+  genome: number[],
+  fitness: number,
+  generation: number,
+};
+
+const DEFAULT_POPULATION_SIZE = 20;
+const DEFAULT_ELITE_COUNT = 2;
+const DEFAULT_MUTATION_RATE = 0.2;
+const DEFAULT_MUTATION_SCALE = 0.1;
+const DEFAULT_EPISODE_FRAMES = 600;
+
+// the number of individuals competing for each parent slot
+const TOURNAMENT_SIZE = 3;
+
+// the number of results to keep in the ranking
+const MAX_RESULTS = 10;
+
+/**
+ * Creates the edit that applies a set of gene values to their entities.
+ *
+ * @param genes the genes to apply.
+ * @param genome the values of the genes.
+ * @return the edit map, suitable for editEntities.
+ */
+export function createGenomeEdit(genes: Gene[], genome: number[]): Object {
+  const map = {};
+  genes.forEach((gene, index) => {
+    const edit = map[gene.id] || (map[gene.id] = {});
+    const componentEdit = edit[gene.key] || (edit[gene.key] = {});
+    componentEdit[gene.property] = genome[index];
+  });
+  return map;
+}
+
+/**
+ * Evolves the values of a set of genes by simulating an episode for each
+ * member of the population and ranking them by fitness.  Episodes are
+ * simulated a batch of frames at a time so that callers may interleave them
+ * with other work, and the elite individuals keep their fitness from one
+ * generation to the next rather than being simulated again.  Given the same
+ * scene and options, results are identical from run to run.
+ *
+ * @param json the JSON representation of the scene.
+ * @param options the genes to evolve, the id of the creature root whose
+ * fitness is measured, the type of scene (default environment), the fitness
+ * measure (default reward), the size of the population (default 20), the
+ * number of elite individuals (default 2), the probability of mutating each
+ * gene (default 0.2), the standard deviation of mutations relative to the
+ * gene range (default 0.1), the length of each episode in frames (default
+ * 600) and the random seed (default zero).
+ */
+export class Evolution {
+  _json: Object;
+  _options: EvolutionOptions;
+  _random: () => number;
+  _population: number[][];
+  _fitnesses: number[] = [];
+  _generation = 0;
+  _results: EvolutionResult[] = [];
+  _simulation: ?Simulation;
+  _start: Vector2;
+
+  /** Returns the number of the generation being evaluated. */
+  get generation(): number {
+    return this._generation;
+  }
+
+  /**
+   * Returns the number of individuals evaluated in the current generation,
+   * including the surviving elites.
+   */
+  get evaluated(): number {
+    return this._fitnesses.length;
+  }
+
+  /** Returns the best results so far, ranked from fittest to least fit. */
+  get results(): EvolutionResult[] {
+    return this._results;
+  }
+
+  constructor(json: Object, options: EvolutionOptions) {
+    this._json = json;
+    this._options = options;
+    this._random = createRandom(options.seed || 0);
+
+    // the first generation consists of the current values and mutations of
+    // every gene thereof
+    const populationSize = options.populationSize || DEFAULT_POPULATION_SIZE;
+    const initial = options.genes.map(gene => gene.value);
+    this._population = [initial];
+    while (this._population.length < populationSize) {
+      this._population.push(this._mutate(initial, 1.0));
+    }
+  }
+
+  /**
+   * Simulates the entire episode of the next individual in the population.
+   *
+   * @return the result of the episode.
+   */
+  evaluateNext(): EvolutionResult {
+    return this._endEpisode(this._advanceEpisode(Infinity));
+  }
+
+  /**
+   * Advances the episode of the next individual in the population by up to
+   * the specified number of frames, breeding the next generation once the
+   * current one has been evaluated.
+   *
+   * @param frames the maximum number of frames to simulate.
+   * @return the result of the episode, if it ended.
+   */
+  evaluateFrames(frames: number): ?EvolutionResult {
+    const simulation = this._advanceEpisode(frames);
+    return simulation.frame < this._getEpisodeFrames()
+      ? null
+      : this._endEpisode(simulation);
+  }
+
+  _getEpisodeFrames(): number {
+    return getValue(this._options.episodeFrames, DEFAULT_EPISODE_FRAMES);
+  }
+
+  _advanceEpisode(frames: number): Simulation {
+    const options = this._options;
+    let simulation = this._simulation;
+    if (!simulation) {
+      const genome = this._population[this._fitnesses.length];
+      this._simulation = simulation = new Simulation(this._json, {
+        type: options.type,
+        seed: options.seed,
+      }).edit(createGenomeEdit(options.genes, genome));
+      this._start = getRootTranslation(simulation.scene, options.root);
+    }
+    return simulation.step(
+      Math.min(frames, this._getEpisodeFrames() - simulation.frame),
+    );
+  }
+
+  _endEpisode(simulation: Simulation): EvolutionResult {
+    const options = this._options;
+    this._simulation = null;
+    const scene = simulation.scene;
+    const fitness =
+      options.fitness === 'distance'
+        ? distance(this._start, getRootTranslation(scene, options.root))
+        : getCreatureReward(scene, options.root);
+    const genome = this._population[this._fitnesses.length];
+    this._fitnesses.push(fitness);
+    const result = {genome, fitness, generation: this._generation};
+    this._addResult(result);
+    if (this._fitnesses.length === this._population.length) {
+      this._breed();
+    }
+    return result;
+  }
+
+  _addResult(result: EvolutionResult) {
+    // skip duplicates (such as surviving elites)
+    const key = result.genome.join();
+    if (this._results.some(other => other.genome.join() === key)) {
+      return;
+    }
+    this._results.push(result);
+    this._results.sort((a, b) => b.fitness - a.fitness);
+    this._results.length > MAX_RESULTS && this._results.pop();
+  }
+
+  _breed() {
+    const ranked = this._population
+      .map((genome, index) => [genome, this._fitnesses[index]])
+      .sort((a, b) => b[1] - a[1]);
+    // breed at least one child, so that each generation has something new
+    const eliteCount = Math.min(
+      getValue(this._options.eliteCount, DEFAULT_ELITE_COUNT),
+      ranked.length - 1,
+    );
+    const elites = ranked.slice(0, eliteCount);
+    const population = elites.map(entry => entry[0]);
+    while (population.length < ranked.length) {
+      const parentA = this._select(ranked);
+      const parentB = this._select(ranked);
+      const child = parentA.map((value, index) =>
+        this._random() < 0.5 ? value : parentB[index],
+      );
+      population.push(this._mutate(child));
+    }
+    this._population = population;
+    this._fitnesses = elites.map(entry => entry[1]);
+    this._generation++;
+  }
+
+  _select(ranked: [number[], number][]): number[] {
+    let best = ranked[Math.floor(this._random() * ranked.length)];
+    for (let ii = 1; ii < TOURNAMENT_SIZE; ii++) {
+      const entry = ranked[Math.floor(this._random() * ranked.length)];
+      entry[1] > best[1] && (best = entry);
+    }
+    return best[0];
+  }
+
+  _mutate(
+    genome: number[],
+    rate: number = getValue(this._options.mutationRate, DEFAULT_MUTATION_RATE),
+  ): number[] {
+    const options = this._options;
+    const scale = getValue(options.mutationScale, DEFAULT_MUTATION_SCALE);
+    return genome.map((value, index) => {
+      if (this._random() >= rate) {
+        return value;
+      }
+      const gene = options.genes[index];
+      const deviation = this._gaussian() * scale * (gene.max - gene.min);
+      const mutated = value + deviation;
+      return clamp(
+        gene.precision == null
+          ? mutated
+          : roundToPrecision(mutated, gene.precision),
+        gene.min,
+        gene.max,
+      );
+    });
+  }
+
+  _gaussian(): number {
+    // Box-Muller transform
+    return (
+      Math.sqrt(-2.0 * Math.log(1.0 - this._random())) *
+      Math.cos(2.0 * Math.PI * this._random())
+    );
+  }
+}
+
+function getRootTranslation(scene: Scene, root: string) {
+  return getTransformTranslation(scene.getWorldTransform(root));
+}
@@ -0,0 +1,436 @@
+/**
+ * Components related to evolving entity properties.
+ *
+ * @module client/evolve
+ * @flow
+ */
+
+import * as React from 'react';
+import * as ReactRedux from 'react-redux';
+import {FormattedMessage} from 'react-intl';
+import {
+  Button,
+  CustomInput,
+  Form,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+} from 'reactstrap';
+import type {PropertyData} from './component';
+import {Components, PropertyEditorGroup} from './component';
+import {store} from './store';
+import {EntityName} from './entity';
+import {getCreatureRoot} from './collision/triggers';
+import type {Gene, FitnessMeasure, EvolutionResult} from './evolution';
+import {Evolution, createGenomeEdit} from './evolution';
+import {FRAME_RATE} from './physics/physics';
+import {MenuItem, ApplyButton, LoadingSpinner} from './util/ui';
+import type {UserGetPreferencesResponse} from '../server/api';
+import {Scene, SceneActions} from '../server/store/scene';
+import {roundToPrecision} from '../server/store/math';
+import {getValue} from '../server/store/util';
+
+/**
+ * The menu item that opens the evolve dialog for the selected entities.
+ */
+export const EvolveItem = ReactRedux.connect(state => ({
+  disabled: !(state.resource instanceof Scene && state.selection.size > 0),
+}))(
+  (props: {
+    disabled: boolean,
+    preferences: UserGetPreferencesResponse,
+    setPreferences: UserGetPreferencesResponse => void,
+    setDialog: (?React.Element<any>) => void,
+  }) => (
+    <MenuItem
+      disabled={props.disabled}
+      onClick={() =>
+        props.setDialog(
+          <EvolveDialog
+            preferences={props.preferences}
+            setPreferences={props.setPreferences}
+            onClosed={() => props.setDialog(null)}
+          />,
+        )
+      }>
+      <FormattedMessage id="construct.evolve" defaultMessage="Evolve..." />
+    </MenuItem>
+  ),
+);
+
+const EvolveProperties: {[string]: PropertyData} = {
+  fitness: {
+    type: 'select',
+    label: <FormattedMessage id="evolve.fitness" defaultMessage="Fitness:" />,
+    options: [
+      {
+        label: (
+          <FormattedMessage
+            id="evolve.fitness.reward"
+            defaultMessage="Reward"
+          />
+        ),
+        value: 'reward',
+      },
+      {
+        label: (
+          <FormattedMessage
+            id="evolve.fitness.distance"
+            defaultMessage="Distance"
+          />
+        ),
+        value: 'distance',
+      },
+    ],
+    defaultValue: 'reward',
+  },
+  populationSize: {
+    type: 'number',
+    label: (
+      <FormattedMessage id="evolve.population" defaultMessage="Population:" />
+    ),
+    min: 2,
+    defaultValue: 20,
+  },
+  generations: {
+    type: 'number',
+    label: (
+      <FormattedMessage id="evolve.generations" defaultMessage="Generations:" />
+    ),
+    min: 1,
+    defaultValue: 10,
+  },
+  duration: {
+    type: 'number',
+    label: (
+      <FormattedMessage id="evolve.duration" defaultMessage="Episode (s):" />
+    ),
+    min: 0,
+    defaultValue: 10,
+  },
+};
+
+// the number of frames to simulate between updates, so as to keep the
+// interface responsive
+const FRAMES_PER_UPDATE = 30;
+
+/**
+ * A candidate gene with the elements used to label it.
+ */
+type GeneCandidate = {
+  gene: Gene,
+  name: string,
+  entityLabel: React.Element<any>,
+  propertyLabel: React.Element<any>,
+};
+
+class EvolveDialog extends React.Component<
+  {
+    preferences: UserGetPreferencesResponse,
+    setPreferences: UserGetPreferencesResponse => void,
+    onClosed: () => void,
+  },
+  {
+    open: boolean,
+    selected: Set<string>,
+    fitness: ?FitnessMeasure,
+    populationSize: ?number,
+    generations: ?number,
+    duration: ?number,
+    running: boolean,
+    generation: number,
+    evaluated: number,
+    results: EvolutionResult[],
+  },
+> {
+  state = {
+    open: true,
+    selected: (new Set(): Set<string>),
+    fitness: null,
+    populationSize: null,
+    generations: null,
+    duration: null,
+    running: false,
+    generation: 0,
+    evaluated: 0,
+    results: [],
+  };
+
+  _scene: ?Scene;
+  _root: ?string;
+  _candidates: GeneCandidate[] = [];
+  _genes: Gene[] = [];
+  _evolution: ?Evolution;
+  _timeoutId: ?TimeoutID;
+
+  constructor(...args: any[]) {
+    super(...args);
+    const state = store.getState();
+    const resource = state.resource;
+    if (!(resource instanceof Scene)) {
+      return;
+    }
+    this._scene = resource;
+    const firstId = state.selection.values().next().value;
+    const firstEntity = firstId && resource.getEntity(firstId);
+    this._root = firstEntity && getCreatureRoot(resource, firstEntity).id;
+    this._candidates = getGeneCandidates(resource, state.selection);
+  }
+
+  render() {
+    const properties = this._candidates.length > 0 ? EvolveProperties : {};
+    return (
+      <Modal
+        isOpen={this.state.open}
+        centered={true}
+        toggle={this._close}
+        onClosed={this.props.onClosed}>
+        <ModalHeader toggle={this._close}>
+          <FormattedMessage id="evolve.title" defaultMessage="Evolve" />
+        </ModalHeader>
+        <ModalBody>
+          {this._candidates.length === 0 ? (
+            <FormattedMessage
+              id="evolve.no_genes"
+              defaultMessage="The selection has no numeric properties."
+            />
+          ) : (
+            <div className="evolve-genes">
+              {this._candidates.map(candidate => (
+                <CustomInput
+                  key={candidate.name}
+                  id={'evolve_' + candidate.name}
+                  type="checkbox"
+                  disabled={this.state.running}
+                  checked={this.state.selected.has(candidate.name)}
+                  onChange={event => this._setSelected(candidate.name, event)}
+                  label={
+                    <FormattedMessage
+                      id="evolve.gene"
+                      defaultMessage="{entity} {property} [{min}, {max}]"
+                      values={{
+                        entity: candidate.entityLabel,
+                        property: candidate.propertyLabel,
+                        min: roundToPrecision(candidate.gene.min, 2),
+                        max: roundToPrecision(candidate.gene.max, 2),
+                      }}
+                    />
+                  }
+                />
+              ))}
+            </div>
+          )}
+          <Form>
+            <PropertyEditorGroup
+              properties={properties}
+              type="evolve"
+              labelSize={6}
+              values={this.state}
+              setValue={(key, value) => this.setState({[key]: value})}
+              preferences={this.props.preferences}
+              setPreferences={this.props.setPreferences}
+            />
+          </Form>
+          {this.state.running || this.state.results.length > 0 ? (
+            <div className="text-center">
+              <FormattedMessage
+                id="evolve.progress"
+                defaultMessage="Generation {generation}, episode {episode}"
+                values={{
+                  generation: this.state.generation + 1,
+                  episode: this.state.evaluated,
+                }}
+              />
+            </div>
+          ) : null}
+          <div className="evolve-results">
+            {this.state.results.map((result, index) => (
+              <div key={index} className="d-flex align-items-center">
+                <div className="flex-grow-1">
+                  <FormattedMessage
+                    id="evolve.result"
+                    defaultMessage={
+                      '{rank}. Fitness {fitness} (generation {generation})'
+                    }
+                    values={{
+                      rank: index + 1,
+                      fitness: roundToPrecision(result.fitness, 2),
+                      generation: result.generation + 1,
+                    }}
+                  />
+                </div>
+                <ApplyButton
+                  size="sm"
+                  onClick={() => this._applyResult(result)}
+                />
+              </div>
+            ))}
+          </div>
+        </ModalBody>
+        <ModalFooter>
+          {this.state.running ? (
+            <div className="flex-grow-1">
+              <LoadingSpinner />
+            </div>
+          ) : null}
+          {this.state.running ? (
+            <Button color="secondary" onClick={this._stop}>
+              <FormattedMessage id="evolve.stop" defaultMessage="Stop" />
+            </Button>
+          ) : (
+            <Button
+              color="primary"
+              disabled={this.state.selected.size === 0}
+              onClick={this._start}>
+              <FormattedMessage id="evolve.start" defaultMessage="Start" />
+            </Button>
+          )}
+        </ModalFooter>
+      </Modal>
+    );
+  }
+
+  componentWillUnmount() {
+    this._clearTimeout();
+  }
+
+  _setSelected(name: string, event: SyntheticInputEvent<>) {
+    const selected = new Set(this.state.selected);
+    event.target.checked ? selected.add(name) : selected.delete(name);
+    this.setState({selected});
+  }
+
+  _start = () => {
+    const scene = this._scene;
+    const root = this._root;
+    if (!(scene && root)) {
+      return;
+    }
+    const props = EvolveProperties;
+    const getOption = (name: string) =>
+      getValue(this.state[name], props[name].defaultValue);
+    this._genes = this._candidates
+      .filter(candidate => this.state.selected.has(candidate.name))
+      .map(candidate => candidate.gene);
+    this._evolution = new Evolution(scene.toJSON(), {
+      genes: this._genes,
+      root,
+      type: scene.getType(),
+      fitness: getOption('fitness'),
+      populationSize: getOption('populationSize'),
+      episodeFrames: Math.round(getOption('duration') * FRAME_RATE),
+    });
+    this.setState({running: true, generation: 0, evaluated: 0, results: []});
+    this._timeoutId = setTimeout(this._evaluateFrames, 0);
+  };
+
+  _evaluateFrames = () => {
+    const evolution = this._evolution;
+    if (!evolution) {
+      return;
+    }
+    evolution.evaluateFrames(FRAMES_PER_UPDATE);
+    const generations = getValue(
+      this.state.generations,
+      EvolveProperties.generations.defaultValue,
+    );
+    const running = evolution.generation < generations;
+    this.setState({
+      running,
+      generation: Math.min(evolution.generation, generations - 1),
+      evaluated: evolution.evaluated,
+      results: evolution.results.slice(),
+    });
+    this._timeoutId = running ? setTimeout(this._evaluateFrames, 0) : null;
+  };
+
+  _stop = () => {
+    this._clearTimeout();
+    this.setState({running: false});
+  };
+
+  _clearTimeout() {
+    this._timeoutId && clearTimeout(this._timeoutId);
+    this._timeoutId = null;
+  }
+
+  _close = () => {
+    this._stop();
+    this.setState({open: false});
+  };
+
+  _applyResult(result: EvolutionResult) {
+    store.dispatch(
+      SceneActions.editEntities.create(
+        createGenomeEdit(this._genes, result.genome),
+      ),
+    );
+  }
+}
+
+/**
+ * Finds the numeric properties of a set of entities and their descendants
+ * that may be used as genes.  Properties without a defined range may vary by
+ * the magnitude of their current values (or at least one) in either
+ * direction.  Numbers are rounded to the precision of their editors (whole
+ * numbers if unspecified), whereas angles vary continuously.
+ *
+ * @param scene the scene containing the entities.
+ * @param selection the ids of the selected entities.
+ * @return the candidate genes.
+ */
+function getGeneCandidates(
+  scene: Scene,
+  selection: Set<string>,
+): GeneCandidate[] {
+  const candidates: GeneCandidate[] = [];
+  const visited: Set<string> = new Set();
+  for (const selectedId of selection) {
+    const node = scene.getEntityHierarchyNode(selectedId);
+    node &&
+      node.applyToEntityIds(id => {
+        const entity = scene.getEntity(id);
+        if (visited.has(id) || !entity) {
+          return;
+        }
+        visited.add(id);
+        for (const key in entity.state) {
+          const component = Components[key];
+          if (!component) {
+            continue;
+          }
+          const data = entity.state[key];
+          for (const property in component.properties) {
+            const metadata = component.properties[property];
+            const value = getValue(data[property], metadata.defaultValue);
+            if (
+              !(metadata.type === 'number' || metadata.type === 'angle') ||
+              typeof value !== 'number'
+            ) {
+              continue;
+            }
+            const span = Math.max(Math.abs(value), 1.0);
+            candidates.push({
+              gene: {
+                id,
+                key,
+                property,
+                value,
+                min: getValue(metadata.min, value - span),
+                max: getValue(metadata.max, value + span),
+                precision:
+                  metadata.type === 'number'
+                    ? getValue(metadata.precision, 0)
+                    : null,
+              },
+              name: [id, key, property].join('_'),
+              entityLabel: <EntityName entity={entity} />,
+              propertyLabel: metadata.label,
+            });
+          }
+        }
+      });
+  }
+  return candidates;
+}
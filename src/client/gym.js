@@ -0,0 +1,235 @@
+/**
+ * Reinforcement learning environments in the style of OpenAI Gym, wrapping
+ * simulated scenes so that external code can train agents without the editor.
+ *
+ * @module client/gym
+ * @flow
+ */
+
+import {Simulation} from './simulation';
+import type {SimulationOptions} from './simulation';
+import {getCreatureReward} from './collision/triggers';
+import {ComponentModules} from './circuit/modules';
+import {ComponentSensors} from './sensor/sensors';
+import {ComponentEffectors} from './effector/effectors';
+import type {Scene} from '../server/store/scene';
+
+/** The options accepted by the gym environment constructor. */
+export type GymOptions = SimulationOptions & {
+  root?: string,
+  frameSkip?: number,
+  maxFrames?: number,
+  isDone?: (Scene, string) => boolean,
+};
+
+/** The result of a step in the environment. */
+export type GymStepResult = {
+  observation: number[],
+  reward: number,
+  done: boolean,
+};
+
+// the default maximum number of frames in an episode (one minute)
+const DEFAULT_MAX_FRAMES = 3600;
+
+/**
+ * A reinforcement learning environment containing a single construct instance
+ * that acts as the agent.  Observations are the outputs of the construct's
+ * input bus and actions are the inputs of its output bus, so that actions
+ * replace (rather than compete with) any circuit wired to the bus.  Rewards
+ * are those collected by the construct from triggers.
+ *
+ * @param json the JSON representation of the environment.
+ * @param [options] the simulation options, plus the id of the construct root
+ * (required only if the environment has more than one construct instance),
+ * the number of frames to advance per step (default one), the maximum number
+ * of frames per episode (default 3600) and an optional function that
+ * determines whether the episode has ended early.  Each episode uses the
+ * next seed after that of the last.
+ */
+export class GymEnvironment {
+  _json: Object;
+  _options: GymOptions;
+  _root: string;
+  _inputBus: string;
+  _outputBus: string;
+  _episode = -1;
+  _simulation: Simulation;
+  _observationNames: string[];
+  _actionNames: string[];
+  _reward = 0.0;
+
+  /** Returns a reference to the current simulation. */
+  get simulation(): Simulation {
+    return this._simulation;
+  }
+
+  /** Returns the names of the observation values, in order. */
+  get observationNames(): string[] {
+    return this._observationNames;
+  }
+
+  /** Returns the names of the action values, in order. */
+  get actionNames(): string[] {
+    return this._actionNames;
+  }
+
+  constructor(json: Object, options: GymOptions = {}) {
+    this._json = json;
+    this._options = options;
+    this.reset();
+  }
+
+  /**
+   * Starts a new episode.
+   *
+   * @return the initial observation.
+   */
+  reset(): number[] {
+    this._episode++;
+    this._simulation = new Simulation(this._json, {
+      ...this._options,
+      seed: (this._options.seed || 0) + this._episode,
+    });
+    this._root =
+      this._options.root || findConstructRoot(this._simulation.scene);
+    this._inputBus = this._findOrCreateBus(
+      'inputBus',
+      'sensors',
+      ComponentSensors,
+    );
+    this._outputBus = this._findOrCreateBus(
+      'outputBus',
+      'effectors',
+      ComponentEffectors,
+    );
+    const scene = this._simulation.scene;
+    const inputBus = scene.getEntity(this._inputBus);
+    const outputBus = scene.getEntity(this._outputBus);
+    this._observationNames = inputBus
+      ? Object.keys(
+          ComponentModules.inputBus.getOutputs(
+            scene.idTree,
+            inputBus.state.inputBus,
+          ),
+        )
+      : [];
+    this._actionNames = outputBus
+      ? Object.keys(
+          ComponentModules.outputBus.getInputs(
+            scene.idTree,
+            outputBus.state.outputBus,
+          ),
+        )
+      : [];
+    this._reward = getCreatureReward(scene, this._root);
+    return this._observe();
+  }
+
+  /**
+   * Applies an action and advances the simulation.
+   *
+   * @param action the output bus input values, either as an array ordered
+   * like the action names or as an object mapping names to values.  Missing
+   * values are treated as zero.
+   * @return the resulting observation, the reward collected since the last
+   * step, and whether or not the episode has ended.
+   */
+  step(action: number[] | {[string]: number}): GymStepResult {
+    const actions = {};
+    this._actionNames.forEach((name, index) => {
+      const value = Array.isArray(action) ? action[index] : action[name];
+      actions[name] = value || 0.0;
+    });
+    // the output bus applies the actions on every frame until the next step
+    const simulation = this._simulation;
+    simulation
+      .edit({[this._outputBus]: {outputBus: {actions}}})
+      .step(this._options.frameSkip || 1);
+    const scene = simulation.scene;
+    const totalReward = getCreatureReward(scene, this._root);
+    const reward = totalReward - this._reward;
+    this._reward = totalReward;
+    const isDone = this._options.isDone;
+    return {
+      observation: this._observe(),
+      reward,
+      done:
+        !scene.getEntity(this._root) ||
+        simulation.frame >= (this._options.maxFrames || DEFAULT_MAX_FRAMES) ||
+        !!(isDone && isDone(scene, this._root)),
+    };
+  }
+
+  _observe(): number[] {
+    // evaluate the input bus against the current state of the scene
+    const scene = this._simulation.scene;
+    const inputBus = scene.getEntity(this._inputBus);
+    const edit =
+      inputBus &&
+      ComponentModules.inputBus.evaluate(
+        inputBus.state.inputBus,
+        {},
+        0.0,
+        scene,
+        inputBus,
+        {},
+        [],
+      );
+    const values = (edit && edit.values) || {};
+    return this._observationNames.map(name => values[name] || 0.0);
+  }
+
+  _findOrCreateBus(
+    key: string,
+    listKey: string,
+    components: {+[string]: mixed},
+  ): string {
+    const scene = this._simulation.scene;
+    const node = scene.getEntityHierarchyNode(this._root);
+    let busId: ?string;
+    const list = {};
+    node &&
+      node.applyToEntityIds(id => {
+        const entity = scene.getEntity(id);
+        if (!entity) {
+          return;
+        }
+        if (entity.state[key]) {
+          busId = id;
+        }
+        for (const componentKey in entity.state) {
+          if (components[componentKey]) {
+            list[id] = true;
+            break;
+          }
+        }
+      });
+    if (busId) {
+      return busId;
+    }
+    // instances contain only the construct exterior, so add the bus here
+    const id = this._root + '-' + key;
+    this._simulation.edit({
+      [id]: {parent: {ref: this._root}, [key]: {[listKey]: list}},
+    });
+    return id;
+  }
+}
+
+/**
+ * Finds the root of the only construct instance in a scene.
+ *
+ * @param scene the scene to search.
+ * @return the id of the construct root.
+ */
+function findConstructRoot(scene: Scene): string {
+  const roots: string[] = [];
+  scene.idTree.applyToEntities(entity => {
+    entity.getConstruct() && roots.push(entity.id);
+  });
+  if (roots.length !== 1) {
+    throw new Error('Expected exactly one construct, found ' + roots.length);
+  }
+  return roots[0];
+}
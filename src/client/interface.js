@@ -137,6 +137,8 @@ export class Interface extends React.Component<
                   <ConstructDropdown
                     key="construct"
                     locale={this.props.locale}
+                    preferences={this.state.preferences}
+                    setPreferences={this._setPreferences}
                     setDialog={this._setDialog}
                   />,
                   <EntityDropdown key="entity" locale={this.props.locale} />,
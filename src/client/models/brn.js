@@ -5,8 +5,8 @@
  * @flow
  */
 
-import {Sbrrn} from './sbrrn';
-import type {SbrrnOptions} from './sbrrn';
+import {createSbrrn} from './sbrrn';
+import type {BaseSbrrn, SbrrnBackend, SbrrnOptions} from './sbrrn';
 
 export type BrnModelOptions = SbrrnOptions & {
   parentInputBits?: number,
@@ -21,8 +21,25 @@ export type BrnModelOptions = SbrrnOptions & {
  * @param [parent] the parent node, if not the root.
  */
 export class Brn {
+  /**
+   * Restores a network from its JSON representation.
+   *
+   * @param json the JSON representation of the network.
+   * @param [backend] the backend to use for the models (WebGL by default).
+   * @return the restored network.
+   */
+  static fromJSON(json: Object, backend?: SbrrnBackend): Brn {
+    const modelOptions: BrnModelOptions[] = [];
+    for (let level = json; level; level = level.children[0]) {
+      modelOptions.push({...level.model.options, backend});
+    }
+    const brn = new Brn(modelOptions);
+    brn.loadJSON(json);
+    return brn;
+  }
+
   _parent: ?Brn;
-  _model: Sbrrn;
+  _model: BaseSbrrn;
   _parentInputBits: number;
   _parentOutputBits: number;
   _inputBuffer: Uint8Array;
@@ -32,7 +49,7 @@ export class Brn {
   constructor(modelOptions: BrnModelOptions[], parent?: Brn) {
     this._parent = parent;
     const options = modelOptions[0];
-    this._model = new Sbrrn(options);
+    this._model = createSbrrn('sbrrn', options);
     this._parentInputBits = options.parentInputBits || 0;
     this._parentOutputBits = options.parentOutputBits || 0;
     this._inputBuffer = new Uint8Array(this._parentInputBits * 2 * 4);
@@ -146,12 +163,40 @@ export class Brn {
    *
    * @param address the address of the model of interest.
    */
-  getModel(address: boolean[]): Sbrrn {
+  getModel(address: boolean[]): BaseSbrrn {
     return address.length === 0
       ? this._model
       : this._children[Number(address[0])].getModel(address.slice(1));
   }
 
+  /**
+   * Serializes the network to JSON.
+   *
+   * @return the JSON representation.
+   */
+  toJSON(): Object {
+    return {
+      model: this._model.toJSON(),
+      children: this._children.map(child => child.toJSON()),
+    };
+  }
+
+  /**
+   * Restores the learned state of the network from its JSON representation.
+   *
+   * @param json the JSON representation, which must have the same structure
+   * as the network.
+   */
+  loadJSON(json: Object) {
+    if (json.children.length !== this._children.length) {
+      throw new Error('Incompatible network state.');
+    }
+    this._model.loadJSON(json.model);
+    this._children.forEach((child, index) =>
+      child.loadJSON(json.children[index]),
+    );
+  }
+
   /**
    * Releases the resources held by the model.
    */
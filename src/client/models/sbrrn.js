@@ -5,6 +5,9 @@
  * @flow
  */
 
+import {mix} from '../../server/store/math';
+import {createRandom} from '../../server/store/util';
+
 const REWARD_UNITS = {
   history: 0,
   probability: 1,
@@ -31,8 +34,23 @@ const OUTPUT_UNITS = {
 
 const INTEGER_MAX = Math.pow(2, 32);
 
+const DEFAULT_PROBABILITY_LIMIT = 6.0;
+const DEFAULT_HISTORY_DECAY_RATE = 0.01;
+
 /**
- * Options for the SBRRN model.
+ * The backends available to run SBRRN models: WebGL shaders or plain
+ * JavaScript.
+ */
+export type SbrrnBackend = 'webgl' | 'cpu';
+
+/**
+ * The versions of the SBRRN model.
+ */
+export type SbrrnType = 'sbrrn' | 'sbrrn2';
+
+/**
+ * Options for the SBRRN model.  If a seed is given, the initial states and
+ * noise are generated from it; otherwise, they're generated from Math.random.
  */
 export type SbrrnOptions = {
   width: number,
@@ -40,18 +58,244 @@ export type SbrrnOptions = {
   probabilityLimit?: number,
   historyDecayRate?: number,
   disableSelfInputs?: boolean,
+  backend?: SbrrnBackend,
+  seed?: number,
+};
+
+/**
+ * The learned state of an SBRRN model in a backend-independent form.  Each
+ * cell has eight probabilities, indexed by (self * 4 + input1 * 2 + input2),
+ * and, for the first iteration, sixteen history sums, indexed by
+ * ((self * 4 + input1 * 2 + input2) * 2 + nextState).
+ */
+export type SbrrnData = {
+  states: Uint8Array,
+  probabilities: Float32Array,
+  noise: Uint32Array,
+  history?: Float32Array,
 };
 
 /**
- * Base class for stochastic binary rule reinforcement networks.
+ * Creates an SBRRN model using the backend specified in the options (WebGL by
+ * default).
  *
+ * @param type the version of the model to create.
  * @param options the options for the model.
- * @param [canvas] an existing canvas to use rather than creating a new one.
+ * @param [canvas] an existing canvas to use for the WebGL backend.
+ * @return the new model.
  */
-export class AbstractSbrrn {
+export function createSbrrn(
+  type: SbrrnType,
+  options: SbrrnOptions,
+  canvas?: ?HTMLCanvasElement,
+): BaseSbrrn {
+  if (options.backend === 'cpu') {
+    return type === 'sbrrn2' ? new CpuSbrrn2(options) : new CpuSbrrn(options);
+  }
+  return type === 'sbrrn2'
+    ? new Sbrrn2(options, canvas)
+    : new Sbrrn(options, canvas);
+}
+
+/**
+ * Base class for stochastic binary rule reinforcement networks, independent
+ * of backend.
+ *
+ * @param options the options for the model.
+ */
+export class BaseSbrrn {
   /** The options provided to the constructor. */
   options: SbrrnOptions;
 
+  _random: () => number;
+
+  /**
+   * Restores a model from its JSON representation.
+   *
+   * @param json the JSON representation of the model.
+   * @param [backend] the backend to use (WebGL by default).
+   * @param [canvas] an existing canvas to use for the WebGL backend.
+   * @return the restored model.
+   */
+  static fromJSON(
+    json: Object,
+    backend?: SbrrnBackend,
+    canvas?: ?HTMLCanvasElement,
+  ): BaseSbrrn {
+    const model = createSbrrn(json.type, {...json.options, backend}, canvas);
+    model.loadJSON(json);
+    return model;
+  }
+
+  /** Returns the version of the model. */
+  get type(): SbrrnType {
+    throw new Error('Not implemented.');
+  }
+
+  constructor(options: SbrrnOptions) {
+    this.options = options;
+    this._random =
+      options.seed === undefined ? Math.random : createRandom(options.seed);
+  }
+
+  /**
+   * Sets the state of the system at the specified coordinates (i.e., set the
+   * value of an input).
+   *
+   * @param x the x coordinate of interest.
+   * @param y the y coordinate of interest.
+   * @param value the value to set at the coordinates.
+   */
+  setState(x: number, y: number, value: boolean) {
+    this.setStates(
+      x,
+      y,
+      1,
+      1,
+      new Uint8Array(value ? [255, 255, 255, 255] : [0, 0, 0, 0]),
+    );
+  }
+
+  /**
+   * Sets a block of states within the system.
+   *
+   * @param x the x coordinate of the block.
+   * @param y the y coordinate of the block.
+   * @param width the width of the block.
+   * @param height the height of the block.
+   * @param buffer the buffer containing the states.  Should be in RGBA format
+   * and thus at least width * height * 4 in size.
+   */
+  setStates(
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    buffer: Uint8Array,
+  ) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Executes a simulation time step.
+   *
+   * @param reward the amount of reward to grant.
+   */
+  step(reward: number) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Retrieves the state of the system at the specified coordinates (i.e., get
+   * the value of an output).
+   *
+   * @param x the x coordinate of interest.
+   * @param y the y coordinate of interest.
+   * @return the boolean state of the location.
+   */
+  getState(x: number, y: number): boolean {
+    const buffer = new Uint8Array(4);
+    this.getStates(x, y, 1, 1, buffer);
+    return !!buffer[0];
+  }
+
+  /**
+   * Retrieves a block of state data from the system.
+   *
+   * @param x the x coordinate of the block.
+   * @param y the y coordinate of the block.
+   * @param width the width of the block.
+   * @param height the height of the block.
+   * @param buffer the buffer in which to store the state.  Should be at least
+   * of size width * height * 4, since the state is read as RGBA data.
+   */
+  getStates(
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    buffer: Uint8Array,
+  ) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Retrieves the learned state of the model.
+   *
+   * @return the model data.
+   */
+  getData(): SbrrnData {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Replaces the learned state of the model.
+   *
+   * @param data the model data, as returned by getData.
+   */
+  setData(data: SbrrnData) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Serializes the model to JSON.
+   *
+   * @return the JSON representation.
+   */
+  toJSON(): Object {
+    const {backend, seed, ...options} = this.options;
+    const data = this.getData();
+    const json: Object = {
+      type: this.type,
+      options,
+      states: encodeArray(data.states),
+      probabilities: encodeArray(data.probabilities),
+      noise: encodeArray(data.noise),
+    };
+    data.history && (json.history = encodeArray(data.history));
+    return json;
+  }
+
+  /**
+   * Restores the learned state of the model from its JSON representation.
+   *
+   * @param json the JSON representation, which must be of the same type and
+   * dimensions as the model.
+   */
+  loadJSON(json: Object) {
+    if (
+      json.type !== this.type ||
+      json.options.width !== this.options.width ||
+      json.options.height !== this.options.height
+    ) {
+      throw new Error('Incompatible model state.');
+    }
+    const data: SbrrnData = {
+      states: decodeBytes(json.states),
+      probabilities: new Float32Array(decodeBytes(json.probabilities).buffer),
+      noise: new Uint32Array(decodeBytes(json.noise).buffer),
+    };
+    json.history &&
+      (data.history = new Float32Array(decodeBytes(json.history).buffer));
+    this.setData(data);
+  }
+
+  /**
+   * Releases the resources held by the model.
+   */
+  dispose() {
+    // nothing by default
+  }
+}
+
+/**
+ * Base class for stochastic binary rule reinforcement networks that run on
+ * WebGL.
+ *
+ * @param options the options for the model.
+ * @param [canvas] an existing canvas to use rather than creating a new one.
+ */
+export class AbstractSbrrn extends BaseSbrrn {
   /** The canvas we use for WebGL rendering. */
   canvas: HTMLCanvasElement;
 
@@ -107,7 +351,7 @@ export class AbstractSbrrn {
   };
 
   constructor(options: SbrrnOptions, canvas?: ?HTMLCanvasElement) {
-    this.options = options;
+    super(options);
     this.canvas = canvas || (document.createElement('CANVAS'): any);
     this.canvas.width = options.width;
     this.canvas.height = options.height;
@@ -128,7 +372,6 @@ export class AbstractSbrrn {
     gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
     gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, gl.NONE);
 
-    const DEFAULT_PROBABILITY_LIMIT = 6.0;
     this._probabilityLimit =
       options.probabilityLimit || DEFAULT_PROBABILITY_LIMIT;
 
@@ -379,7 +622,7 @@ export class AbstractSbrrn {
     const data = new Uint8Array(this.options.width * this.options.height * 4);
     if (initialize) {
       for (let ii = 0; ii < data.length; ) {
-        const value = (Math.random() * INTEGER_MAX) | 0;
+        const value = (this._random() * INTEGER_MAX) | 0;
         for (let jj = 0; jj < 32 && ii < data.length; jj++) {
           const level = (value >> jj) & 0x01 ? 255 : 0;
           data[ii++] = level;
@@ -454,7 +697,7 @@ export class AbstractSbrrn {
     const data = new Uint8Array(this.options.width * this.options.height * 4);
     if (initialize) {
       for (let ii = 0; ii < data.length; ) {
-        const value = (Math.random() * INTEGER_MAX) | 0;
+        const value = (this._random() * INTEGER_MAX) | 0;
         data[ii++] = value & 0xff;
         data[ii++] = (value >> 8) & 0xff;
         data[ii++] = (value >> 16) & 0xff;
@@ -545,24 +788,6 @@ export class AbstractSbrrn {
     return program;
   }
 
-  /**
-   * Sets the state of the system at the specified coordinates (i.e., set the
-   * value of an input).
-   *
-   * @param x the x coordinate of interest.
-   * @param y the y coordinate of interest.
-   * @param value the value to set at the coordinates.
-   */
-  setState(x: number, y: number, value: boolean) {
-    this.setStates(
-      x,
-      y,
-      1,
-      1,
-      new Uint8Array(value ? [255, 255, 255, 255] : [0, 0, 0, 0]),
-    );
-  }
-
   /**
    * Sets a block of states within the system.
    *
@@ -645,20 +870,6 @@ export class AbstractSbrrn {
     throw new Error('Not implemented.');
   }
 
-  /**
-   * Retrieves the state of the system at the specified coordinates (i.e., get
-   * the value of an output).
-   *
-   * @param x the x coordinate of interest.
-   * @param y the y coordinate of interest.
-   * @return the boolean state of the location.
-   */
-  getState(x: number, y: number): boolean {
-    const buffer = new Uint8Array(4);
-    this.getStates(x, y, 1, 1, buffer);
-    return !!buffer[0];
-  }
-
   /**
    * Retrieves a block of state data from the system.
    *
@@ -680,6 +891,181 @@ export class AbstractSbrrn {
     gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, buffer);
   }
 
+  getData(): SbrrnData {
+    const width = this.options.width;
+    const height = this.options.height;
+    const cellCount = width * height;
+    const stateData = this._readByteTexture(
+      this._stateTextures[this._textureIndex],
+      width,
+      height,
+    );
+    const noiseData = this._readByteTexture(
+      this._noiseTextures[this._textureIndex],
+      width,
+      height,
+    );
+    const states = new Uint8Array(cellCount);
+    const noise = new Uint32Array(cellCount);
+    for (let ii = 0, jj = 0; ii < cellCount; ii++, jj += 4) {
+      states[ii] = stateData[jj];
+
+      // the transition shader reads the noise bytes as big-endian
+      noise[ii] =
+        ((noiseData[jj] << 24) |
+          (noiseData[jj + 1] << 16) |
+          (noiseData[jj + 2] << 8) |
+          noiseData[jj + 3]) >>>
+        0;
+    }
+    // the probability texture layout is the same as that of the data
+    const probabilities = this._readFloatTexture(
+      this._probabilityTextures[1 - this._textureIndex],
+      width * 2,
+      height,
+    );
+    return {states, probabilities, noise};
+  }
+
+  setData(data: SbrrnData) {
+    const width = this.options.width;
+    const height = this.options.height;
+    const cellCount = width * height;
+    const stateData = new Uint8Array(cellCount * 4);
+    const noiseData = new Uint8Array(cellCount * 4);
+    for (let ii = 0, jj = 0; ii < cellCount; ii++, jj += 4) {
+      const state = data.states[ii];
+      stateData[jj] = stateData[jj + 1] = stateData[jj + 2] = state;
+      stateData[jj + 3] = 255;
+
+      const noise = data.noise[ii];
+      noiseData[jj] = noise >>> 24;
+      noiseData[jj + 1] = (noise >>> 16) & 0xff;
+      noiseData[jj + 2] = (noise >>> 8) & 0xff;
+      noiseData[jj + 3] = noise & 0xff;
+    }
+    this._writeByteTexture(
+      this._stateTextures[this._textureIndex],
+      width,
+      height,
+      stateData,
+    );
+    this._writeByteTexture(
+      this._noiseTextures[this._textureIndex],
+      width,
+      height,
+      noiseData,
+    );
+    this._writeFloatTexture(
+      this._probabilityTextures[1 - this._textureIndex],
+      width * 2,
+      height,
+      data.probabilities,
+    );
+
+    // render the states to the output so that we can sample them
+    this.renderStateTexture();
+  }
+
+  _readByteTexture(
+    texture: WebGLTexture,
+    width: number,
+    height: number,
+  ): Uint8Array {
+    const data = new Uint8Array(width * height * 4);
+    this._readTexture(texture, width, height, this._gl.UNSIGNED_BYTE, data);
+    return data;
+  }
+
+  _readFloatTexture(
+    texture: WebGLTexture,
+    width: number,
+    height: number,
+  ): Float32Array {
+    if (this._floatTextures) {
+      const data = new Float32Array(width * height * 4);
+      this._readTexture(texture, width, height, this._gl.FLOAT, data);
+      return data;
+    }
+    return Float32Array.from(
+      this._readByteTexture(texture, width, height),
+      value => value / 255,
+    );
+  }
+
+  _readTexture(
+    texture: WebGLTexture,
+    width: number,
+    height: number,
+    type: number,
+    data: Uint8Array | Float32Array,
+  ) {
+    const gl = this._gl;
+    const buffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, buffer);
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      texture,
+      0,
+    );
+    gl.readPixels(0, 0, width, height, gl.RGBA, type, data);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(buffer);
+  }
+
+  _writeByteTexture(
+    texture: WebGLTexture,
+    width: number,
+    height: number,
+    data: Uint8Array,
+  ) {
+    const gl = this._gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texSubImage2D(
+      gl.TEXTURE_2D,
+      0,
+      0,
+      0,
+      width,
+      height,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      data,
+    );
+  }
+
+  _writeFloatTexture(
+    texture: WebGLTexture,
+    width: number,
+    height: number,
+    data: Float32Array,
+  ) {
+    if (!this._floatTextures) {
+      this._writeByteTexture(
+        texture,
+        width,
+        height,
+        Uint8Array.from(data, value => Math.round(value * 255)),
+      );
+      return;
+    }
+    const gl = this._gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texSubImage2D(
+      gl.TEXTURE_2D,
+      0,
+      0,
+      0,
+      width,
+      height,
+      gl.RGBA,
+      gl.FLOAT,
+      data,
+    );
+  }
+
   /**
    * Renders the connection texture to the canvas for debugging.
    *
@@ -786,7 +1172,6 @@ export class Sbrrn extends AbstractSbrrn {
   constructor(options: SbrrnOptions, canvas?: ?HTMLCanvasElement) {
     super(options, canvas);
 
-    const DEFAULT_HISTORY_DECAY_RATE = 0.01;
     this._historyDecayRate =
       options.historyDecayRate || DEFAULT_HISTORY_DECAY_RATE;
 
@@ -851,6 +1236,50 @@ export class Sbrrn extends AbstractSbrrn {
     };
   }
 
+  get type(): SbrrnType {
+    return 'sbrrn';
+  }
+
+  getData(): SbrrnData {
+    const data = super.getData();
+    const width = this.options.width;
+    const height = this.options.height;
+    const historyData = this._readFloatTexture(
+      this._historyTextures[1 - this._textureIndex],
+      width * 2,
+      height * 2,
+    );
+    const history = new Float32Array(width * height * 16);
+    applyToHistoryTexels(width, height, (index, texelIndex) => {
+      for (let ii = 0; ii < 4; ii++) {
+        history[index + ii] = historyData[texelIndex + ii];
+      }
+    });
+    return {...data, history};
+  }
+
+  setData(data: SbrrnData) {
+    super.setData(data);
+    const history = data.history;
+    if (!history) {
+      return;
+    }
+    const width = this.options.width;
+    const height = this.options.height;
+    const historyData = new Float32Array(width * height * 16);
+    applyToHistoryTexels(width, height, (index, texelIndex) => {
+      for (let ii = 0; ii < 4; ii++) {
+        historyData[texelIndex + ii] = history[index + ii];
+      }
+    });
+    this._writeFloatTexture(
+      this._historyTextures[1 - this._textureIndex],
+      width * 2,
+      height * 2,
+      historyData,
+    );
+  }
+
   renderHistoryTexture(swizzle: boolean, offsetS: number, offsetT: number) {
     this._renderTexture(
       this._historyTextures[this._textureIndex],
@@ -968,6 +1397,10 @@ export class Sbrrn extends AbstractSbrrn {
  * @param [canvas] an existing canvas to use rather than creating a new one.
  */
 export class Sbrrn2 extends AbstractSbrrn {
+  get type(): SbrrnType {
+    return 'sbrrn2';
+  }
+
   _getRewardShaderSource(): string {
     return `
       #extension GL_EXT_draw_buffers : require
@@ -999,6 +1432,334 @@ export class Sbrrn2 extends AbstractSbrrn {
   }
 }
 
+/**
+ * Base class for stochastic binary rule reinforcement networks that run in
+ * plain JavaScript, for use where WebGL isn't available.  The update rules are
+ * the same as those of the shaders, and the noise comes from the same linear
+ * congruential generator (though without the shaders' byte packing, so the
+ * random sequences differ in detail).
+ *
+ * @param options the options for the model.
+ */
+export class AbstractCpuSbrrn extends BaseSbrrn {
+  _probabilityLimit: number;
+
+  // the input cell indices for each cell (two per cell)
+  _connections: Uint32Array;
+
+  // the states of each cell, 0-255 as in the WebGL textures
+  _states: Uint8Array;
+  _nextStates: Uint8Array;
+
+  // the normalized probabilities for each cell, eight per cell indexed by
+  // (self * 4 + input1 * 2 + input2)
+  _probabilities: Float32Array;
+
+  // the generator states for each cell
+  _noise: Uint32Array;
+
+  constructor(options: SbrrnOptions) {
+    super(options);
+    this._probabilityLimit =
+      options.probabilityLimit || DEFAULT_PROBABILITY_LIMIT;
+
+    // same connection pattern as the connection texture, clamped to the edges
+    const width = options.width;
+    const height = options.height;
+    const cellCount = width * height;
+    this._connections = new Uint32Array(cellCount * 2);
+    const getIndex = (x: number, y: number) =>
+      Math.min(Math.max(y, 0), height - 1) * width +
+      Math.min(Math.max(x, 0), width - 1);
+    for (let yy = 0, ii = 0; yy < height; yy++) {
+      for (let xx = 0; xx < width; xx++) {
+        if ((xx & 1) === (yy & 1)) {
+          this._connections[ii++] = getIndex(xx - 1, yy);
+          this._connections[ii++] = getIndex(xx + 1, yy);
+        } else {
+          this._connections[ii++] = getIndex(xx, yy - 1);
+          this._connections[ii++] = getIndex(xx, yy + 1);
+        }
+      }
+    }
+
+    // initialize states and noise in the same order as the textures
+    this._states = new Uint8Array(cellCount);
+    this._nextStates = new Uint8Array(cellCount);
+    for (let ii = 0; ii < cellCount; ) {
+      const value = (this._random() * INTEGER_MAX) | 0;
+      for (let jj = 0; jj < 32 && ii < cellCount; jj++) {
+        this._states[ii++] = (value >> jj) & 0x01 ? 255 : 0;
+      }
+    }
+    this._probabilities = new Float32Array(cellCount * 8);
+    this._probabilities.fill(0.5);
+    this._noise = new Uint32Array(cellCount);
+    for (let ii = 0; ii < cellCount; ii++) {
+      this._noise[ii] = (this._random() * INTEGER_MAX) >>> 0;
+    }
+  }
+
+  setStates(
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    buffer: Uint8Array,
+  ) {
+    for (let yy = 0, ii = 0; yy < height; yy++) {
+      const offset = (y + yy) * this.options.width + x;
+      for (let xx = 0; xx < width; xx++, ii += 4) {
+        this._states[offset + xx] = buffer[ii];
+      }
+    }
+  }
+
+  step(reward: number) {
+    this._applyReward(reward);
+
+    const states = this._states;
+    const nextStates = this._nextStates;
+    const probabilities = this._probabilities;
+    const disableSelfInputs = this.options.disableSelfInputs;
+    for (let ii = 0; ii < states.length; ii++) {
+      // use our input addresses to get the states of this cell and inputs
+      const self = disableSelfInputs ? 0.0 : states[ii] / 255;
+      const input1 = states[this._connections[ii * 2]] / 255;
+      const input2 = states[this._connections[ii * 2 + 1]] / 255;
+
+      // choose probability from the eight possible based on states
+      const base = ii * 8;
+      const mix2 = (index: number) =>
+        mix(probabilities[index], probabilities[index + 1], input2);
+      const mixed = mix(
+        mix(mix2(base), mix2(base + 2), input1),
+        mix(mix2(base + 4), mix2(base + 6), input1),
+        self,
+      );
+      const finalProb = (mixed - 0.5) * 2.0 * this._probabilityLimit;
+
+      // apply the logistic function to turn raw value into prob. threshold
+      const threshold = 1.0 / (1.0 + Math.exp(-finalProb));
+      const randomValue = this._noise[ii] / INTEGER_MAX;
+      const nextState = randomValue <= threshold ? 1.0 : 0.0;
+      this._recordDecision(ii, self, input1, input2, nextState);
+      nextStates[ii] = nextState * 255;
+      this._noise[ii] =
+        (Math.imul(this._noise[ii], 1664525) + 1013904223) >>> 0;
+    }
+    this._nextStates = states;
+    this._states = nextStates;
+  }
+
+  getData(): SbrrnData {
+    return {
+      states: this._states.slice(),
+      probabilities: this._probabilities.slice(),
+      noise: this._noise.slice(),
+    };
+  }
+
+  setData(data: SbrrnData) {
+    this._states.set(data.states);
+    this._probabilities.set(data.probabilities);
+    this._noise.set(data.noise);
+  }
+
+  _applyReward(reward: number) {
+    throw new Error('Not implemented.');
+  }
+
+  _recordDecision(
+    index: number,
+    self: number,
+    input1: number,
+    input2: number,
+    nextState: number,
+  ) {
+    // nothing by default
+  }
+
+  getStates(
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    buffer: Uint8Array,
+  ) {
+    for (let yy = 0, ii = 0; yy < height; yy++) {
+      const offset = (y + yy) * this.options.width + x;
+      for (let xx = 0; xx < width; xx++) {
+        const state = this._states[offset + xx];
+        buffer[ii++] = state;
+        buffer[ii++] = state;
+        buffer[ii++] = state;
+        buffer[ii++] = 255;
+      }
+    }
+  }
+}
+
+/**
+ * JavaScript version of the first iteration of the SBRRN model.
+ *
+ * @param options the options for the model.
+ */
+export class CpuSbrrn extends AbstractCpuSbrrn {
+  _historyDecayRate: number;
+
+  // the decision history sums for each cell, sixteen per cell indexed by
+  // ((self * 4 + input1 * 2 + input2) * 2 + nextState)
+  _history: Float32Array;
+
+  constructor(options: SbrrnOptions) {
+    super(options);
+    this._historyDecayRate =
+      options.historyDecayRate || DEFAULT_HISTORY_DECAY_RATE;
+    this._history = new Float32Array(options.width * options.height * 16);
+  }
+
+  get type(): SbrrnType {
+    return 'sbrrn';
+  }
+
+  getData(): SbrrnData {
+    return {...super.getData(), history: this._history.slice()};
+  }
+
+  setData(data: SbrrnData) {
+    super.setData(data);
+    data.history && this._history.set(data.history);
+  }
+
+  _applyReward(reward: number) {
+    const probabilities = this._probabilities;
+    const history = this._history;
+    const probabilityLimit = this._probabilityLimit;
+    const probabilityLimit2 = probabilityLimit * 2.0;
+    for (let ii = 0; ii < probabilities.length; ii++) {
+      // move probability based on reward and rule history
+      const history0 = history[ii * 2];
+      const history1 = history[ii * 2 + 1];
+      let newProb = (probabilities[ii] - 0.5) * probabilityLimit2;
+
+      // positive reward reinforces the rules we've been applying
+      newProb += Math.max(reward, 0.0) * (history1 - history0);
+
+      // negative reward ("punishment") causes a reversion to the center
+      const punishmentSum = Math.min(reward, 0.0) * (history1 + history0);
+      newProb +=
+        Math.max(-Math.max(newProb, 0.0), punishmentSum) -
+        Math.max(Math.min(newProb, 0.0), punishmentSum);
+
+      // clamp to our limit so that we can "unlearn" reasonably rapidly
+      probabilities[ii] =
+        Math.min(Math.max(newProb, -probabilityLimit), probabilityLimit) /
+          probabilityLimit2 +
+        0.5;
+    }
+  }
+
+  _recordDecision(
+    index: number,
+    self: number,
+    input1: number,
+    input2: number,
+    nextState: number,
+  ) {
+    // the decay rate controls how long historical decisions linger
+    const history = this._history;
+    const rate = this._historyDecayRate;
+    const decision = [self, input1, input2, nextState];
+    for (let ii = 0, jj = index * 16; ii < 16; ii++, jj++) {
+      let active = 1.0;
+      for (let kk = 0; kk < 4; kk++) {
+        const value = decision[kk];
+        active *= (ii >> (3 - kk)) & 1 ? value : 1.0 - value;
+      }
+      history[jj] = mix(history[jj], active, rate);
+    }
+  }
+}
+
+/**
+ * JavaScript version of the second iteration of the SBRRN model.
+ *
+ * @param options the options for the model.
+ */
+export class CpuSbrrn2 extends AbstractCpuSbrrn {
+  get type(): SbrrnType {
+    return 'sbrrn2';
+  }
+
+  _applyReward(reward: number) {
+    // the probabilities never leave their limits, so there's nothing to do
+  }
+}
+
+/**
+ * Applies an operation to each group of four history values, mapping their
+ * index in the model data to that in the history texture, where each cell
+ * occupies a two-by-two block of texels (self on the S axis, input1 on T).
+ *
+ * @param width the width of the model.
+ * @param height the height of the model.
+ * @param op the operation to apply to each pair of indices.
+ */
+function applyToHistoryTexels(
+  width: number,
+  height: number,
+  op: (number, number) => void,
+) {
+  for (let yy = 0, index = 0; yy < height; yy++) {
+    for (let xx = 0; xx < width; xx++) {
+      for (let self = 0; self < 2; self++) {
+        for (let input1 = 0; input1 < 2; input1++, index += 4) {
+          op(index, ((yy * 2 + input1) * width * 2 + xx * 2 + self) * 4);
+        }
+      }
+    }
+  }
+}
+
+// the number of bytes to convert to characters at once when encoding
+const ENCODE_CHUNK_SIZE = 8192;
+
+function encodeArray(array: Uint8Array | Uint32Array | Float32Array): string {
+  // typed arrays are stored in platform (in practice, little-endian) order
+  const bytes = new Uint8Array(
+    array.buffer,
+    array.byteOffset,
+    array.byteLength,
+  );
+  // Node (before version 16) has no btoa, but it does have Buffer
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString(
+      'base64',
+    );
+  }
+  let string = '';
+  for (let ii = 0; ii < bytes.length; ii += ENCODE_CHUNK_SIZE) {
+    string += String.fromCharCode(
+      ...Array.from(bytes.subarray(ii, ii + ENCODE_CHUNK_SIZE)),
+    );
+  }
+  return btoa(string);
+}
+
+function decodeBytes(encoded: string): Uint8Array {
+  if (typeof Buffer !== 'undefined') {
+    // copy, since small buffers share a pool (and callers use the whole one)
+    return new Uint8Array(Buffer.from(encoded, 'base64'));
+  }
+  const string = atob(encoded);
+  const bytes = new Uint8Array(string.length);
+  for (let ii = 0; ii < string.length; ii++) {
+    bytes[ii] = string.charCodeAt(ii);
+  }
+  return bytes;
+}
+
 type TextureVisualizerMode = 'connection' | 'probability' | 'history';
 
 /**
@@ -1106,7 +1867,7 @@ export class StateVisualizer {
   _backCanvas: HTMLCanvasElement;
   _ctx: CanvasRenderingContext2D;
   _backCtx: CanvasRenderingContext2D;
-  _model: AbstractSbrrn;
+  _model: BaseSbrrn;
   _locations: Point[];
   _length: number;
   _fillStyle: string;
@@ -1117,7 +1878,7 @@ export class StateVisualizer {
   _averages: {states: number[], sum: number}[] = [];
 
   constructor(
-    model: AbstractSbrrn,
+    model: BaseSbrrn,
     locations: Point[],
     length: number,
     fillStyle: string = '#FFF',
@@ -10,6 +10,9 @@ import {FormattedMessage} from 'react-intl';
 import type {ComponentData, CategoryData} from '../component';
 import {vec2} from '../../server/store/math';
 
+// ensure that renderers are included in build
+import './renderers';
+
 /**
  * The physics component category.
  */
@@ -17,6 +20,10 @@ export const PhysicsCategory: {[string]: CategoryData} = {
   physics: {
     label: <FormattedMessage id="physics.title" defaultMessage="Physics" />,
   },
+  joint: {
+    label: <FormattedMessage id="joint.title" defaultMessage="Joint" />,
+    parent: 'physics',
+  },
 };
 
 /**
@@ -31,6 +38,22 @@ export const DynamicProperty = {
   },
 };
 
+/**
+ * Shared properties for the bodies connected by a joint.
+ */
+export const JointBodiesProperties = {
+  bodyA: {
+    type: 'entity',
+    label: <FormattedMessage id="joint.body_a" defaultMessage="Body A:" />,
+    component: 'rigidBody',
+  },
+  bodyB: {
+    type: 'entity',
+    label: <FormattedMessage id="joint.body_b" defaultMessage="Body B:" />,
+    component: 'rigidBody',
+  },
+};
+
 /**
  * Physics component metadata mapped by component name.
  */
@@ -38,16 +61,24 @@ export const PhysicsComponents: {[string]: ComponentData} = {
   gravity: {
     label: <FormattedMessage id="gravity.title" defaultMessage="Gravity" />,
     properties: {
-      color: {
+      acceleration: {
         type: 'vector',
         label: (
           <FormattedMessage id="gravity.acceleration" defaultMessage="Accel:" />
         ),
         defaultValue: vec2(0.0, -9.8),
       },
+      radial: {
+        type: 'number',
+        label: (
+          <FormattedMessage id="gravity.radial" defaultMessage="Radial:" />
+        ),
+        step: 0.1,
+        precision: 1,
+        defaultValue: 0.0,
+      },
     },
     page: true,
-    entity: false,
     category: 'physics',
   },
   rigidBody: {
@@ -101,7 +132,156 @@ export const PhysicsComponents: {[string]: ComponentData} = {
         precision: 2,
         defaultValue: 0.5,
       },
+      friction: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="rigid_body.friction"
+            defaultMessage="Friction:"
+          />
+        ),
+        min: 0.0,
+        step: 0.01,
+        wheelStep: 0.1,
+        precision: 2,
+        defaultValue: 0.5,
+      },
+      bullet: {
+        type: 'boolean',
+        label: (
+          <FormattedMessage id="rigid_body.bullet" defaultMessage="Bullet:" />
+        ),
+      },
     },
     category: 'physics',
   },
+  revoluteJoint: {
+    label: (
+      <FormattedMessage
+        id="revolute_joint.title"
+        defaultMessage="Revolute Joint"
+      />
+    ),
+    properties: {
+      ...JointBodiesProperties,
+      motorSpeed: {
+        type: 'angle',
+        label: (
+          <FormattedMessage
+            id="revolute_joint.motor_speed"
+            defaultMessage="Motor Speed:"
+          />
+        ),
+        min: -Infinity,
+        max: Infinity,
+      },
+      maxMotorTorque: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="revolute_joint.max_motor_torque"
+            defaultMessage="Max Torque:"
+          />
+        ),
+        min: 0.0,
+        step: 0.1,
+        wheelStep: 1.0,
+        precision: 1,
+        defaultValue: 0.0,
+      },
+      limitAngles: {
+        type: 'boolean',
+        label: (
+          <FormattedMessage
+            id="revolute_joint.limit_angles"
+            defaultMessage="Limit Angles:"
+          />
+        ),
+      },
+      lowerAngle: {
+        type: 'angle',
+        label: (
+          <FormattedMessage
+            id="revolute_joint.lower_angle"
+            defaultMessage="Lower Angle:"
+          />
+        ),
+        defaultValue: -Math.PI * 0.25,
+      },
+      upperAngle: {
+        type: 'angle',
+        label: (
+          <FormattedMessage
+            id="revolute_joint.upper_angle"
+            defaultMessage="Upper Angle:"
+          />
+        ),
+        defaultValue: Math.PI * 0.25,
+      },
+    },
+    category: 'joint',
+  },
+  weldJoint: {
+    label: (
+      <FormattedMessage id="weld_joint.title" defaultMessage="Weld Joint" />
+    ),
+    properties: {
+      ...JointBodiesProperties,
+    },
+    category: 'joint',
+  },
+  distanceJoint: {
+    label: (
+      <FormattedMessage
+        id="distance_joint.title"
+        defaultMessage="Distance Joint"
+      />
+    ),
+    properties: {
+      ...JointBodiesProperties,
+      length: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="distance_joint.length"
+            defaultMessage="Length:"
+          />
+        ),
+        min: 0.0,
+        step: 0.01,
+        wheelStep: 0.1,
+        precision: 2,
+        defaultValue: 1.0,
+      },
+      stiffness: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="distance_joint.stiffness"
+            defaultMessage="Stiffness:"
+          />
+        ),
+        min: 0.0,
+        step: 0.1,
+        wheelStep: 1.0,
+        precision: 1,
+        defaultValue: 0.0,
+      },
+      damping: {
+        type: 'number',
+        label: (
+          <FormattedMessage
+            id="distance_joint.damping"
+            defaultMessage="Damping:"
+          />
+        ),
+        min: 0.0,
+        step: 0.01,
+        wheelStep: 0.1,
+        precision: 2,
+        defaultValue: 0.0,
+      },
+    },
+    category: 'joint',
+  },
 };
@@ -5,32 +5,454 @@
  * @flow
  */
 
+import {PhysicsComponents} from './components';
 import {ComponentColliders} from '../collision/colliders';
+import {
+  applyToPotentialContacts,
+  transferPairCache,
+  getPairCount,
+} from '../collision/broadphase';
+import {FlagsProperty, MaskProperty} from '../collision/components';
 import type {Entity} from '../../server/store/resource';
-import type {Scene} from '../../server/store/scene';
+import type {IdTreeNode, Scene} from '../../server/store/scene';
+import {mergeEdits, getWorldTransform} from '../../server/store/scene';
+import {
+  DEFAULT_THICKNESS,
+  getCollisionGeometry,
+} from '../../server/store/geometry';
+import {withContactThickness} from '../../server/store/collision';
+import type {Vector2, Transform} from '../../server/store/math';
 import {
   ZERO_VECTOR,
   getTransformTranslation,
   getTransformRotation,
+  getTransformScale,
+  getTransformMatrix,
+  getTransformInverseMatrix,
+  composeTransforms,
+  invertTransform,
+  transformPoint,
+  transformVector,
+  transformBounds,
+  vec2,
   times,
+  timesEquals,
   plusEquals,
+  minus,
+  minusEquals,
+  rotateEquals,
+  normalize,
+  normalizeEquals,
+  orthogonalize,
+  dot,
+  cross,
+  distance,
   length,
+  clamp,
   normalizeAngle,
+  getTransformMaxScaleMagnitude,
+  mix,
+  emptyBounds,
+  addToBoundsEquals,
+  expandBoundsEquals,
 } from '../../server/store/math';
+import {getValue, createRandom} from '../../server/store/util';
 
 type PhysicsData = {
   isActive: Object => boolean,
   advance: (Scene, Entity, number, Object) => boolean,
 };
 
+type JointBody = {
+  entity: ?Entity,
+  mass: MassProperties,
+  transform: Transform,
+  matrix: number[],
+  inverseParentMatrix: number[],
+  center: Vector2,
+  rotation: number,
+  linearVelocity: Vector2,
+  angularVelocity: number,
+  initialLinearVelocity: Vector2,
+  initialAngularVelocity: number,
+};
+
+type JointState = {
+  data: Object,
+  anchorData: Object,
+  bodyA: JointBody,
+  bodyB: JointBody,
+  anchorA: Vector2,
+  anchorB: Vector2,
+  duration: number,
+  motorImpulse: number,
+  limitImpulse: number,
+  springImpulse: number,
+};
+
+/** Timings and counts from the most recent simulation steps. */
+export type PhysicsStats = {
+  stepTime: number,
+  activeEntities: number,
+  pairs: number,
+};
+
+/** The mass properties of a rigid body. */
+export type MassProperties = {
+  inverseMass: number,
+  inverseInertia: number,
+  centerOfMass: Vector2,
+};
+
+/** A contact point and its accumulated impulses, as solved. */
+type SolverContact = {
+  contact: Vector2,
+  arm: Vector2,
+  otherArm: Vector2,
+  armCross: number,
+  otherArmCross: number,
+  normalMass: number,
+  tangentMass: number,
+  targetSpeed: number,
+  normalImpulse: number,
+  tangentImpulse: number,
+};
+
+// relative speeds below which contacts don't bounce (to let bodies settle)
+const RESTING_SPEED = 0.5;
+
+// the fraction of penetration corrected per step, the amount tolerated, and
+// the maximum distance corrected per step (so that corrections don't launch
+// bodies away from their contacts)
+const CORRECTION_FRACTION = 0.8;
+const PENETRATION_SLOP = 0.01;
+const MAX_CORRECTION = 0.05;
+
+// the number of impulse passes over the contacts with each other body
+const CONTACT_ITERATIONS = 8;
+
+// bodies slower than these speeds for the sleep delay (in seconds) go to sleep
+const SLEEP_LINEAR_SPEED = 0.25;
+const SLEEP_ANGULAR_SPEED = 0.1;
+const SLEEP_DELAY = 0.5;
+
+// the weight given to each new sample in the smoothed step time
+const STEP_TIME_WEIGHT = 0.1;
+
+const gravityBounds = {min: vec2(), max: vec2()};
+const penetration = vec2();
+const normal = vec2();
+const tangent = vec2();
+const relativeVelocity = vec2();
+
+// the number of velocity iterations used to solve each joint
+const JOINT_ITERATIONS = 4;
+
+// the fraction of joint position error corrected per step
+const JOINT_CORRECTION_FRACTION = 0.2;
+
+const STATIC_MASS = {
+  inverseMass: 0.0,
+  inverseInertia: 0.0,
+  centerOfMass: ZERO_VECTOR,
+};
+
+// the maximum number of sub-steps used to sweep bullet bodies
+const MAX_SWEEP_STEPS = 32;
+
+// the number of bisections used to refine the time of impact
+const TIME_OF_IMPACT_ITERATIONS = 8;
+
+type SweepCandidate = {
+  entity: Entity,
+  collider: Object,
+  transform: Transform,
+};
+
+const sweepBounds = {min: vec2(), max: vec2()};
+
+const velocityA = vec2();
+const velocityB = vec2();
+const impulse = vec2();
+
+// maps id trees to the sets of bodies each body is jointed to
+const jointedBodies: WeakMap<
+  IdTreeNode,
+  Map<string, Set<string>>,
+> = new WeakMap();
+
+/** The rate at which the simulation advances, in frames per second. */
+export const FRAME_RATE = 60;
+
+/** The real time between frames, in milliseconds. */
+export const FRAME_DELAY = 1000 / FRAME_RATE;
+
+/** The simulated time covered by each frame, in seconds. */
+export const STEP_DURATION = 1.0 / FRAME_RATE;
+
+// the source of randomness for anything stochastic in the simulation
+let currentRandom = createRandom(0);
+
+const stats: PhysicsStats = {stepTime: 0.0, activeEntities: 0, pairs: 0};
+
+/**
+ * Returns the statistics gathered from the most recent simulation steps.  The
+ * step time is smoothed over several steps.
+ *
+ * @return the stats object, which is updated in place.
+ */
+export function getPhysicsStats(): PhysicsStats {
+  return stats;
+}
+
+/**
+ * Returns a pseudo-random number from the simulation's generator.  Anything
+ * random in the simulation should use this (rather than Math.random) so that
+ * results can be reproduced from a seed.
+ *
+ * @return a pseudo-random number in [0, 1).
+ */
+export function random(): number {
+  return currentRandom();
+}
+
+/**
+ * Replaces the simulation's random number generator.
+ *
+ * @param random the new generator.
+ * @return the previous generator, so that it may be restored.
+ */
+export function setRandom(random: () => number): () => number {
+  const previousRandom = currentRandom;
+  currentRandom = random;
+  return previousRandom;
+}
+
+/**
+ * Creates a generator for a single frame of a simulation.  Because each
+ * frame's generator depends only on the seed and the frame number, the
+ * simulation can be resumed from any intermediate state with identical
+ * results.
+ *
+ * @param seed the simulation's random seed.
+ * @param frame the number of the frame being advanced.
+ * @return the generator to use for the frame.
+ */
+export function createFrameRandom(seed: number, frame: number): () => number {
+  return createRandom(seed ^ Math.imul(frame + 1, 0x9e3779b1));
+}
+
+/**
+ * Finds the ids of all entities in a scene with active physics components.
+ *
+ * @param scene the scene to search.
+ * @return the set of active entity ids.
+ */
+export function getActiveEntityIds(scene: Scene): Set<string> {
+  const activeEntityIds: Set<string> = new Set();
+  scene.idTree.applyToEntities(entity => {
+    if (isEntityActive(entity)) {
+      activeEntityIds.add(entity.id);
+    }
+  });
+  return activeEntityIds;
+}
+
+/**
+ * Advances a scene by one frame.
+ *
+ * @param scene the scene to advance.
+ * @param activeEntityIds the set of active entity ids, which will not be
+ * modified.
+ * @param [duration=STEP_DURATION] the amount of time to advance.
+ * @return the advanced scene and the new set of active entity ids (which may
+ * be the same as the one passed in).
+ */
+export function advanceScene(
+  scene: Scene,
+  activeEntityIds: Set<string>,
+  duration: number = STEP_DURATION,
+): [Scene, Set<string>] {
+  const startTime = Date.now();
+  let newActiveEntityIds = activeEntityIds;
+  const map = {};
+  entityLoop: for (const id of activeEntityIds) {
+    const entity = scene.getEntity(id);
+    if (entity) {
+      for (const key in entity.state) {
+        const physics = ComponentPhysics[key];
+        if (physics && physics.advance(scene, entity, duration, map)) {
+          continue entityLoop;
+        }
+      }
+    }
+    if (newActiveEntityIds === activeEntityIds) {
+      newActiveEntityIds = new Set(activeEntityIds);
+    }
+    newActiveEntityIds.delete(id);
+  }
+  // entities edited by others' advancement may have become active
+  wakeEditedBodies(scene, map);
+  const newScene = scene.applyEdit(map);
+  for (const id in map) {
+    const entity = newScene.getEntity(id);
+    if (entity && !newActiveEntityIds.has(id) && isEntityActive(entity)) {
+      if (newActiveEntityIds === activeEntityIds) {
+        newActiveEntityIds = new Set(activeEntityIds);
+      }
+      newActiveEntityIds.add(id);
+    }
+  }
+  const movedIds = Object.keys(map).filter(id => map[id].transform);
+  transferPairCache(scene, newScene, movedIds);
+
+  stats.stepTime = mix(
+    stats.stepTime,
+    Date.now() - startTime,
+    STEP_TIME_WEIGHT,
+  );
+  stats.activeEntities = newActiveEntityIds.size;
+  stats.pairs = getPairCount(newScene);
+  return [newScene, newActiveEntityIds];
+}
+
+/**
+ * Wakes any sleeping bodies whose transforms or velocities have been edited
+ * (by effectors or joints, say) in the frame's edit map.
+ *
+ * @param scene the scene being advanced.
+ * @param map the frame's edit map, which will be modified.
+ */
+function wakeEditedBodies(scene: Scene, map: Object) {
+  for (const id in map) {
+    const edit = map[id];
+    const entity = scene.getEntity(id);
+    const data = entity && entity.state.rigidBody;
+    if (!(edit && data && data.asleep)) {
+      continue;
+    }
+    const bodyEdit = edit.rigidBody || {};
+    if (bodyEdit.asleep !== undefined) {
+      continue; // already going to sleep or waking
+    }
+    if (
+      edit.transform ||
+      length(bodyEdit.linearVelocity || ZERO_VECTOR) > 0.0 ||
+      bodyEdit.angularVelocity
+    ) {
+      map[id] = mergeEdits(edit, {rigidBody: {asleep: null, restTime: null}});
+    }
+  }
+}
+
+function isEntityActive(entity: Entity): boolean {
+  for (const key in entity.state) {
+    const physics = ComponentPhysics[key];
+    if (physics && physics.isActive(entity.state[key])) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Physics component functions mapped by component name.
  */
 export const ComponentPhysics: {[string]: PhysicsData} = {
+  gravity: {
+    isActive: data => true,
+    advance: (scene: Scene, entity: Entity, duration: number, map: Object) => {
+      const data = entity.state.gravity;
+      if (!data) {
+        return false;
+      }
+      const props = PhysicsComponents.gravity.properties;
+      const acceleration = data.acceleration || props.acceleration.defaultValue;
+      const radial = getValue(data.radial, props.radial.defaultValue);
+      const lineage = scene.getEntityLineage(entity);
+      const worldTransform = getWorldTransform(lineage);
+      const matrix = getTransformMatrix(worldTransform);
+      const inverseMatrix = getTransformInverseMatrix(worldTransform);
+      const center = getTransformTranslation(worldTransform);
+      const worldAcceleration = transformVector(acceleration, matrix);
+
+      // entities with shapes only act within them; others act on the page
+      const geometry =
+        lineage.length > 1 && getCollisionGeometry(scene.idTree, entity);
+      const applyToBody = (body: Entity) => {
+        const bodyData = body.state.rigidBody;
+        if (
+          body === entity ||
+          !(bodyData && bodyData.dynamic) ||
+          bodyData.asleep
+        ) {
+          return;
+        }
+        const bodyLineage = scene.getEntityLineage(body);
+        const position = transformPoint(
+          getMassProperties(scene.idTree, body).centerOfMass,
+          getTransformMatrix(getWorldTransform(bodyLineage)),
+        );
+        if (
+          geometry &&
+          !geometry.intersectsPoint(transformPoint(position, inverseMatrix))
+        ) {
+          return;
+        }
+        const bodyAcceleration = vec2(worldAcceleration.x, worldAcceleration.y);
+        if (radial !== 0.0) {
+          plusEquals(
+            bodyAcceleration,
+            timesEquals(normalizeEquals(minus(center, position)), radial),
+          );
+        }
+        // velocities are expressed in the parent frame
+        transformVector(
+          bodyAcceleration,
+          getTransformInverseMatrix(
+            getWorldTransform(bodyLineage.slice(0, -1)),
+          ),
+          bodyAcceleration,
+        );
+
+        // editing the body ensures that it stays active
+        const oldEdit = map[body.id];
+        const editData = oldEdit && oldEdit.rigidBody;
+        const edit = {
+          rigidBody: {
+            linearVelocity: plusEquals(
+              timesEquals(bodyAcceleration, duration),
+              (editData && editData.linearVelocity) ||
+                bodyData.linearVelocity ||
+                ZERO_VECTOR,
+            ),
+          },
+        };
+        map[body.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+      };
+      if (geometry) {
+        transformBounds(geometry.bounds, matrix, gravityBounds);
+        scene.applyToEntities(lineage[0].id, gravityBounds, applyToBody);
+      } else {
+        const node = scene.getEntityHierarchyNode(lineage[0].id);
+        node &&
+          node.applyToEntityIds(id => {
+            const body = scene.getEntity(id);
+            body && applyToBody(body);
+          });
+      }
+      return true;
+    },
+  },
   rigidBody: {
     isActive: data => {
+      // sleeping bodies are woken by being given a velocity
       const linearVelocity = data.linearVelocity || ZERO_VECTOR;
-      return !!(length(linearVelocity) || data.angularVelocity || data.dynamic);
+      return !!(
+        length(linearVelocity) ||
+        data.angularVelocity ||
+        (data.dynamic && !data.asleep)
+      );
     },
     advance: (scene: Scene, entity: Entity, duration: number, map: Object) => {
       const data = entity.state.rigidBody;
@@ -44,7 +466,8 @@ export const ComponentPhysics: {[string]: PhysicsData} = {
           return false;
         }
         const transform = entity.state.transform;
-        map[entity.id] = {
+        const oldEdit = map[entity.id];
+        const edit = {
           transform: {
             translation: plusEquals(
               times(linearVelocity, duration),
@@ -55,6 +478,8 @@ export const ComponentPhysics: {[string]: PhysicsData} = {
             ),
           },
         };
+        map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+        data.bullet && sweepBullet(scene, entity, map);
         for (const key in entity.state) {
           const collider = ComponentColliders[key];
           if (collider) {
@@ -63,7 +488,1143 @@ export const ComponentPhysics: {[string]: PhysicsData} = {
         }
         return true;
       }
+      if (data.asleep) {
+        // sleeping bodies are only advanced when edited, which wakes them
+        const oldEdit = map[entity.id];
+        const edit = {rigidBody: {asleep: null, restTime: null}};
+        map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+      }
+      if (!advanceDynamicBody(scene, entity, duration, map)) {
+        return false;
+      }
+      data.bullet && sweepBullet(scene, entity, map);
       return true;
     },
   },
+  revoluteJoint: {
+    isActive: isJointActive,
+    advance: (scene: Scene, entity: Entity, duration: number, map: Object) => {
+      return advanceJoint(
+        scene,
+        entity,
+        'revoluteJoint',
+        duration,
+        map,
+        (state: JointState) => {
+          const data = state.data;
+          const props = PhysicsComponents.revoluteJoint.properties;
+          const maxMotorTorque = getValue(
+            data.maxMotorTorque,
+            props.maxMotorTorque.defaultValue,
+          );
+          if (maxMotorTorque > 0.0) {
+            const maxImpulse = maxMotorTorque * state.duration;
+            const motorSpeed = data.motorSpeed || 0.0;
+            const total = clamp(
+              state.motorImpulse +
+                solveAngularConstraint(state, motorSpeed, 0.0),
+              -maxImpulse,
+              maxImpulse,
+            );
+            applyAngularImpulse(state, total - state.motorImpulse);
+            state.motorImpulse = total;
+          }
+          if (data.limitAngles) {
+            const angle = getJointAngle(state);
+            const lowerAngle = getValue(
+              data.lowerAngle,
+              props.lowerAngle.defaultValue,
+            );
+            const upperAngle = getValue(
+              data.upperAngle,
+              props.upperAngle.defaultValue,
+            );
+            if (angle <= lowerAngle) {
+              const total = Math.max(
+                state.limitImpulse +
+                  solveAngularConstraint(state, 0.0, angle - lowerAngle),
+                0.0,
+              );
+              applyAngularImpulse(state, total - state.limitImpulse);
+              state.limitImpulse = total;
+            } else if (angle >= upperAngle) {
+              const total = Math.min(
+                state.limitImpulse +
+                  solveAngularConstraint(state, 0.0, angle - upperAngle),
+                0.0,
+              );
+              applyAngularImpulse(state, total - state.limitImpulse);
+              state.limitImpulse = total;
+            }
+          }
+          solvePointConstraint(state);
+        },
+      );
+    },
+  },
+  weldJoint: {
+    isActive: isJointActive,
+    advance: (scene: Scene, entity: Entity, duration: number, map: Object) => {
+      return advanceJoint(
+        scene,
+        entity,
+        'weldJoint',
+        duration,
+        map,
+        (state: JointState) => {
+          applyAngularImpulse(
+            state,
+            solveAngularConstraint(state, 0.0, getJointAngle(state)),
+          );
+          solvePointConstraint(state);
+        },
+      );
+    },
+  },
+  distanceJoint: {
+    isActive: isJointActive,
+    advance: (scene: Scene, entity: Entity, duration: number, map: Object) => {
+      return advanceJoint(
+        scene,
+        entity,
+        'distanceJoint',
+        duration,
+        map,
+        (state: JointState) => {
+          const {data, bodyA, bodyB, anchorA, anchorB, duration} = state;
+          const delta = minus(anchorB, anchorA);
+          const currentLength = length(delta);
+          if (currentLength === 0.0) {
+            return;
+          }
+          const direction = timesEquals(delta, 1.0 / currentLength);
+          const armA = minus(anchorA, bodyA.center);
+          const armB = minus(anchorB, bodyB.center);
+          const crossA = cross(armA, direction);
+          const crossB = cross(armB, direction);
+          const inverseMass =
+            bodyA.mass.inverseMass +
+            bodyA.mass.inverseInertia * crossA * crossA +
+            bodyB.mass.inverseMass +
+            bodyB.mass.inverseInertia * crossB * crossB;
+          if (inverseMass === 0.0) {
+            return;
+          }
+          const speed = dot(
+            minusEquals(
+              getJointPointVelocity(bodyB, armB, velocityB),
+              getJointPointVelocity(bodyA, armA, velocityA),
+            ),
+            direction,
+          );
+          const stretch = currentLength - state.anchorData.restLength;
+          const props = PhysicsComponents.distanceJoint.properties;
+          const stiffness = getValue(
+            data.stiffness,
+            props.stiffness.defaultValue,
+          );
+          let magnitude: number;
+          if (stiffness > 0.0) {
+            // soft constraint: a spring with (implicit) damping
+            const damping = getValue(data.damping, props.damping.defaultValue);
+            const gamma = 1.0 / (duration * (damping + duration * stiffness));
+            const bias = stretch * duration * stiffness * gamma;
+            magnitude =
+              -(speed + bias + gamma * state.springImpulse) /
+              (inverseMass + gamma);
+            state.springImpulse += magnitude;
+          } else {
+            magnitude =
+              -(speed + (stretch * JOINT_CORRECTION_FRACTION) / duration) /
+              inverseMass;
+          }
+          applyJointImpulse(
+            state,
+            times(direction, magnitude, impulse),
+            armA,
+            armB,
+          );
+        },
+      );
+    },
+  },
 };
+
+/**
+ * Computes the mass properties of a rigid body from its density and the area
+ * of its collision geometry.
+ *
+ * @param idTree the id tree containing the entity.
+ * @param entity the rigid body entity.
+ * @return the inverse mass, inverse moment of inertia, and (local) center of
+ * mass of the body.  Non-dynamic bodies have infinite mass.
+ */
+export function getMassProperties(
+  idTree: IdTreeNode,
+  entity: Entity,
+): MassProperties {
+  const data = entity.state.rigidBody;
+  const geometry = getCollisionGeometry(idTree, entity);
+  if (!(data && data.dynamic)) {
+    return {
+      inverseMass: 0.0,
+      inverseInertia: 0.0,
+      centerOfMass: geometry ? geometry.centerOfMass : ZERO_VECTOR,
+    };
+  }
+  const density = getValue(
+    data.density,
+    PhysicsComponents.rigidBody.properties.density.defaultValue,
+  );
+  if (!(geometry && geometry.area > 0.0 && density > 0.0)) {
+    // without an area, treat as a unit disc
+    return {
+      inverseMass: density > 0.0 ? 1.0 / density : 0.0,
+      inverseInertia: density > 0.0 ? 2.0 / density : 0.0,
+      centerOfMass: ZERO_VECTOR,
+    };
+  }
+  return {
+    inverseMass: 1.0 / (density * geometry.area),
+    inverseInertia: 1.0 / (density * geometry.momentOfInertia),
+    centerOfMass: geometry.centerOfMass,
+  };
+}
+
+function advanceDynamicBody(
+  scene: Scene,
+  entity: Entity,
+  duration: number,
+  map: Object,
+): boolean {
+  const data = entity.state.rigidBody;
+  const props = PhysicsComponents.rigidBody.properties;
+  const restitution = getValue(
+    data.restitution,
+    props.restitution.defaultValue,
+  );
+  const friction = getValue(data.friction, props.friction.defaultValue);
+
+  // contacts are resolved in world space, so we convert our velocity from
+  // our parent's frame (and back again when we integrate)
+  const lineage = scene.getEntityLineage(entity);
+  const worldTransform = getWorldTransform(lineage);
+  const parentTransform = getWorldTransform(lineage.slice(0, -1));
+  const parentMatrix = getTransformMatrix(parentTransform);
+  const inverseParentMatrix = getTransformInverseMatrix(parentTransform);
+
+  // start with any velocity set this frame (by effectors, for instance)
+  const oldEdit = map[entity.id];
+  const editData = (oldEdit && oldEdit.rigidBody) || {};
+  const linearVelocity = transformVector(
+    editData.linearVelocity || data.linearVelocity || ZERO_VECTOR,
+    parentMatrix,
+  );
+  let angularVelocity = getValue(
+    editData.angularVelocity,
+    data.angularVelocity || 0.0,
+  );
+  // we can only wake sleeping bodies if we weren't at rest last frame
+  const resting = data.restTime !== undefined;
+
+  const transform = entity.state.transform;
+  const worldMatrix = getTransformMatrix(worldTransform);
+  const mass = getMassProperties(scene.idTree, entity);
+  const worldCenter = transformPoint(mass.centerOfMass, worldMatrix);
+
+  // resolve contacts with sequential impulses, accumulating the correction
+  const correction = vec2();
+  let touching = false;
+  const geometry = getCollisionGeometry(scene.idTree, entity);
+  const colliderData = entity.state.shapeCollider;
+  const mask =
+    colliderData && getValue(colliderData.mask, MaskProperty.mask.defaultValue);
+  if (geometry && mask) {
+    applyToPotentialContacts(scene, entity, otherEntity => {
+      if (
+        lineage.includes(otherEntity) ||
+        areBodiesJointed(scene, entity.id, otherEntity.id)
+      ) {
+        return;
+      }
+      for (const key in otherEntity.state) {
+        const collider = ComponentColliders[key];
+        if (!collider) {
+          continue;
+        }
+        const flags = getValue(
+          otherEntity.state[key].flags,
+          FlagsProperty.flags.defaultValue,
+        );
+        if (!(flags & mask)) {
+          continue;
+        }
+        const otherTransform = otherEntity.getLastCachedValue('worldTransform');
+        withContactThickness(() =>
+          collider.getShapePenetration(
+            scene.idTree,
+            otherEntity,
+            geometry,
+            composeTransforms(invertTransform(worldTransform), otherTransform),
+            penetration,
+          ),
+        );
+        if (length(penetration) === 0.0) {
+          continue;
+        }
+        touching = true;
+
+        // the contacts are our deepest features: either a single point or
+        // the ends of our deepest side, so that flat sides rest on both ends
+        const depth = length(penetration);
+        const contacts = geometry
+          .getSupportPositions(
+            normalize(penetration),
+            Math.max(depth, PENETRATION_SLOP),
+          )
+          .map(position => transformPoint(position, worldMatrix));
+        transformVector(penetration, worldMatrix, penetration);
+        normalizeEquals(times(penetration, -1.0, normal));
+
+        const otherData = otherEntity.state.rigidBody;
+        let otherMass = getMassProperties(scene.idTree, otherEntity);
+        if (otherData && otherData.asleep) {
+          // sleeping bodies act as static ones until woken by something moving
+          otherMass = {...otherMass, inverseMass: 0.0, inverseInertia: 0.0};
+          if (!resting) {
+            const oldEdit = map[otherEntity.id];
+            const edit = {rigidBody: {asleep: null}};
+            map[otherEntity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+          }
+        }
+        const otherCenter = transformPoint(
+          otherMass.centerOfMass,
+          getTransformMatrix(otherTransform),
+        );
+
+        // push ourselves out in proportion to our share of the mass
+        const totalInverseMass = mass.inverseMass + otherMass.inverseMass;
+        if (totalInverseMass === 0.0) {
+          continue;
+        }
+        const share = mass.inverseMass / totalInverseMass;
+        if (depth > PENETRATION_SLOP) {
+          minusEquals(
+            correction,
+            timesEquals(
+              normalize(penetration),
+              (depth - PENETRATION_SLOP) * CORRECTION_FRACTION * share,
+            ),
+          );
+        }
+
+        const combinedRestitution = Math.min(
+          restitution,
+          getValue(
+            otherData && otherData.restitution,
+            otherData ? props.restitution.defaultValue : restitution,
+          ),
+        );
+        const combinedFriction = otherData
+          ? Math.sqrt(
+              friction *
+                getValue(otherData.friction, props.friction.defaultValue),
+            )
+          : friction;
+        orthogonalize(normal, tangent);
+
+        // we track the other body's velocity as well, so that our impulses
+        // account for its response, but only apply our own part
+        const otherLinearVelocity = transformVector(
+          (otherData && otherData.linearVelocity) || ZERO_VECTOR,
+          getTransformMatrix(
+            getWorldTransform(scene.getEntityLineage(otherEntity).slice(0, -1)),
+          ),
+        );
+        let otherAngularVelocity =
+          (otherData && otherData.angularVelocity) || 0.0;
+        const getRelativeVelocity = (contact: Vector2) =>
+          vec2(
+            linearVelocity.x -
+              angularVelocity * (contact.y - worldCenter.y) -
+              otherLinearVelocity.x +
+              otherAngularVelocity * (contact.y - otherCenter.y),
+            linearVelocity.y +
+              angularVelocity * (contact.x - worldCenter.x) -
+              otherLinearVelocity.y -
+              otherAngularVelocity * (contact.x - otherCenter.x),
+            relativeVelocity,
+          );
+        const applyImpulse = (
+          solverContact: SolverContact,
+          direction: Vector2,
+          magnitude: number,
+        ) => {
+          plusEquals(
+            linearVelocity,
+            times(direction, magnitude * mass.inverseMass),
+          );
+          angularVelocity +=
+            cross(solverContact.arm, direction) *
+            magnitude *
+            mass.inverseInertia;
+          minusEquals(
+            otherLinearVelocity,
+            times(direction, magnitude * otherMass.inverseMass),
+          );
+          otherAngularVelocity -=
+            cross(solverContact.otherArm, direction) *
+            magnitude *
+            otherMass.inverseInertia;
+        };
+        const getEffectiveInverseMass = (
+          arm: Vector2,
+          otherArm: Vector2,
+          direction: Vector2,
+        ) => {
+          const armCross = cross(arm, direction);
+          const otherArmCross = cross(otherArm, direction);
+          return (
+            mass.inverseMass +
+            armCross * armCross * mass.inverseInertia +
+            otherMass.inverseMass +
+            otherArmCross * otherArmCross * otherMass.inverseInertia
+          );
+        };
+        const solverContacts = contacts.map(contact => {
+          const arm = minus(contact, worldCenter);
+          const otherArm = minus(contact, otherCenter);
+          const normalSpeed = dot(getRelativeVelocity(contact), normal);
+          return {
+            contact,
+            arm,
+            otherArm,
+            armCross: cross(arm, normal),
+            otherArmCross: cross(otherArm, normal),
+            normalMass: getEffectiveInverseMass(arm, otherArm, normal),
+            tangentMass: getEffectiveInverseMass(arm, otherArm, tangent),
+            // only contacts approaching quickly enough bounce
+            targetSpeed:
+              -normalSpeed < RESTING_SPEED
+                ? 0.0
+                : -normalSpeed * combinedRestitution,
+            normalImpulse: 0.0,
+            tangentImpulse: 0.0,
+          };
+        });
+        const setNormalImpulse = (
+          solverContact: SolverContact,
+          normalImpulse: number,
+        ) => {
+          applyImpulse(
+            solverContact,
+            normal,
+            normalImpulse - solverContact.normalImpulse,
+          );
+          solverContact.normalImpulse = normalImpulse;
+        };
+        const getImpulselessSpeed = (solverContact: SolverContact) =>
+          dot(getRelativeVelocity(solverContact.contact), normal) -
+          solverContact.targetSpeed -
+          solverContact.normalMass * solverContact.normalImpulse;
+
+        // solve with sequential impulses, clamping the total impulse of each
+        // contact so that it only ever pushes.  the ends of a side are solved
+        // together (finding the impulses that satisfy both at once) so that
+        // resting bodies don't rock from one end to the other
+        const [first, second] = solverContacts;
+        const coupling = second
+          ? mass.inverseMass +
+            first.armCross * second.armCross * mass.inverseInertia +
+            otherMass.inverseMass +
+            first.otherArmCross *
+              second.otherArmCross *
+              otherMass.inverseInertia
+          : 0.0;
+        const determinant = second
+          ? first.normalMass * second.normalMass - coupling * coupling
+          : 0.0;
+        for (let ii = 0; ii < CONTACT_ITERATIONS; ii++) {
+          if (second && determinant > 0.0) {
+            const firstSpeed =
+              getImpulselessSpeed(first) - coupling * second.normalImpulse;
+            const secondSpeed =
+              getImpulselessSpeed(second) - coupling * first.normalImpulse;
+            const firstImpulse =
+              (coupling * secondSpeed - second.normalMass * firstSpeed) /
+              determinant;
+            const secondImpulse =
+              (coupling * firstSpeed - first.normalMass * secondSpeed) /
+              determinant;
+            const firstAlone = -firstSpeed / first.normalMass;
+            const secondAlone = -secondSpeed / second.normalMass;
+            if (firstImpulse >= 0.0 && secondImpulse >= 0.0) {
+              setNormalImpulse(first, firstImpulse);
+              setNormalImpulse(second, secondImpulse);
+            } else if (
+              firstAlone >= 0.0 &&
+              secondSpeed + coupling * firstAlone >= 0.0
+            ) {
+              setNormalImpulse(first, firstAlone);
+              setNormalImpulse(second, 0.0);
+            } else if (
+              secondAlone >= 0.0 &&
+              firstSpeed + coupling * secondAlone >= 0.0
+            ) {
+              setNormalImpulse(first, 0.0);
+              setNormalImpulse(second, secondAlone);
+            } else {
+              setNormalImpulse(first, 0.0);
+              setNormalImpulse(second, 0.0);
+            }
+          } else {
+            for (const solverContact of solverContacts) {
+              setNormalImpulse(
+                solverContact,
+                Math.max(
+                  -getImpulselessSpeed(solverContact) /
+                    solverContact.normalMass,
+                  0.0,
+                ),
+              );
+            }
+          }
+          // apply friction along the tangent, limited by the normal impulse
+          for (const solverContact of solverContacts) {
+            const frictionLimit =
+              combinedFriction * solverContact.normalImpulse;
+            const tangentImpulse = clamp(
+              solverContact.tangentImpulse -
+                dot(getRelativeVelocity(solverContact.contact), tangent) /
+                  solverContact.tangentMass,
+              -frictionLimit,
+              frictionLimit,
+            );
+            applyImpulse(
+              solverContact,
+              tangent,
+              tangentImpulse - solverContact.tangentImpulse,
+            );
+            solverContact.tangentImpulse = tangentImpulse;
+          }
+        }
+      }
+    });
+  }
+
+  const correctionLength = length(correction);
+  correctionLength > MAX_CORRECTION &&
+    timesEquals(correction, MAX_CORRECTION / correctionLength);
+
+  // integrate in our parent's frame, rotating about the center of mass
+  transformVector(linearVelocity, inverseParentMatrix, linearVelocity);
+  transformVector(correction, inverseParentMatrix, correction);
+  const center = transformPoint(
+    mass.centerOfMass,
+    getTransformMatrix(transform),
+  );
+  const rotation = angularVelocity * duration;
+  const offset = rotateEquals(
+    minus(getTransformTranslation(transform), center),
+    rotation,
+  );
+  const translation = plusEquals(
+    plusEquals(plusEquals(times(linearVelocity, duration), center), offset),
+    correction,
+  );
+
+  // bodies that stay at rest on something long enough go to sleep.  we
+  // measure the actual movement, because the velocity of a body in a stack
+  // may not reflect it, and only while touching, so that bodies at the top of
+  // their arcs keep moving
+  let restTime = null;
+  const movement = minus(translation, getTransformTranslation(transform));
+  if (
+    touching &&
+    length(movement) < SLEEP_LINEAR_SPEED * duration &&
+    Math.abs(angularVelocity) < SLEEP_ANGULAR_SPEED
+  ) {
+    restTime = (data.restTime || 0.0) + duration;
+    if (restTime >= SLEEP_DELAY) {
+      const edit = {
+        rigidBody: {
+          linearVelocity: null,
+          angularVelocity: null,
+          restTime: null,
+          asleep: true,
+        },
+      };
+      map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+      return false;
+    }
+  }
+
+  const edit = {
+    transform: {
+      translation,
+      rotation: normalizeAngle(getTransformRotation(transform) + rotation),
+    },
+    rigidBody: {linearVelocity, angularVelocity, restTime},
+  };
+  map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+  return true;
+}
+
+/**
+ * Limits a bullet body's movement this frame to the time at which it first
+ * comes into contact with something it wasn't already touching, so that it
+ * can't pass through thin or small colliders.  The contact itself will be
+ * resolved on the next frame.
+ *
+ * @param scene the scene containing the body.
+ * @param entity the body entity.
+ * @param map the map containing the body's edit for this frame.
+ */
+function sweepBullet(scene: Scene, entity: Entity, map: Object) {
+  const edit = map[entity.id];
+  const endTransform = edit && edit.transform;
+  if (!endTransform) {
+    return;
+  }
+  const time = getTimeOfImpact(scene, entity, endTransform);
+  if (time < 1.0) {
+    const transform = interpolateTransforms(
+      entity.state.transform,
+      endTransform,
+      time,
+    );
+    map[entity.id] = mergeEdits(edit, {
+      transform: {
+        translation: getTransformTranslation(transform),
+        rotation: getTransformRotation(transform),
+      },
+    });
+  }
+}
+
+/**
+ * Finds the time of impact of an entity moving from its current transform to
+ * a new one.  Potential contacts are found by sweeping the entity's bounding
+ * circle as a segment, then the movement is sub-stepped and bisected to find
+ * the first new contact.
+ *
+ * @param scene the scene containing the entity.
+ * @param entity the moving entity.
+ * @param endTransform the entity's transform at the end of the movement.
+ * @return the fraction of the movement at which contact occurs, or one if
+ * there's no new contact.
+ */
+function getTimeOfImpact(
+  scene: Scene,
+  entity: Entity,
+  endTransform: Transform,
+): number {
+  const geometry = getCollisionGeometry(scene.idTree, entity);
+  const shapeData = entity.state.shapeCollider;
+  const pointData = entity.state.pointCollider;
+  let mask = 0;
+  let thickness = 0.0;
+  if (geometry && shapeData) {
+    mask = getValue(shapeData.mask, MaskProperty.mask.defaultValue);
+    vec2(geometry.bounds.min.x, geometry.bounds.min.y, sweepBounds.min);
+    vec2(geometry.bounds.max.x, geometry.bounds.max.y, sweepBounds.max);
+  } else if (pointData) {
+    mask = getValue(pointData.mask, MaskProperty.mask.defaultValue);
+    thickness = getValue(pointData.thickness, DEFAULT_THICKNESS);
+    vec2(-thickness, -thickness, sweepBounds.min);
+    vec2(thickness, thickness, sweepBounds.max);
+  }
+  if (!mask) {
+    return 1.0;
+  }
+  const lineage = scene.getEntityLineage(entity);
+  const parentTransform = getWorldTransform(lineage.slice(0, -1));
+  const startTransform = entity.state.transform;
+  const getWorldTransformAt = (time: number) =>
+    composeTransforms(
+      parentTransform,
+      interpolateTransforms(startTransform, endTransform, time),
+    );
+
+  // the step size must be small enough that we can't skip over anything
+  const scale = getTransformMaxScaleMagnitude(getWorldTransformAt(1.0));
+  const localCenter = vec2(
+    mix(sweepBounds.min.x, sweepBounds.max.x, 0.5),
+    mix(sweepBounds.min.y, sweepBounds.max.y, 0.5),
+  );
+  const radius = distance(sweepBounds.min, sweepBounds.max) * 0.5 * scale;
+  const stepSize =
+    Math.min(
+      sweepBounds.max.x - sweepBounds.min.x,
+      sweepBounds.max.y - sweepBounds.min.y,
+    ) * scale;
+  const startCenter = transformPoint(
+    localCenter,
+    getTransformMatrix(getWorldTransformAt(0.0)),
+  );
+  const endCenter = transformPoint(
+    localCenter,
+    getTransformMatrix(getWorldTransformAt(1.0)),
+  );
+  const travel =
+    distance(startCenter, endCenter) +
+    Math.abs(
+      normalizeAngle(
+        getTransformRotation(endTransform) -
+          getTransformRotation(startTransform),
+      ),
+    ) *
+      radius;
+  if (travel === 0.0 || stepSize === 0.0) {
+    return 1.0;
+  }
+
+  const penetrates = (candidate: SweepCandidate, time: number) => {
+    const worldTransform = getWorldTransformAt(time);
+    if (geometry && shapeData) {
+      candidate.collider.getShapePenetration(
+        scene.idTree,
+        candidate.entity,
+        geometry,
+        composeTransforms(invertTransform(worldTransform), candidate.transform),
+        penetration,
+      );
+    } else {
+      candidate.collider.getPointPenetration(
+        scene.idTree,
+        candidate.entity,
+        getTransformTranslation(
+          composeTransforms(
+            invertTransform(candidate.transform),
+            worldTransform,
+          ),
+        ),
+        thickness,
+        penetration,
+      );
+    }
+    return length(penetration) > 0.0;
+  };
+
+  // find the colliders that the swept circle touches and we don't already
+  const candidates: SweepCandidate[] = [];
+  emptyBounds(sweepBounds);
+  addToBoundsEquals(sweepBounds, startCenter.x, startCenter.y);
+  addToBoundsEquals(sweepBounds, endCenter.x, endCenter.y);
+  expandBoundsEquals(sweepBounds, radius);
+  scene.applyToEntities(lineage[0].id, sweepBounds, otherEntity => {
+    if (
+      lineage.includes(otherEntity) ||
+      areBodiesJointed(scene, entity.id, otherEntity.id)
+    ) {
+      return;
+    }
+    for (const key in otherEntity.state) {
+      const collider = ComponentColliders[key];
+      if (!collider) {
+        continue;
+      }
+      const flags = getValue(
+        otherEntity.state[key].flags,
+        FlagsProperty.flags.defaultValue,
+      );
+      if (!(flags & mask)) {
+        continue;
+      }
+      const otherTransform = otherEntity.getLastCachedValue('worldTransform');
+      const inverseMatrix = getTransformInverseMatrix(otherTransform);
+      collider.getSegmentPenetration(
+        scene.idTree,
+        otherEntity,
+        transformPoint(startCenter, inverseMatrix),
+        transformPoint(endCenter, inverseMatrix),
+        radius / getTransformMaxScaleMagnitude(otherTransform),
+        penetration,
+      );
+      if (length(penetration) === 0.0) {
+        continue;
+      }
+      const candidate = {
+        entity: otherEntity,
+        collider,
+        transform: otherTransform,
+      };
+      penetrates(candidate, 0.0) || candidates.push(candidate);
+    }
+  });
+  if (candidates.length === 0) {
+    return 1.0;
+  }
+  const penetratesAny = (time: number) =>
+    candidates.some(candidate => penetrates(candidate, time));
+
+  // step until we hit something, then bisect to refine
+  const steps = clamp(Math.ceil(travel / stepSize), 1, MAX_SWEEP_STEPS);
+  for (let ii = 1; ii <= steps; ii++) {
+    const time = ii / steps;
+    if (!penetratesAny(time)) {
+      continue;
+    }
+    let lower = (ii - 1) / steps;
+    let upper = time;
+    for (let jj = 0; jj < TIME_OF_IMPACT_ITERATIONS; jj++) {
+      const middle = (lower + upper) * 0.5;
+      if (penetratesAny(middle)) {
+        upper = middle;
+      } else {
+        lower = middle;
+      }
+    }
+    return upper;
+  }
+  return 1.0;
+}
+
+function interpolateTransforms(
+  start: Transform,
+  end: Transform,
+  parameter: number,
+): Transform {
+  const startTranslation = getTransformTranslation(start);
+  const endTranslation = getTransformTranslation(end);
+  const startRotation = getTransformRotation(start);
+  return {
+    translation: vec2(
+      mix(startTranslation.x, endTranslation.x, parameter),
+      mix(startTranslation.y, endTranslation.y, parameter),
+    ),
+    rotation: normalizeAngle(
+      startRotation +
+        parameter * normalizeAngle(getTransformRotation(end) - startRotation),
+    ),
+    scale: start && start.scale,
+  };
+}
+
+function isJointActive(data: Object): boolean {
+  return !!(data.bodyA || data.bodyB);
+}
+
+/**
+ * Checks whether two bodies are connected by a joint (in which case they
+ * don't collide with one another).
+ *
+ * @param scene the scene containing the bodies.
+ * @param firstId the id of the first body.
+ * @param secondId the id of the second body.
+ * @return whether or not the bodies are jointed.
+ */
+export function areBodiesJointed(
+  scene: Scene,
+  firstId: string,
+  secondId: string,
+): boolean {
+  let bodies = jointedBodies.get(scene.idTree);
+  if (!bodies) {
+    const newBodies: Map<string, Set<string>> = new Map();
+    const addBody = (id: string, otherId: string) => {
+      let set = newBodies.get(id);
+      if (!set) {
+        newBodies.set(id, (set = new Set()));
+      }
+      set.add(otherId);
+    };
+    scene.idTree.applyToEntities(entity => {
+      for (const key in entity.state) {
+        const component = PhysicsComponents[key];
+        if (component && component.category === 'joint') {
+          const {bodyA, bodyB} = entity.state[key];
+          if (bodyA && bodyB) {
+            addBody(bodyA.ref, bodyB.ref);
+            addBody(bodyB.ref, bodyA.ref);
+          }
+        }
+      }
+    });
+    jointedBodies.set(scene.idTree, (bodies = newBodies));
+  }
+  const set = bodies.get(firstId);
+  return !!(set && set.has(secondId));
+}
+
+function advanceJoint(
+  scene: Scene,
+  entity: Entity,
+  key: string,
+  duration: number,
+  map: Object,
+  solve: JointState => void,
+): boolean {
+  const data = entity.state[key];
+  if (!data) {
+    return false;
+  }
+  const bodyA = getJointBody(scene, data.bodyA, map);
+  const bodyB = getJointBody(scene, data.bodyB, map);
+  const lineage = scene.getEntityLineage(entity);
+  let anchorData = data;
+  let edit: Object = {};
+  if (!data.localAnchorB) {
+    // first frame: record the anchors relative to the bodies
+    const worldTransform = getWorldTransform(lineage);
+    const anchorA = getTransformTranslation(worldTransform);
+    const anchorB =
+      key === 'distanceJoint'
+        ? transformPoint(
+            vec2(
+              getValue(
+                data.length,
+                PhysicsComponents.distanceJoint.properties.length.defaultValue,
+              ),
+              0.0,
+            ),
+            getTransformMatrix(worldTransform),
+          )
+        : anchorA;
+    const localTransformA = composeTransforms(
+      invertTransform(bodyA.transform),
+      worldTransform,
+    );
+    anchorData = {
+      localTranslationA: getTransformTranslation(localTransformA),
+      localRotationA: getTransformRotation(localTransformA),
+      localAnchorB: transformPoint(
+        anchorB,
+        getTransformInverseMatrix(bodyB.transform),
+      ),
+      referenceAngle: bodyB.rotation - bodyA.rotation,
+      restLength: distance(anchorA, anchorB),
+    };
+    edit[key] = anchorData;
+  }
+  const jointTransform = composeTransforms(bodyA.transform, {
+    translation: anchorData.localTranslationA,
+    rotation: anchorData.localRotationA,
+  });
+  const state: JointState = {
+    data,
+    anchorData,
+    bodyA,
+    bodyB,
+    anchorA: getTransformTranslation(jointTransform),
+    anchorB: transformPoint(anchorData.localAnchorB, bodyB.matrix),
+    duration,
+    motorImpulse: 0.0,
+    limitImpulse: 0.0,
+    springImpulse: 0.0,
+  };
+  if (
+    bodyA.mass.inverseMass + bodyB.mass.inverseMass > 0.0 &&
+    bodyA.entity !== bodyB.entity
+  ) {
+    for (let ii = 0; ii < JOINT_ITERATIONS; ii++) {
+      solve(state);
+    }
+    applyJointBodyVelocity(bodyA, map);
+    applyJointBodyVelocity(bodyB, map);
+  }
+
+  // the joint itself follows its first body
+  const bodyEntity = bodyA.entity;
+  if (
+    bodyEntity &&
+    ComponentPhysics.rigidBody.isActive(bodyEntity.state.rigidBody)
+  ) {
+    const localTransform = composeTransforms(
+      invertTransform(getWorldTransform(lineage.slice(0, -1))),
+      jointTransform,
+    );
+    edit.transform = {
+      translation: getTransformTranslation(localTransform),
+      rotation: getTransformRotation(localTransform),
+    };
+  }
+  const oldEdit = map[entity.id];
+  map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+  return true;
+}
+
+function getJointBody(scene: Scene, ref: ?Object, map: Object): JointBody {
+  const entity = ref && scene.getEntity(ref.ref);
+  const data = entity && entity.state.rigidBody;
+  if (!(entity && data)) {
+    // missing bodies are attached to the world
+    return {
+      entity: null,
+      mass: STATIC_MASS,
+      transform: null,
+      matrix: getTransformMatrix(null),
+      inverseParentMatrix: getTransformMatrix(null),
+      center: vec2(),
+      rotation: 0.0,
+      linearVelocity: vec2(),
+      angularVelocity: 0.0,
+      initialLinearVelocity: vec2(),
+      initialAngularVelocity: 0.0,
+    };
+  }
+  const lineage = scene.getEntityLineage(entity);
+  const parentTransform = getWorldTransform(lineage.slice(0, -1));
+
+  // use the latest position and velocity (the body may have already moved)
+  const oldEdit = map[entity.id];
+  const editData = (oldEdit && oldEdit.rigidBody) || {};
+  const transformEdit = oldEdit && oldEdit.transform;
+  const transform = transformEdit
+    ? composeTransforms(parentTransform, {
+        translation: transformEdit.translation,
+        rotation: transformEdit.rotation,
+        scale: getTransformScale(entity.state.transform),
+      })
+    : getWorldTransform(lineage);
+  const matrix = getTransformMatrix(transform);
+  const mass = getMassProperties(scene.idTree, entity);
+  const linearVelocity = transformVector(
+    editData.linearVelocity || data.linearVelocity || ZERO_VECTOR,
+    getTransformMatrix(parentTransform),
+  );
+  const angularVelocity = getValue(
+    editData.angularVelocity,
+    data.angularVelocity || 0.0,
+  );
+  return {
+    entity,
+    mass,
+    transform,
+    matrix,
+    inverseParentMatrix: getTransformInverseMatrix(parentTransform),
+    center: transformPoint(mass.centerOfMass, matrix),
+    rotation: getTransformRotation(transform),
+    linearVelocity,
+    angularVelocity,
+    initialLinearVelocity: vec2(linearVelocity.x, linearVelocity.y),
+    initialAngularVelocity: angularVelocity,
+  };
+}
+
+function getJointPointVelocity(
+  body: JointBody,
+  arm: Vector2,
+  result: Vector2,
+): Vector2 {
+  return vec2(
+    body.linearVelocity.x - body.angularVelocity * arm.y,
+    body.linearVelocity.y + body.angularVelocity * arm.x,
+    result,
+  );
+}
+
+function getJointAngle(state: JointState): number {
+  return normalizeAngle(
+    state.bodyB.rotation -
+      state.bodyA.rotation -
+      state.anchorData.referenceAngle,
+  );
+}
+
+function solveAngularConstraint(
+  state: JointState,
+  targetSpeed: number,
+  error: number,
+): number {
+  const inverseInertia =
+    state.bodyA.mass.inverseInertia + state.bodyB.mass.inverseInertia;
+  if (inverseInertia === 0.0) {
+    return 0.0;
+  }
+  const speed = state.bodyB.angularVelocity - state.bodyA.angularVelocity;
+  return (
+    -(
+      speed -
+      targetSpeed +
+      (error * JOINT_CORRECTION_FRACTION) / state.duration
+    ) / inverseInertia
+  );
+}
+
+function applyAngularImpulse(state: JointState, magnitude: number) {
+  state.bodyA.angularVelocity -= magnitude * state.bodyA.mass.inverseInertia;
+  state.bodyB.angularVelocity += magnitude * state.bodyB.mass.inverseInertia;
+}
+
+function solvePointConstraint(state: JointState) {
+  const {bodyA, bodyB, anchorA, anchorB, duration} = state;
+  const armA = minus(anchorA, bodyA.center);
+  const armB = minus(anchorB, bodyB.center);
+  const massA = bodyA.mass.inverseMass;
+  const massB = bodyB.mass.inverseMass;
+  const inertiaA = bodyA.mass.inverseInertia;
+  const inertiaB = bodyB.mass.inverseInertia;
+
+  // the effective inverse mass matrix at the anchors
+  const k11 =
+    massA + massB + inertiaA * armA.y * armA.y + inertiaB * armB.y * armB.y;
+  const k12 = -inertiaA * armA.x * armA.y - inertiaB * armB.x * armB.y;
+  const k22 =
+    massA + massB + inertiaA * armA.x * armA.x + inertiaB * armB.x * armB.x;
+  const determinant = k11 * k22 - k12 * k12;
+  if (determinant === 0.0) {
+    return;
+  }
+  const bias = JOINT_CORRECTION_FRACTION / duration;
+  minusEquals(
+    getJointPointVelocity(bodyB, armB, velocityB),
+    getJointPointVelocity(bodyA, armA, velocityA),
+  );
+  const cx = velocityB.x + (anchorB.x - anchorA.x) * bias;
+  const cy = velocityB.y + (anchorB.y - anchorA.y) * bias;
+  vec2(
+    -(k22 * cx - k12 * cy) / determinant,
+    -(k11 * cy - k12 * cx) / determinant,
+    impulse,
+  );
+  applyJointImpulse(state, impulse, armA, armB);
+}
+
+function applyJointImpulse(
+  state: JointState,
+  impulse: Vector2,
+  armA: Vector2,
+  armB: Vector2,
+) {
+  const {bodyA, bodyB} = state;
+  minusEquals(bodyA.linearVelocity, times(impulse, bodyA.mass.inverseMass));
+  bodyA.angularVelocity -= cross(armA, impulse) * bodyA.mass.inverseInertia;
+  plusEquals(bodyB.linearVelocity, times(impulse, bodyB.mass.inverseMass));
+  bodyB.angularVelocity += cross(armB, impulse) * bodyB.mass.inverseInertia;
+}
+
+function applyJointBodyVelocity(body: JointBody, map: Object) {
+  const entity = body.entity;
+  if (!(entity && body.mass.inverseMass > 0.0)) {
+    return;
+  }
+  // the position corrections apply small impulses even when at rest, so we
+  // only count impulses that would keep the body from sleeping
+  const data = entity.state.rigidBody;
+  const oldEdit = map[entity.id];
+  const editData = (oldEdit && oldEdit.rigidBody) || {};
+  const impulseApplied =
+    distance(body.linearVelocity, body.initialLinearVelocity) >=
+      SLEEP_LINEAR_SPEED ||
+    Math.abs(body.angularVelocity - body.initialAngularVelocity) >=
+      SLEEP_ANGULAR_SPEED;
+  const asleep =
+    editData.asleep === undefined ? data && data.asleep : editData.asleep;
+  if (!impulseApplied && asleep) {
+    return; // leave sleeping bodies undisturbed
+  }
+  // bodies that have already moved this frame will pick up the change on
+  // the next.  impulses wake both bodies, even those that just fell asleep
+  const edit = {
+    rigidBody: {
+      linearVelocity: transformVector(
+        body.linearVelocity,
+        body.inverseParentMatrix,
+      ),
+      angularVelocity: body.angularVelocity,
+      ...(impulseApplied ? {asleep: null, restTime: null} : {}),
+    },
+  };
+  map[entity.id] = oldEdit ? mergeEdits(oldEdit, edit) : edit;
+}
@@ -0,0 +1,121 @@
+/**
+ * Joint renderers.
+ *
+ * @module client/physics/renderers
+ * @flow
+ */
+
+import {PhysicsComponents} from './components';
+import {
+  ComponentRenderers,
+  BaseRenderer,
+  createShapeListRenderFn,
+  renderShapeList,
+} from '../renderer/renderers';
+import {TransferableValue} from '../../server/store/resource';
+import {ComponentBounds, BaseBounds} from '../../server/store/bounds';
+import {
+  ComponentGeometry,
+  BaseGeometry,
+  getShapeList,
+} from '../../server/store/geometry';
+import {ShapeList} from '../../server/store/shape';
+import {extend, getValue} from '../../server/store/util';
+
+// the size of the joint handles
+const HANDLE_SIZE = 0.25;
+
+// the number of zigzags used to draw distance joints
+const SPRING_COILS = 8;
+
+const JointShapeLists: {[string]: (Object) => ShapeList} = {
+  revoluteJoint: data => {
+    return createJointShapeList()
+      .move(HANDLE_SIZE, 0.0, 90)
+      .penDown(true)
+      .turn(360, HANDLE_SIZE)
+      .penUp();
+  },
+  weldJoint: data => {
+    return createJointShapeList()
+      .move(-HANDLE_SIZE, -HANDLE_SIZE, 45)
+      .penDown()
+      .advance(HANDLE_SIZE * 2.0 * Math.SQRT2)
+      .penUp()
+      .move(HANDLE_SIZE, -HANDLE_SIZE, 135)
+      .penDown()
+      .advance(HANDLE_SIZE * 2.0 * Math.SQRT2)
+      .penUp();
+  },
+  distanceJoint: data => {
+    const props = PhysicsComponents.distanceJoint.properties;
+    const length = getValue(data.length, props.length.defaultValue);
+    const stiffness = getValue(data.stiffness, props.stiffness.defaultValue);
+    const shapeList = createJointShapeList()
+      .move(0.0, -HANDLE_SIZE, 90)
+      .penDown()
+      .advance(HANDLE_SIZE * 2.0)
+      .penUp()
+      .move(0.0, 0.0, 0)
+      .penDown();
+    if (stiffness > 0.0 && length > 0.0) {
+      // draw springs as zigzags
+      const step = length / SPRING_COILS;
+      for (let ii = 0; ii < SPRING_COILS; ii++) {
+        const y =
+          ii === SPRING_COILS - 1 ? 0.0 : HANDLE_SIZE * (ii & 1 ? -1 : 1);
+        shapeList.move(step * (ii + 1), y);
+      }
+    } else {
+      shapeList.advance(length);
+    }
+    return shapeList
+      .penUp()
+      .move(length, -HANDLE_SIZE, 90)
+      .penDown()
+      .advance(HANDLE_SIZE * 2.0)
+      .penUp();
+  },
+};
+
+function createJointShapeList(): ShapeList {
+  return new ShapeList().setAttributes({
+    thickness: 0.15,
+    pathColor: [1.0, 1.0, 1.0],
+    fillColor: [0.5, 0.5, 0.5],
+  });
+}
+
+ComponentBounds.jointRenderer = BaseBounds;
+
+ComponentGeometry.jointRenderer = extend(BaseGeometry, {
+  createShapeList: (idTree, entity) => {
+    for (const key in entity.state) {
+      const createShapeList = JointShapeLists[key];
+      if (createShapeList) {
+        const data = entity.state[key];
+        return new TransferableValue(
+          createShapeList(data),
+          newEntity => newEntity.state[key] === data,
+        );
+      }
+    }
+    return new ShapeList();
+  },
+});
+
+ComponentRenderers.jointRenderer = extend(BaseRenderer, {
+  createRenderFn: (idTree, entity) => {
+    const shapeList = getShapeList(idTree, entity);
+    if (!shapeList) {
+      return () => {};
+    }
+    return createShapeListRenderFn(
+      entity,
+      shapeList,
+      renderShapeList,
+      '#ffffff',
+      '#ffffff',
+    );
+  },
+});
@@ -14,6 +14,7 @@ import {Geometry, Framebuffer, Texture, Renderer} from './util';
 import {RendererComponents} from './components';
 import {ComponentRenderers} from './renderers';
 import {RectangleGeometry} from './helpers';
+import {getPhysicsStats} from '../physics/physics';
 import type {PageState, ToolType, HoverState, TooltipData} from '../store';
 import {DEFAULT_PAGE_SIZE, StoreActions, store} from '../store';
 import type {UserGetPreferencesResponse} from '../../server/api';
@@ -675,6 +676,9 @@ class CanvasStats extends React.Component<
     programs: number,
     textures: number,
     framebuffers: number,
+    physicsTime: number,
+    activeEntities: number,
+    pairs: number,
   },
 > {
   state = {
@@ -686,6 +690,9 @@ class CanvasStats extends React.Component<
     programs: 0,
     textures: 0,
     framebuffers: 0,
+    physicsTime: 0,
+    activeEntities: 0,
+    pairs: 0,
   };
 
   _updateIntervalID: IntervalID;
@@ -749,6 +756,27 @@ class CanvasStats extends React.Component<
             values={{value: this.state.framebuffers}}
           />
         </div>
+        <div>
+          <FormattedMessage
+            id="stats.physics_time"
+            defaultMessage="Physics: {value} ms"
+            values={{value: this.state.physicsTime.toFixed(2)}}
+          />
+        </div>
+        <div>
+          <FormattedMessage
+            id="stats.active_entities"
+            defaultMessage="Active Entities: {value}"
+            values={{value: this.state.activeEntities}}
+          />
+        </div>
+        <div>
+          <FormattedMessage
+            id="stats.pairs"
+            defaultMessage="Pairs: {value}"
+            values={{value: this.state.pairs}}
+          />
+        </div>
       </div>
     );
   }
@@ -767,6 +795,7 @@ class CanvasStats extends React.Component<
     if (!renderer) {
       return;
     }
+    const physicsStats = getPhysicsStats();
     this.setState({
       framesPerSecond: renderer.framesPerSecond,
       arrayBuffers: renderer.arrayBuffers.size,
@@ -776,6 +805,9 @@ class CanvasStats extends React.Component<
       programs: renderer.programs.size,
       textures: renderer.textures.size,
       framebuffers: renderer.framebuffers.size,
+      physicsTime: physicsStats.stepTime,
+      activeEntities: physicsStats.activeEntities,
+      pairs: physicsStats.pairs,
     });
   };
 }
@@ -234,6 +234,19 @@ export const RendererComponents: {[string]: ComponentData} = {
     category: 'renderer',
     removable: false,
   },
+  jointRenderer: {
+    label: (
+      <FormattedMessage
+        id="joint_renderer.title"
+        defaultMessage="Joint Renderer"
+      />
+    ),
+    properties: {
+      ...ZOrderProperty,
+    },
+    category: 'renderer',
+    removable: false,
+  },
   moduleRenderer: {
     label: (
       <FormattedMessage
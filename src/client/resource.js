@@ -18,6 +18,9 @@ import {
   FormGroup,
   Label,
   Input,
+  Nav,
+  NavItem,
+  NavLink,
 } from 'reactstrap';
 import {StoreActions, store, setStoreResource, isResourceDirty} from './store';
 import {Toolset} from './tool';
@@ -32,6 +35,7 @@ import {
   Submenu,
   ErrorDialog,
   RequestDialog,
+  LabeledCheckbox,
   renderText,
 } from './util/ui';
 import type {Renderer} from './renderer/util';
@@ -41,6 +45,7 @@ import type {
   ResourceType,
   ResourceDescriptor,
   ResourceCreateRequest,
+  ResourcePutShareRequest,
 } from '../server/api';
 import {
   RESOURCE_TYPES,
@@ -48,6 +53,7 @@ import {
   MAX_RESOURCE_DESCRIPTION_LENGTH,
   isResourceNameValid,
   isResourceDescriptionValid,
+  isEmailValid,
 } from '../server/constants';
 import {ResourceActions} from '../server/store/resource';
 import type {Vector2} from '../server/store/math';
@@ -113,7 +119,7 @@ export class ResourceDropdown extends React.Component<
             ))}
           </Submenu>
         ) : null}
-        {resource && isResourceOwned(resource, this.props.userStatus)
+        {resource && isResourceEditable(resource, this.props.userStatus)
           ? [
               <AutoSaver
                 key="autosave"
@@ -122,6 +128,10 @@ export class ResourceDropdown extends React.Component<
               />,
               <SaveItem key="save" resource={this.props.resource} />,
               <RevertItem key="revert" resource={this.props.resource} />,
+            ]
+          : null}
+        {resource && isResourceOwned(resource, this.props.userStatus)
+          ? [
               <MenuItem
                 key="metadata"
                 onClick={() =>
@@ -139,6 +149,22 @@ export class ResourceDropdown extends React.Component<
                   defaultMessage="Metadata..."
                 />
               </MenuItem>,
+              <MenuItem
+                key="share"
+                onClick={() =>
+                  this._setDialog(
+                    <ResourceShareDialog
+                      resource={resource}
+                      setResource={this.props.setResource}
+                      onClosed={this._clearDialog}
+                    />,
+                  )
+                }>
+                <FormattedMessage
+                  id="resource.share"
+                  defaultMessage="Share..."
+                />
+              </MenuItem>,
               <MenuItem
                 key="delete"
                 onClick={() =>
@@ -283,15 +309,42 @@ export class ResourceBrowser extends React.Component<
     setLoading: (Object, boolean) => void,
     pushSearch: string => void,
   },
-  {resources: ?(ResourceDescriptor[]), dialog: ?React.Element<any>},
+  {
+    filter: ResourceFilter,
+    resources: ?(ResourceDescriptor[]),
+    dialog: ?React.Element<any>,
+  },
 > {
-  state = {resources: null, dialog: null};
+  state = {filter: 'owned', resources: null, dialog: null};
 
   render() {
     return (
       <div className="p-3">
+        <Nav tabs>
+          <NavItem>
+            <NavLink
+              active={this.state.filter === 'owned'}
+              onClick={() => this._setFilter('owned')}>
+              <FormattedMessage
+                id="resource.filter.owned"
+                defaultMessage="My Resources"
+              />
+            </NavLink>
+          </NavItem>
+          <NavItem>
+            <NavLink
+              active={this.state.filter === 'shared'}
+              onClick={() => this._setFilter('shared')}>
+              <FormattedMessage
+                id="resource.filter.shared"
+                defaultMessage="Shared with Me"
+              />
+            </NavLink>
+          </NavItem>
+        </Nav>
         {this.state.resources ? (
           <ResourcePage
+            key={this.state.filter}
             resources={this.state.resources}
             userStatus={this.props.userStatus}
             pushSearch={this.props.pushSearch}
@@ -303,11 +356,24 @@ export class ResourceBrowser extends React.Component<
     );
   }
 
-  async componentDidMount() {
+  componentDidMount() {
+    this._loadResources(this.state.filter);
+  }
+
+  _setFilter(filter: ResourceFilter) {
+    if (this.state.filter !== filter) {
+      this.setState({filter, resources: null});
+      this._loadResources(filter);
+    }
+  }
+
+  async _loadResources(filter: ResourceFilter) {
     this.props.setLoading(this, true);
     try {
-      const response = await getFromApi('/resource');
-      this.setState({resources: response.resources});
+      const response = await getFromApi('/resource', {filter});
+      if (this.state.filter === filter) {
+        this.setState({resources: response.resources});
+      }
     } catch (error) {
       this._setDialog(
         <ErrorDialog error={error} onClosed={this._clearDialog} />,
@@ -322,6 +388,8 @@ export class ResourceBrowser extends React.Component<
   _clearDialog = () => this.setState({dialog: null});
 }
 
+type ResourceFilter = 'owned' | 'shared';
+
 class ResourcePage extends React.Component<
   {
     resources: ResourceDescriptor[],
@@ -554,6 +622,11 @@ export class ResourceContent extends React.Component<
       this.setState({fontImage});
       this.props.setResource(resource);
       setStoreResource(resource.type, content);
+      store.dispatch(
+        StoreActions.setReadOnly.create(
+          !isResourceEditable(resource, this.props.userStatus),
+        ),
+      );
       if (isResourceOwned(resource, this.props.userStatus) && !resource.name) {
         // ask for a name for the new resource
         this._setDialog(
@@ -657,6 +730,146 @@ function isResourceOwned(
   return userStatus.admin || resource.ownerId === userStatus.userId;
 }
 
+function isResourceEditable(
+  resource: ?ResourceDescriptor,
+  userStatus: UserStatusResponse,
+): boolean {
+  return (
+    isResourceOwned(resource, userStatus) ||
+    !!(resource && resource.permission === 'edit')
+  );
+}
+
+/**
+ * Dialog for sharing a resource with other users.
+ *
+ * @param props the component properties.
+ * @param props.resource the resource descriptor.
+ * @param props.setResource the function to call when the public flag changes.
+ * @param props.onClosed the function to call when closed.
+ */
+class ResourceShareDialog extends React.Component<
+  {
+    resource: ResourceDescriptor,
+    setResource: (?ResourceDescriptor) => void,
+    onClosed: () => void,
+  },
+  {loaded: boolean, public: boolean, editors: string, viewers: string},
+> {
+  state = {loaded: false, public: false, editors: '', viewers: ''};
+
+  render() {
+    const addresses = [
+      ...getAddressArray(this.state.editors),
+      ...getAddressArray(this.state.viewers),
+    ];
+    return (
+      <RequestDialog
+        header={
+          <FormattedMessage
+            id="resource.share.title"
+            defaultMessage="Share Resource"
+          />
+        }
+        loadState={this._loadState}
+        makeRequest={this._makeRequest}
+        invalid={!addresses.every(isEmailValid)}
+        onClosed={this.props.onClosed}
+        applicable
+        cancelable>
+        {this.state.loaded ? (
+          <Form>
+            <LabeledCheckbox
+              id="public"
+              checked={this.state.public}
+              onChange={event => this.setState({public: event.target.checked})}
+              label={
+                <FormattedMessage
+                  id="resource.share.public"
+                  defaultMessage="Anyone can view"
+                />
+              }
+            />
+            <FormGroup className="text-center">
+              <FormattedMessage
+                id="resource.share.text"
+                defaultMessage={
+                  'Enter the email addresses of users to share with below ' +
+                  '(one per line).'
+                }
+              />
+            </FormGroup>
+            <FormGroup>
+              <Label for="editors">
+                <FormattedMessage
+                  id="resource.share.editors"
+                  defaultMessage="Editors"
+                />
+              </Label>
+              <Input
+                type="textarea"
+                id="editors"
+                value={this.state.editors}
+                onChange={event => this.setState({editors: event.target.value})}
+              />
+            </FormGroup>
+            <FormGroup>
+              <Label for="viewers">
+                <FormattedMessage
+                  id="resource.share.viewers"
+                  defaultMessage="Viewers"
+                />
+              </Label>
+              <Input
+                type="textarea"
+                id="viewers"
+                value={this.state.viewers}
+                onChange={event => this.setState({viewers: event.target.value})}
+              />
+            </FormGroup>
+          </Form>
+        ) : null}
+      </RequestDialog>
+    );
+  }
+
+  _loadState = async () => {
+    const share = await getFromApi(
+      getResourceSharePath(this.props.resource.id),
+    );
+    this.setState({
+      loaded: true,
+      public: share.public,
+      editors: share.editors.join('\n'),
+      viewers: share.viewers.join('\n'),
+    });
+  };
+
+  _makeRequest = async () => {
+    const request: ResourcePutShareRequest = {
+      id: this.props.resource.id,
+      public: this.state.public,
+      editors: getAddressArray(this.state.editors),
+      viewers: getAddressArray(this.state.viewers),
+    };
+    const response = await putToApi(
+      getResourceSharePath(this.props.resource.id),
+      request,
+    );
+    this.props.setResource(
+      Object.assign({}, this.props.resource, {public: this.state.public}),
+    );
+    return response;
+  };
+}
+
+function getAddressArray(addresses: string): string[] {
+  return addresses
+    .split('\n')
+    .map(address => address.trim())
+    .filter(address => address);
+}
+
 /**
  * Dialog for configuring resource metadata.
  *
@@ -793,6 +1006,10 @@ export function getResourceContentPath(id: string) {
   return getResourcePath(id) + '/content';
 }
 
+function getResourceSharePath(id: string) {
+  return getResourcePath(id) + '/share';
+}
+
 function getResourcePath(id: string) {
   return '/resource/' + id;
 }
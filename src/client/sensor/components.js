@@ -9,6 +9,7 @@ import * as React from 'react';
 import {FormattedMessage} from 'react-intl';
 import type {ComponentData, CategoryData} from '../component';
 import {RadiusLabel} from '../geometry/components';
+import {MaskProperty} from '../collision/components';
 
 // ensure that renderers are included in build
 import './renderers';
@@ -76,8 +77,15 @@ export const SensorComponents: {[string]: ComponentData} = {
         precision: 2,
         min: 0,
       },
+      ...MaskProperty,
     },
     category: 'sensor',
     removable: false,
   },
+  trigger: {
+    label: <FormattedMessage id="trigger.title" defaultMessage="Trigger" />,
+    properties: {},
+    category: 'sensor',
+    removable: false,
+  },
 };
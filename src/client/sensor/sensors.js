@@ -9,14 +9,58 @@ import * as React from 'react';
 import {FormattedMessage} from 'react-intl';
 import {SensorComponents} from './components';
 import type {OutputData} from '../circuit/modules';
+import {ComponentColliders} from '../collision/colliders';
+import {FlagsProperty, MaskProperty} from '../collision/components';
+import {
+  getCreatureRoot,
+  getCreatureEvents,
+  getCreatureReward,
+} from '../collision/triggers';
+import {PathColorProperty, FillColorProperty} from '../renderer/components';
+import type {Entity} from '../../server/store/resource';
+import type {Scene} from '../../server/store/scene';
+import {getCollisionGeometry} from '../../server/store/geometry';
+import type {CollisionGeometry} from '../../server/store/collision';
 import {ShapeList} from '../../server/store/shape';
-import {getValue} from '../../server/store/util';
+import type {Vector2} from '../../server/store/math';
+import {
+  getTransformMatrix,
+  getTransformInverseMatrix,
+  getTransformTranslation,
+  composeTransforms,
+  invertTransform,
+  vec2,
+  length,
+  mix,
+  radians,
+  transformPoint,
+  transformBoundsEquals,
+} from '../../server/store/math';
+import {getValue, getColorArray} from '../../server/store/util';
 
 type SensorData = {
   createShapeList: Object => ShapeList,
   getOutputs: Object => {[string]: OutputData},
+  sense: (Scene, Entity) => {[string]: number},
 };
 
+type EyeTarget = {
+  entity: Entity,
+  geometry: CollisionGeometry,
+  matrix: number[],
+};
+
+// the number of bisection steps used to refine eye ray hit distances
+const EYE_DEPTH_STEPS = 8;
+
+const bounds = {min: vec2(), max: vec2()};
+const rayStart = vec2();
+const rayEnd = vec2();
+const localStart = vec2();
+const localEnd = vec2();
+const localMid = vec2();
+const penetration = vec2();
+
 /**
  * Sensor component functions mapped by component name.
  */
@@ -44,24 +88,164 @@ export const ComponentSensors: {[string]: SensorData} = {
         .pivot(90)
         .turn(-fov, -minDepth);
     },
-    getOutputs: data => ({
-      depth: {
-        label: <FormattedMessage id="eye.depth" defaultMessage="Depth" />,
-      },
-      luma: {
-        label: <FormattedMessage id="eye.luma" defaultMessage="Luma" />,
-      },
-      blueChroma: {
-        label: (
-          <FormattedMessage id="eye.blue_chroma" defaultMessage="Blue Chroma" />
-        ),
-      },
-      redChroma: {
-        label: (
-          <FormattedMessage id="eye.red_chroma" defaultMessage="Red Chroma" />
-        ),
-      },
-    }),
+    getOutputs: data => {
+      const outputs = {
+        depth: {
+          label: <FormattedMessage id="eye.depth" defaultMessage="Depth" />,
+        },
+        luma: {
+          label: <FormattedMessage id="eye.luma" defaultMessage="Luma" />,
+        },
+        blueChroma: {
+          label: (
+            <FormattedMessage
+              id="eye.blue_chroma"
+              defaultMessage="Blue Chroma"
+            />
+          ),
+        },
+        redChroma: {
+          label: (
+            <FormattedMessage id="eye.red_chroma" defaultMessage="Red Chroma" />
+          ),
+        },
+      };
+      const resolution = getEyeResolution(data);
+      if (resolution > 1) {
+        for (let ii = 0; ii < resolution; ii++) {
+          outputs['depth' + ii] = {
+            label: (
+              <FormattedMessage
+                id="eye.ray_depth"
+                defaultMessage="Depth {ray}"
+                values={{ray: ii}}
+              />
+            ),
+          };
+          outputs['luma' + ii] = {
+            label: (
+              <FormattedMessage
+                id="eye.ray_luma"
+                defaultMessage="Luma {ray}"
+                values={{ray: ii}}
+              />
+            ),
+          };
+          outputs['blueChroma' + ii] = {
+            label: (
+              <FormattedMessage
+                id="eye.ray_blue_chroma"
+                defaultMessage="Blue Chroma {ray}"
+                values={{ray: ii}}
+              />
+            ),
+          };
+          outputs['redChroma' + ii] = {
+            label: (
+              <FormattedMessage
+                id="eye.ray_red_chroma"
+                defaultMessage="Red Chroma {ray}"
+                values={{ray: ii}}
+              />
+            ),
+          };
+        }
+      }
+      return outputs;
+    },
+    sense: (scene, entity) => {
+      const data = entity.state.eye;
+      const props = SensorComponents.eye.properties;
+      const fov = radians(getValue(data.fov, props.fov.defaultValue));
+      const resolution = getEyeResolution(data);
+      const minDepth = getValue(data.minDepth, props.minDepth.defaultValue);
+      const maxDepth = getValue(data.maxDepth, props.maxDepth.defaultValue);
+      const lineage = scene.getEntityLineage(entity);
+      const matrix = getTransformMatrix(scene.getWorldTransform(entity.id));
+
+      // find everything with collision geometry within range, excluding our
+      // own lineage, whether rendered or not
+      vec2(-maxDepth, -maxDepth, bounds.min);
+      vec2(maxDepth, maxDepth, bounds.max);
+      transformBoundsEquals(bounds, matrix);
+      const targets: EyeTarget[] = [];
+      scene.applyToEntities(lineage[0].id, bounds, otherEntity => {
+        if (lineage.includes(otherEntity)) {
+          return;
+        }
+        const geometry = getCollisionGeometry(scene.idTree, otherEntity);
+        geometry &&
+          targets.push({
+            entity: otherEntity,
+            geometry,
+            matrix: getTransformInverseMatrix(
+              scene.getWorldTransform(otherEntity.id),
+            ),
+          });
+      });
+
+      // cast each ray, reporting its nearest hit as well as the nearest of all
+      const values = {};
+      let nearestDepth = Infinity;
+      for (let ii = 0; ii < resolution; ii++) {
+        const angle = fov * ((ii + 0.5) / resolution - 0.5);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        transformPoint(
+          vec2(cos * minDepth, sin * minDepth, rayStart),
+          matrix,
+          rayStart,
+        );
+        transformPoint(
+          vec2(cos * maxDepth, sin * maxDepth, rayEnd),
+          matrix,
+          rayEnd,
+        );
+        let nearestParameter = 1.0;
+        let nearestTarget: ?EyeTarget;
+        let nearestInside = false;
+        for (const target of targets) {
+          transformPoint(rayStart, target.matrix, localStart);
+          transformPoint(rayEnd, target.matrix, localEnd);
+          setRayPoint(localStart, localEnd, nearestParameter, localMid);
+          if (!target.geometry.intersectsSegment(localStart, localMid)) {
+            continue;
+          }
+          // the prefix of the ray intersects; bisect to find the first hit
+          let low = 0.0;
+          let high = nearestParameter;
+          for (let jj = 0; jj < EYE_DEPTH_STEPS; jj++) {
+            const mid = (low + high) * 0.5;
+            setRayPoint(localStart, localEnd, mid, localMid);
+            if (target.geometry.intersectsSegment(localStart, localMid)) {
+              high = mid;
+            } else {
+              low = mid;
+            }
+          }
+          nearestParameter = high;
+          nearestTarget = target;
+          nearestInside = target.geometry.intersectsPoint(localStart);
+        }
+        const rayValues = nearestTarget
+          ? getEyeHitValues(
+              nearestTarget.entity,
+              nearestInside,
+              mix(minDepth, maxDepth, nearestParameter),
+            )
+          : {depth: maxDepth, luma: 0.0, blueChroma: 0.0, redChroma: 0.0};
+        if (resolution > 1) {
+          for (const name in rayValues) {
+            values[name + ii] = rayValues[name];
+          }
+        }
+        if (rayValues.depth < nearestDepth) {
+          nearestDepth = rayValues.depth;
+          Object.assign(values, rayValues);
+        }
+      }
+      return values;
+    },
   },
   touch: {
     createShapeList: data => {
@@ -83,5 +267,151 @@ export const ComponentSensors: {[string]: SensorData} = {
         label: <FormattedMessage id="touch.active" defaultMessage="Active" />,
       },
     }),
+    sense: (scene, entity) => {
+      const data = entity.state.touch;
+      const radius = getValue(
+        data.radius,
+        SensorComponents.touch.properties.radius.defaultValue,
+      );
+      const mask = getValue(data.mask, MaskProperty.mask.defaultValue);
+      if (mask === 0) {
+        return {active: 0.0};
+      }
+      const lineage = scene.getEntityLineage(entity);
+      const worldTransform = scene.getWorldTransform(entity.id);
+      const center = getTransformTranslation(worldTransform);
+      vec2(center.x - radius, center.y - radius, bounds.min);
+      vec2(center.x + radius, center.y + radius, bounds.max);
+      let active = false;
+      scene.applyToEntities(lineage[0].id, bounds, otherEntity => {
+        if (lineage.includes(otherEntity)) {
+          return;
+        }
+        for (const key in otherEntity.state) {
+          const collider = ComponentColliders[key];
+          if (!collider) {
+            continue;
+          }
+          const flags = getValue(
+            otherEntity.state[key].flags,
+            FlagsProperty.flags.defaultValue,
+          );
+          if (!(flags & mask)) {
+            continue;
+          }
+          const localTransform = composeTransforms(
+            invertTransform(scene.getWorldTransform(otherEntity.id)),
+            worldTransform,
+          );
+          collider.getPointPenetration(
+            scene.idTree,
+            otherEntity,
+            getTransformTranslation(localTransform),
+            radius,
+            penetration,
+          );
+          if (length(penetration) > 0.0) {
+            active = true;
+            return false;
+          }
+        }
+      });
+      return {active: active ? 1.0 : 0.0};
+    },
+  },
+  trigger: {
+    createShapeList: data => {
+      return new ShapeList()
+        .setAttributes({
+          thickness: 0.15,
+          pathColor: [1.0, 1.0, 1.0],
+          fillColor: [0.5, 0.5, 0.5],
+        })
+        .move(0.5, 0.0, 135)
+        .penDown(true)
+        .advance(Math.SQRT1_2)
+        .pivot(90)
+        .advance(Math.SQRT1_2)
+        .pivot(90)
+        .advance(Math.SQRT1_2)
+        .pivot(90)
+        .advance(Math.SQRT1_2);
+    },
+    getOutputs: data => ({
+      enter: {
+        label: <FormattedMessage id="trigger.enter" defaultMessage="Enter" />,
+      },
+      stay: {
+        label: <FormattedMessage id="trigger.stay" defaultMessage="Stay" />,
+      },
+      exit: {
+        label: <FormattedMessage id="trigger.exit" defaultMessage="Exit" />,
+      },
+      reward: {
+        label: <FormattedMessage id="trigger.reward" defaultMessage="Reward" />,
+      },
+    }),
+    sense: (scene, entity) => {
+      // triggers report events for whole creatures rather than parts
+      const root = getCreatureRoot(scene, entity);
+      const events = getCreatureEvents(scene, root.id);
+      return {
+        enter: events.enter,
+        stay: events.stay,
+        exit: events.exit,
+        reward: getCreatureReward(scene, root.id),
+      };
+    },
   },
 };
+
+function getEyeResolution(data: Object): number {
+  return Math.max(
+    1,
+    Math.round(
+      getValue(
+        data.resolution,
+        SensorComponents.eye.properties.resolution.defaultValue,
+      ),
+    ),
+  );
+}
+
+/**
+ * Computes the outputs of an eye ray that hits an entity.
+ *
+ * @param entity the entity hit by the ray.
+ * @param inside whether the ray starts inside the entity, in which case we
+ * see its fill color rather than its path color.
+ * @param depth the depth of the hit.
+ * @return the depth and the YCbCr color of the hit.
+ */
+function getEyeHitValues(
+  entity: Entity,
+  inside: boolean,
+  depth: number,
+): {[string]: number} {
+  // unrendered shapes have the default colors
+  const rendererData = entity.state.shapeRenderer || {};
+  const [red, green, blue] = getColorArray(
+    inside
+      ? rendererData.fillColor || FillColorProperty.fillColor.defaultValue
+      : rendererData.pathColor || PathColorProperty.pathColor.defaultValue,
+  );
+  const luma = 0.299 * red + 0.587 * green + 0.114 * blue;
+  return {
+    depth,
+    luma,
+    blueChroma: 0.564 * (blue - luma),
+    redChroma: 0.713 * (red - luma),
+  };
+}
+
+function setRayPoint(
+  start: Vector2,
+  end: Vector2,
+  parameter: number,
+  result: Vector2,
+) {
+  vec2(mix(start.x, end.x, parameter), mix(start.y, end.y, parameter), result);
+}
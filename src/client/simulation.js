@@ -0,0 +1,152 @@
+/**
+ * Headless simulation of scenes, for use outside of the editor (in Node, for
+ * instance).
+ *
+ * @module client/simulation
+ * @flow
+ */
+
+import {
+  STEP_DURATION,
+  setRandom,
+  createFrameRandom,
+  getActiveEntityIds,
+  advanceScene,
+} from './physics/physics';
+import type {ResourceType} from '../server/api';
+import {
+  ResourceActions,
+  reducer as resourceReducer,
+} from '../server/store/resource';
+import {Scene} from '../server/store/scene';
+
+// ensure that the module components are registered
+import './circuit/modules';
+
+/** The options accepted by the simulation constructor. */
+export type SimulationOptions = {
+  type?: ResourceType,
+  seed?: number,
+  duration?: number,
+};
+
+/**
+ * Advances a scene by fixed steps using the same logic as the editor's play
+ * mode.  Given the same scene JSON and seed, results are identical from run
+ * to run.
+ *
+ * @param json the JSON representation of the scene.
+ * @param [options] the type of scene (default environment), the random seed
+ * (default zero), and the duration of each step (default STEP_DURATION).
+ */
+export class Simulation {
+  _scene: Scene;
+  _activeEntityIds: Set<string>;
+  _frame = 0;
+  _duration: number;
+  _seed: number;
+
+  /** Returns a reference to the current state of the scene. */
+  get scene(): Scene {
+    return this._scene;
+  }
+
+  /** Returns the number of frames simulated so far. */
+  get frame(): number {
+    return this._frame;
+  }
+
+  /** Returns the simulated time so far, in seconds. */
+  get time(): number {
+    return this._frame * this._duration;
+  }
+
+  constructor(json: Object, options: SimulationOptions = {}) {
+    const type = options.type || 'environment';
+    const scene = resourceReducer(
+      null,
+      ResourceActions.setResource.create(type, json),
+    );
+    if (!(scene instanceof Scene)) {
+      throw new Error('Not a scene type: ' + type);
+    }
+    this._scene = scene;
+    this._activeEntityIds = getActiveEntityIds(scene);
+    this._duration = options.duration || STEP_DURATION;
+    this._seed = options.seed || 0;
+  }
+
+  /**
+   * Advances the simulation.
+   *
+   * @param [frames=1] the number of frames to advance.
+   * @return a reference to the simulation, for chaining.
+   */
+  step(frames: number = 1): Simulation {
+    for (let ii = 0; ii < frames; ii++) {
+      // use our own generator so that simulations may be interleaved
+      const previousRandom = setRandom(
+        createFrameRandom(this._seed, this._frame),
+      );
+      try {
+        const [scene, activeEntityIds] = advanceScene(
+          this._scene,
+          this._activeEntityIds,
+          this._duration,
+        );
+        this._scene = scene;
+        this._activeEntityIds = activeEntityIds;
+        this._frame++;
+      } finally {
+        setRandom(previousRandom);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Advances the simulation, collecting a trace value after each frame.
+   *
+   * @param frames the number of frames to advance.
+   * @param trace the function to call after each frame with the scene and the
+   * frame number.
+   * @return the array of values returned by the trace function.
+   */
+  run<T>(frames: number, trace: (Scene, number) => T): T[] {
+    const values: T[] = [];
+    for (let ii = 0; ii < frames; ii++) {
+      values.push(trace(this.step()._scene, this._frame));
+    }
+    return values;
+  }
+
+  /**
+   * Applies an edit to the scene (to set effector inputs, say).  Edited
+   * entities are activated so that they'll be advanced on the next frame.
+   *
+   * @param map the map from entity id to edit, as with editEntities.
+   * @return a reference to the simulation, for chaining.
+   */
+  edit(map: Object): Simulation {
+    this._scene = this._scene.applyEdit(map);
+    this._activeEntityIds = new Set(this._activeEntityIds);
+    for (const id in map) {
+      if (map[id] === null) {
+        this._activeEntityIds.delete(id);
+      } else {
+        // just add it for now; it'll be removed immediately if inactive
+        this._activeEntityIds.add(id);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Returns the JSON representation of the current scene state.
+   *
+   * @return the JSON representation.
+   */
+  toJSON(): Object {
+    return this._scene.toJSON();
+  }
+}
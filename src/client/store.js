@@ -8,9 +8,15 @@
 import * as React from 'react';
 import * as Redux from 'redux';
 import uuid from 'uuid/v1';
-import {getFromApi, putToApi} from './util/api';
+import {inBrowser, getFromApi, putToApi} from './util/api';
 import type {Renderer} from './renderer/util';
-import {ComponentPhysics} from './physics/physics';
+import {
+  FRAME_DELAY,
+  setRandom,
+  createFrameRandom,
+  getActiveEntityIds,
+  advanceScene,
+} from './physics/physics';
 import type {ResourceType} from '../server/api';
 import type {
   Resource,
@@ -84,10 +90,24 @@ export type TooltipData = {
 
 type PlayState = 'stopped' | 'playing' | 'paused';
 
-type Snapshot = {frame: number, resource: Resource};
+type Snapshot = {
+  frame: number,
+  resource: Resource,
+  activeEntityIds: Set<string>,
+};
+
+// the initial number of frames between play snapshots
+const SNAPSHOT_INTERVAL = 15;
+
+// the maximum total size of the snapshots to keep before thinning them out
+const MAX_SNAPSHOT_SIZE = 20000;
+
+// the fraction of each frame to spend simulating when running at full speed
+const MAX_FRAME_LOAD = 0.75;
 
 type StoreState = {
   resource: ?Resource,
+  readOnly: boolean,
   savedEditNumber: number,
   transferAction: ?StoreAction,
   transferError: ?TransferError,
@@ -110,6 +130,9 @@ type StoreState = {
   prePlayState: ?StoreState,
   playState: PlayState,
   snapshots: Snapshot[],
+  snapshotInterval: number,
+  timeScale: number,
+  stepRemainder: number,
   frame: number,
   snapshotIndex: number,
   frameIntervalId: ?IntervalID,
@@ -118,6 +141,7 @@ type StoreState = {
 
 const initialState = {
   resource: null,
+  readOnly: false,
   savedEditNumber: 0,
   transferAction: null,
   transferError: null,
@@ -140,6 +164,9 @@ const initialState = {
   prePlayState: null,
   playState: 'stopped',
   snapshots: [],
+  snapshotInterval: SNAPSHOT_INTERVAL,
+  timeScale: 1.0,
+  stepRemainder: 0,
   frame: 0,
   snapshotIndex: 0,
   frameIntervalId: null,
@@ -176,11 +203,24 @@ function reducer(state: StoreState, action: StoreAction): StoreState {
         state.prePlayState.resource &&
         state.prePlayState.resource.deref();
     }
+    if (state.snapshots !== newState.snapshots) {
+      for (const snapshot of newState.snapshots) {
+        state.snapshots.includes(snapshot) || snapshot.resource.ref();
+      }
+      for (const snapshot of state.snapshots) {
+        newState.snapshots.includes(snapshot) || snapshot.resource.deref();
+      }
+    }
     state = newState;
   }
-  // then the resource actions
-  const undoStack = undoStackReducer(state.resource, state.undoStack, action);
-  const resource = resourceReducer(state.resource, action);
+  // then the resource actions (viewers can't make undoable edits)
+  let undoStack = undoStackReducer(state.resource, state.undoStack, action);
+  let resource = state.resource;
+  if (state.readOnly && undoStack !== state.undoStack) {
+    undoStack = state.undoStack;
+  } else {
+    resource = resourceReducer(state.resource, action);
+  }
   if (resource !== state.resource || undoStack !== state.undoStack) {
     let redoStack = state.redoStack;
     if (undoStack !== state.undoStack) {
@@ -266,10 +306,6 @@ export const BaseEditCallbacks: EditCallbackData = {
   onEdit: (scene, entity, map) => map,
 };
 
-const FRAME_RATE = 60;
-const FRAME_DELAY = 1000 / FRAME_RATE;
-const STEP_DURATION = 1.0 / FRAME_RATE;
-
 /**
  * The map containing all the store actions.
  */
@@ -294,6 +330,7 @@ export const StoreActions = {
         page: undoAction.page,
         selection: undoAction.selection,
         expanded: undoAction.expanded,
+        snapshots: reduceSnapshots(state, undoAction),
       }): StoreState);
     },
   },
@@ -321,6 +358,7 @@ export const StoreActions = {
         page: reducePage(state, redoAction),
         expanded: reduceExpanded(state, redoAction),
         selection: reduceSelection(state, redoAction),
+        snapshots: reduceSnapshots(state, redoAction),
         activeEntityIds: reduceActiveEntityIds(state, action),
       }): StoreState);
     },
@@ -507,6 +545,12 @@ export const StoreActions = {
       return Object.assign({}, state, {transferError: null});
     },
   },
+  setReadOnly: {
+    create: (readOnly: boolean) => ({type: 'setReadOnly', readOnly}),
+    reduce: (state: StoreState, action: StoreAction) => {
+      return Object.assign({}, state, {readOnly: action.readOnly});
+    },
+  },
   setEditorTab: {
     create: (tab: EditorTab) => ({type: 'setEditorTab', tab}),
     reduce: (state: StoreState, action: StoreAction) => {
@@ -607,20 +651,13 @@ export const StoreActions = {
       if (!(resource instanceof Scene)) {
         return state;
       }
-      const activeEntityIds: Set<string> = new Set();
-      resource.idTree.applyToEntities(entity => {
-        for (const key in entity.state) {
-          const physics = ComponentPhysics[key];
-          if (physics && physics.isActive(entity.state[key])) {
-            activeEntityIds.add(entity.id);
-          }
-        }
-      });
+      const activeEntityIds = getActiveEntityIds(resource);
       return Object.assign({}, state, {
         selection: (new Set(): Set<string>),
         prePlayState: state,
         playState: 'playing',
-        snapshots: [{frame: 0, resource}],
+        snapshots: [{frame: 0, resource, activeEntityIds}],
+        snapshotInterval: SNAPSHOT_INTERVAL,
         frameIntervalId: setInterval(dispatchFrame, FRAME_DELAY),
         activeEntityIds,
       });
@@ -649,7 +686,10 @@ export const StoreActions = {
     create: () => ({type: 'stop'}),
     reduce: (state: StoreState, action: StoreAction) => {
       state.frameIntervalId && clearInterval(state.frameIntervalId);
-      return state.prePlayState;
+      // keep the time scale for the next time we play
+      return Object.assign({}, state.prePlayState, {
+        timeScale: state.timeScale,
+      });
     },
   },
   back: {
@@ -663,60 +703,58 @@ export const StoreActions = {
       ) {
         newSnapshotIndex--;
       }
-      const snapshot = state.snapshots[newSnapshotIndex];
-      return Object.assign({}, state, {
-        resource: snapshot.resource,
-        frame: snapshot.frame,
-        snapshotIndex: newSnapshotIndex,
-      });
+      return restoreSnapshot(state, newSnapshotIndex);
     },
   },
   forward: {
     create: () => ({type: 'forward'}),
     reduce: (state: StoreState, action: StoreAction) => {
-      const newSnapshotIndex = state.snapshotIndex + 1;
-      const snapshot = state.snapshots[newSnapshotIndex];
-      if (!snapshot) {
-        return state;
-      }
-      return Object.assign({}, state, {
-        resource: snapshot.resource,
-        frame: snapshot.frame,
-        snapshotIndex: newSnapshotIndex,
-      });
+      return restoreSnapshot(state, state.snapshotIndex + 1);
+    },
+  },
+  seek: {
+    create: (snapshotIndex: number) => ({type: 'seek', snapshotIndex}),
+    reduce: (state: StoreState, action: StoreAction) => {
+      return restoreSnapshot(state, action.snapshotIndex);
     },
   },
   frame: {
     create: () => ({type: 'frame'}),
     reduce: (state: StoreState, action: StoreAction) => {
-      let resource = state.resource;
-      if (!(resource instanceof Scene) || state.playState !== 'playing') {
+      if (!(state.resource instanceof Scene && state.playState === 'playing')) {
         return state;
       }
-      let activeEntityIds: Set<string> = state.activeEntityIds;
-      const map = {};
-      entityLoop: for (const id of activeEntityIds) {
-        const entity = resource.getEntity(id);
-        if (entity) {
-          for (const key in entity.state) {
-            const physics = ComponentPhysics[key];
-            if (
-              physics &&
-              physics.advance(resource, entity, STEP_DURATION, map)
-            ) {
-              continue entityLoop;
-            }
-          }
-        }
-        if (activeEntityIds === state.activeEntityIds) {
-          activeEntityIds = new Set(activeEntityIds);
-        }
-        activeEntityIds.delete(id);
+      if (state.timeScale === Infinity) {
+        // advance as many steps as we can without starving the renderer
+        const endTime = Date.now() + FRAME_DELAY * MAX_FRAME_LOAD;
+        do {
+          state = advanceFrame(state);
+        } while (Date.now() < endTime);
+        return state;
+      }
+      const steps = state.stepRemainder + state.timeScale;
+      const stepCount = Math.floor(steps);
+      for (let ii = 0; ii < stepCount; ii++) {
+        state = advanceFrame(state);
       }
+      return Object.assign({}, state, {stepRemainder: steps - stepCount});
+    },
+  },
+  step: {
+    create: () => ({type: 'step'}),
+    reduce: (state: StoreState, action: StoreAction) => {
+      if (!(state.resource instanceof Scene && state.playState === 'paused')) {
+        return state;
+      }
+      return advanceFrame(state);
+    },
+  },
+  setTimeScale: {
+    create: (timeScale: number) => ({type: 'setTimeScale', timeScale}),
+    reduce: (state: StoreState, action: StoreAction) => {
       return Object.assign({}, state, {
-        resource: resource.applyEdit(map),
-        frame: state.frame + 1,
-        activeEntityIds,
+        timeScale: action.timeScale,
+        stepRemainder: 0,
       });
     },
   },
@@ -736,6 +774,7 @@ export const StoreActions = {
     create: ResourceActions.clearResource.create,
     reduce: (state: StoreState, action: StoreAction) => {
       return Object.assign({}, state, {
+        readOnly: false,
         undoStack: [],
         redoStack: [],
         page: '',
@@ -752,12 +791,93 @@ export const StoreActions = {
         page: reducePage(state, action),
         expanded: reduceExpanded(state, action),
         selection: reduceSelection(state, action),
+        snapshots: reduceSnapshots(state, action),
         activeEntityIds: reduceActiveEntityIds(state, action),
       });
     },
   },
 };
 
+function advanceFrame(state: StoreState): StoreState {
+  const resource = state.resource;
+  if (!(resource instanceof Scene)) {
+    return state;
+  }
+  // seed by frame so that replaying from a snapshot gives the same result
+  setRandom(createFrameRandom(0, state.frame));
+  const [newResource, activeEntityIds] = advanceScene(
+    resource,
+    state.activeEntityIds,
+  );
+  const frame = state.frame + 1;
+  let snapshots: Snapshot[] = state.snapshots;
+  let snapshotInterval = state.snapshotInterval;
+  let snapshotIndex = state.snapshotIndex;
+  if (frame % snapshotInterval === 0) {
+    const nextSnapshot = snapshots[snapshotIndex + 1];
+    if (!(nextSnapshot && nextSnapshot.frame === frame)) {
+      // anything after this point belongs to another timeline
+      snapshots = snapshots.slice(0, snapshotIndex + 1);
+      snapshots.push({frame, resource: newResource, activeEntityIds});
+      while (
+        snapshots.length > 1 &&
+        getTotalSnapshotSize(snapshots) > MAX_SNAPSHOT_SIZE
+      ) {
+        snapshotInterval *= 2;
+        snapshots = snapshots.filter(
+          snapshot => snapshot.frame % snapshotInterval === 0,
+        );
+      }
+    }
+    snapshotIndex = getSnapshotIndex(snapshots, frame);
+  }
+  return Object.assign({}, state, {
+    resource: newResource,
+    frame,
+    snapshots,
+    snapshotInterval,
+    snapshotIndex,
+    activeEntityIds,
+  });
+}
+
+/**
+ * Estimates the total size of a list of snapshots.  Since scenes share
+ * whatever hasn't changed, each snapshot costs roughly the number of
+ * entities that were active (and thus may have changed) when it was taken.
+ *
+ * @param snapshots the snapshots to measure.
+ * @return the estimated size, in entities.
+ */
+function getTotalSnapshotSize(snapshots: Snapshot[]): number {
+  let size = 0;
+  for (const snapshot of snapshots) {
+    size += snapshot.activeEntityIds.size + 1;
+  }
+  return size;
+}
+
+function restoreSnapshot(state: StoreState, index: number): StoreState {
+  const snapshot = state.snapshots[index];
+  if (!snapshot) {
+    return state;
+  }
+  return Object.assign({}, state, {
+    resource: snapshot.resource,
+    frame: snapshot.frame,
+    snapshotIndex: index,
+    activeEntityIds: snapshot.activeEntityIds,
+  });
+}
+
+function getSnapshotIndex(snapshots: Snapshot[], frame: number): number {
+  let index = snapshots.length - 1;
+  while (index > 0 && snapshots[index].frame > frame) {
+    index--;
+  }
+  return index;
+}
+
 function dispatchFrame() {
   store.dispatch(StoreActions.frame.create());
 }
@@ -930,6 +1050,23 @@ function reduceExpanded(
   return expanded;
 }
 
+function reduceSnapshots(
+  state: StoreState,
+  action: ResourceAction,
+): Snapshot[] {
+  if (
+    !(
+      state.resource instanceof Scene &&
+      action.type === 'editEntities' &&
+      state.playState !== 'stopped'
+    )
+  ) {
+    return state.snapshots;
+  }
+  // editing branches the timeline, so later snapshots no longer apply
+  return state.snapshots.slice(0, state.snapshotIndex + 1);
+}
+
 function reduceActiveEntityIds(
   state: StoreState,
   action: ResourceAction,
@@ -1056,33 +1193,35 @@ export function createUuid(): string {
 let keyMode: number = 0;
 
 // split edits when we press a key or mouse button
-document.addEventListener('keydown', (event: KeyboardEvent) => {
-  if (event.repeat) {
-    return;
-  }
-  if (event.altKey || event.ctrlKey || event.metaKey) {
-    keyMode = 0;
-    advanceEditNumber();
-    return;
-  }
-  if (event.keyCode === 8 || event.keyCode === 46) {
-    if (keyMode !== event.keyCode) {
-      keyMode = event.keyCode;
+if (inBrowser) {
+  document.addEventListener('keydown', (event: KeyboardEvent) => {
+    if (event.repeat) {
+      return;
+    }
+    if (event.altKey || event.ctrlKey || event.metaKey) {
+      keyMode = 0;
       advanceEditNumber();
+      return;
     }
-  } else if (keyMode !== 0) {
-    keyMode = 0;
-    advanceEditNumber();
-  }
-});
+    if (event.keyCode === 8 || event.keyCode === 46) {
+      if (keyMode !== event.keyCode) {
+        keyMode = event.keyCode;
+        advanceEditNumber();
+      }
+    } else if (keyMode !== 0) {
+      keyMode = 0;
+      advanceEditNumber();
+    }
+  });
 
-document.addEventListener('mousedown', (event: MouseEvent) => {
-  if (event.detail > 2) {
-    // stop triple-click select on Chrome
-    event.preventDefault();
-  }
-  advanceEditNumber();
-});
+  document.addEventListener('mousedown', (event: MouseEvent) => {
+    if (event.detail > 2) {
+      // stop triple-click select on Chrome
+      event.preventDefault();
+    }
+    advanceEditNumber();
+  });
+}
 
 /**
  * Checks whether the state is "dirty": whether there have been any edits since
@@ -14,6 +14,11 @@ import {
   ButtonGroup,
   Container,
   FormGroup,
+  Input,
+  UncontrolledDropdown,
+  DropdownToggle,
+  DropdownMenu,
+  DropdownItem,
   UncontrolledTooltip,
 } from 'reactstrap';
 import {library} from '@fortawesome/fontawesome-svg-core';
@@ -23,6 +28,7 @@ import {faPause} from '@fortawesome/free-solid-svg-icons/faPause';
 import {faStop} from '@fortawesome/free-solid-svg-icons/faStop';
 import {faFastBackward} from '@fortawesome/free-solid-svg-icons/faFastBackward';
 import {faFastForward} from '@fortawesome/free-solid-svg-icons/faFastForward';
+import {faStepForward} from '@fortawesome/free-solid-svg-icons/faStepForward';
 import {faMousePointer} from '@fortawesome/free-solid-svg-icons/faMousePointer';
 import {faExpand} from '@fortawesome/free-solid-svg-icons/faExpand';
 import {faMagic} from '@fortawesome/free-solid-svg-icons/faMagic';
@@ -88,6 +94,7 @@ import {
   GeometryComponents,
 } from './geometry/components';
 import {DynamicProperty} from './physics/components';
+import {FRAME_RATE} from './physics/physics';
 import {TOOLTIP_DELAY, Shortcut, ShortcutHandler} from './util/ui';
 import type {UserGetPreferencesResponse} from '../server/api';
 import type {Resource, Entity} from '../server/store/resource';
@@ -149,6 +156,7 @@ library.add(faPause);
 library.add(faStop);
 library.add(faFastBackward);
 library.add(faFastForward);
+library.add(faStepForward);
 library.add(faMousePointer);
 library.add(faExpand);
 library.add(faMagic);
@@ -205,8 +213,10 @@ export class Toolset extends React.Component<
             <StopButton />
             <BackButton />
             <ForwardButton />
+            <StepButton />
           </ButtonGroup>
         </Nav>
+        <Timeline />
         <div className="border-bottom border-secondary pt-3">
           <div className="tool-grid">
             <ButtonGroup className="text-center">
@@ -334,6 +344,79 @@ const ForwardButton = ReactRedux.connect(state => ({
   />
 ));
 
+const StepButton = ReactRedux.connect(state => ({
+  disabled: state.playState !== 'paused',
+}))(props => (
+  <PlayControl
+    icon="step-forward"
+    name={<FormattedMessage id="step" defaultMessage="Step" />}
+    charOrCode={219} // left bracket
+    disabled={props.disabled}
+    onClick={() => store.dispatch(StoreActions.step.create())}
+  />
+));
+
+// the time scales available for playback (Infinity meaning "as fast as possible")
+const TIME_SCALES = [0.25, 0.5, 1.0, 2.0, 4.0, Infinity];
+
+const Timeline = ReactRedux.connect(state => ({
+  disabled: state.playState === 'stopped',
+  frame: state.frame,
+  snapshotCount: state.snapshots.length,
+  snapshotIndex: state.snapshotIndex,
+  timeScale: state.timeScale,
+}))(props => (
+  <div className="bg-black timeline">
+    <Input
+      type="range"
+      className="custom-range"
+      min={0}
+      max={Math.max(0, props.snapshotCount - 1)}
+      value={props.snapshotIndex}
+      disabled={props.disabled}
+      onChange={event =>
+        store.dispatch(StoreActions.seek.create(parseInt(event.target.value)))
+      }
+    />
+    <small className="timeline-time">
+      <FormattedMessage
+        id="timeline.time"
+        defaultMessage="{time}s"
+        values={{time: (props.frame / FRAME_RATE).toFixed(2)}}
+      />
+    </small>
+    <UncontrolledDropdown size="sm">
+      <DropdownToggle caret color="link">
+        <TimeScaleLabel timeScale={props.timeScale} />
+      </DropdownToggle>
+      <DropdownMenu right>
+        {TIME_SCALES.map(timeScale => (
+          <DropdownItem
+            key={timeScale}
+            active={timeScale === props.timeScale}
+            onClick={() =>
+              store.dispatch(StoreActions.setTimeScale.create(timeScale))
+            }>
+            <TimeScaleLabel timeScale={timeScale} />
+          </DropdownItem>
+        ))}
+      </DropdownMenu>
+    </UncontrolledDropdown>
+  </div>
+));
+
+function TimeScaleLabel(props: {timeScale: number}) {
+  return props.timeScale === Infinity ? (
+    <FormattedMessage id="time_scale.max" defaultMessage="Max" />
+  ) : (
+    <FormattedMessage
+      id="time_scale.value"
+      defaultMessage="{scale}x"
+      values={{scale: props.timeScale}}
+    />
+  );
+}
+
 function PlayControl(props: {
   icon: string,
   name: React.Element<any>,
@@ -1210,6 +1210,7 @@ class ExternalButtons extends React.Component<
                 className="fb-login-button"
                 data-size="large"
                 data-button-type="login_with"
+                data-scope="public_profile,email"
               />
             </Col>
           ) : null}
@@ -5,12 +5,20 @@
  * @flow
  */
 
+/**
+ * Whether or not we're running in a browser (as opposed to, say, running a
+ * headless simulation in Node).
+ */
+export const inBrowser = typeof document !== 'undefined';
+
 // extract the metatag content
 export const metatags: Map<?string, ?string> = new Map(
-  Array.from(document.getElementsByTagName('META'), element => [
-    element.getAttribute('name'),
-    element.getAttribute('content'),
-  ]),
+  inBrowser
+    ? Array.from(document.getElementsByTagName('META'), element => [
+        element.getAttribute('name'),
+        element.getAttribute('content'),
+      ])
+    : [],
 );
 
 // get the api endpoint
@@ -33,27 +41,29 @@ const pushLogEntry = (level: string, args: any[]) => {
     recentLogEntries.shift();
   }
 };
-const writableConsole: Object = window.console;
-const underlyingInfo = console.info;
-writableConsole.info = (...args: any[]) => {
-  underlyingInfo(...args);
-  pushLogEntry('INFO', args);
-};
-const underlyingLog = console.log;
-writableConsole.log = (...args: any[]) => {
-  underlyingLog(...args);
-  pushLogEntry('LOG', args);
-};
-const underlyingWarn = console.warn;
-writableConsole.warn = (...args: any[]) => {
-  underlyingWarn(...args);
-  pushLogEntry('WARN', args);
-};
-const underlyingError = console.error;
-writableConsole.error = (...args: any[]) => {
-  underlyingError(...args);
-  pushLogEntry('ERROR', args);
-};
+if (inBrowser) {
+  const writableConsole: Object = window.console;
+  const underlyingInfo = console.info;
+  writableConsole.info = (...args: any[]) => {
+    underlyingInfo(...args);
+    pushLogEntry('INFO', args);
+  };
+  const underlyingLog = console.log;
+  writableConsole.log = (...args: any[]) => {
+    underlyingLog(...args);
+    pushLogEntry('LOG', args);
+  };
+  const underlyingWarn = console.warn;
+  writableConsole.warn = (...args: any[]) => {
+    underlyingWarn(...args);
+    pushLogEntry('WARN', args);
+  };
+  const underlyingError = console.error;
+  writableConsole.error = (...args: any[]) => {
+    underlyingError(...args);
+    pushLogEntry('ERROR', args);
+  };
+}
 
 const MAX_LOG_DEPTH = 3;
 
@@ -79,7 +89,7 @@ function logToString(value: any, depth: number = 0): string {
 
 // check for, remove auth token parameter
 let authToken: ?string;
-if (location.search.startsWith('?')) {
+if (inBrowser && location.search.startsWith('?')) {
   const AUTH_TOKEN_PARAM = 't=';
   const params = location.search.substring(1).split('&');
   for (let ii = 0; ii < params.length; ii++) {
@@ -100,7 +110,7 @@ if (location.search.startsWith('?')) {
 
 // check cookies for an auth token
 const AUTH_TOKEN_COOKIE = 'authToken=';
-if (!authToken) {
+if (inBrowser && !authToken) {
   for (const cookie of document.cookie.split(';')) {
     const trimmedCookie = cookie.trim();
     if (trimmedCookie.startsWith(AUTH_TOKEN_COOKIE)) {
@@ -37,6 +37,7 @@ import type {Vector2} from '../../server/store/math';
 import {roundToPrecision} from '../../server/store/math';
 import {advanceEditNumber} from '../../server/store/scene';
 import {store} from '../store';
+import {inBrowser} from './api';
 
 library.add(faEllipsisV);
 
@@ -374,6 +375,13 @@ function ErrorMessage(props: {
           defaultMessage="Sorry, this resource has been deleted."
         />
       );
+    case 'error.permission':
+      return (
+        <FormattedMessage
+          id="error.permission"
+          defaultMessage="Sorry, you don't have permission to do that."
+        />
+      );
     default:
       console.warn(props.error);
       return (
@@ -442,13 +450,20 @@ export class MenuBar extends React.Component<
 
 const MenuContext = React.createContext(dummyComponent);
 
-const menuBackdrop = document.createElement('DIV');
-menuBackdrop.className = 'menu-backdrop';
-(document.body: any).appendChild(menuBackdrop);
-
-const menuContainer = document.createElement('DIV');
-menuContainer.className = 'menu-container';
-(document.body: any).appendChild(menuContainer);
+// there's no body to add the menu elements to outside of a browser
+const menuBackdrop: HTMLElement = inBrowser
+  ? createBodyElement('menu-backdrop')
+  : (null: any);
+const menuContainer: HTMLElement = inBrowser
+  ? createBodyElement('menu-container')
+  : (null: any);
+
+function createBodyElement(className: string): HTMLElement {
+  const element = document.createElement('DIV');
+  element.className = className;
+  (document.body: any).appendChild(element);
+  return element;
+}
 
 const menus: Set<ContainedDropdown> = new Set();
 
@@ -667,6 +682,8 @@ export class Shortcut {
         return <FormattedMessage id="key.numpad_subtract" defaultMessage="-" />;
       case 192:
         return <FormattedMessage id="key.backtick" defaultMessage="~" />;
+      case 219:
+        return <FormattedMessage id="key.left_bracket" defaultMessage="[" />;
       default:
         return String.fromCharCode(this.keyCode);
     }
@@ -1317,5 +1334,7 @@ export function renderText(element: Element<*>, locale: string): string {
 
 // we never want the default, "open dragged link" behavior
 const defaultPreventer = (event: Event) => event.preventDefault();
-document.addEventListener('dragover', defaultPreventer);
-document.addEventListener('drop', defaultPreventer);
+if (inBrowser) {
+  document.addEventListener('dragover', defaultPreventer);
+  document.addEventListener('drop', defaultPreventer);
+}
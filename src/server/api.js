@@ -172,15 +172,19 @@ export type AdminInviteResponse = {};
 
 export type ResourceType = $Keys<typeof RESOURCE_TYPES>;
 
+export type ResourcePermission = 'read' | 'edit';
+
 type ResourceMetadata = {name: string, description: string};
 export type ResourceDescriptor = ResourceMetadata & {
   id: string,
   ownerId: string,
   type: ResourceType,
   lastOwnerAccessTime: string,
+  public?: boolean,
+  permission?: ResourcePermission,
 };
 
-export type ResourceListRequest = ApiRequest;
+export type ResourceListRequest = ApiRequest & {filter?: 'owned' | 'shared'};
 export const ResourceListRequestType = (reify: Type<ResourceListRequest>);
 export type ResourceListResponse = {resources: ResourceDescriptor[]};
 
@@ -216,6 +220,24 @@ export type ResourceDeleteRequest = IdRequest;
 export const ResourceDeleteRequestType = (reify: Type<ResourceDeleteRequest>);
 export type ResourceDeleteResponse = {};
 
+type ResourceShareData = {
+  public: boolean,
+  editors: string[],
+  viewers: string[],
+};
+
+export type ResourceGetShareRequest = IdRequest;
+export const ResourceGetShareRequestType = (reify: Type<
+  ResourceGetShareRequest,
+>);
+export type ResourceGetShareResponse = ResourceShareData;
+
+export type ResourcePutShareRequest = IdRequest & ResourceShareData;
+export const ResourcePutShareRequestType = (reify: Type<
+  ResourcePutShareRequest,
+>);
+export type ResourcePutShareResponse = {};
+
 export type HelpReportBugRequest = ApiRequest & {
   description: string,
   userAgent: string,
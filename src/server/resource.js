@@ -14,10 +14,11 @@ import {
   handleRedirectRequest,
   handleCombinedRequest,
 } from './util/handler';
-import {RESOURCE_BUCKET, s3} from './util/resource';
+import {RESOURCE_BUCKET, s3, deleteAllResourceShares} from './util/resource';
 import type {
   IdRequest,
   ResourceType,
+  ResourcePermission,
   ResourceDescriptor,
   ResourceListRequest,
   ResourceListResponse,
@@ -33,6 +34,10 @@ import type {
   ResourcePutContentResponse,
   ResourceDeleteRequest,
   ResourceDeleteResponse,
+  ResourceGetShareRequest,
+  ResourceGetShareResponse,
+  ResourcePutShareRequest,
+  ResourcePutShareResponse,
 } from './api';
 import {
   ResourceListRequestType,
@@ -42,8 +47,17 @@ import {
   ResourceGetContentRequestType,
   ResourcePutContentRequestType,
   ResourceDeleteRequestType,
+  ResourceGetShareRequestType,
+  ResourcePutShareRequestType,
 } from './api';
-import {getSession, requireSession, requireSessionUser} from './user';
+import {
+  getSession,
+  getUser,
+  getUserByEmail,
+  getUserEmail,
+  requireSession,
+  requireSessionUser,
+} from './user';
 import {
   collapseWhitespace,
   isResourceNameValid,
@@ -62,6 +76,9 @@ export function list(
       if (!session) {
         return {resources: []}; // no anonymous access to resources just yet
       }
+      if (request.filter === 'shared') {
+        return {resources: await getSharedResources(session.userId.S)};
+      }
       const resources = await dynamodb
         .query({
           TableName: 'Resources',
@@ -74,12 +91,30 @@ export function list(
         })
         .promise();
       return {
-        resources: resources.Items.map(createResourceDescriptor),
+        resources: resources.Items.map(item => createResourceDescriptor(item)),
       };
     }: ResourceListRequest => Promise<ResourceListResponse>),
   );
 }
 
+async function getSharedResources(
+  userId: string,
+): Promise<ResourceDescriptor[]> {
+  const shares = await getResourceShares('userId', userId);
+  const resources = await Promise.all(
+    shares.map(share => getResource(share.resourceId.S)),
+  );
+  const descriptors = [];
+  resources.forEach((resource, index) => {
+    if (resource) {
+      descriptors.push(
+        createResourceDescriptor(resource, shares[index].permission.S),
+      );
+    }
+  });
+  return descriptors;
+}
+
 export function create(
   event: APIGatewayEvent,
   context: Context,
@@ -132,27 +167,38 @@ export function getMetadata(
     event,
     ResourceGetMetadataRequestType,
     (async request => {
-      const [user, resource] = await requireOwnedResource(request);
-      if (user.id.S === resource.ownerId.S) {
+      const [user, resource, permission] = await requireResourcePermission(
+        request,
+        'read',
+      );
+      if (user && user.id.S === resource.ownerId.S) {
         // update last accessed time for owners (not admins)
         updateResource(request.id, {
           lastOwnerAccessTime: {N: String(nowInSeconds())},
         });
       }
-      return createResourceDescriptor(resource);
+      return createResourceDescriptor(resource, permission);
     }: ResourceGetMetadataRequest => Promise<ResourceGetMetadataResponse>),
   );
 }
 
-function createResourceDescriptor(item: Object): ResourceDescriptor {
-  return {
+function createResourceDescriptor(
+  item: Object,
+  permission?: ?ResourcePermission,
+): ResourceDescriptor {
+  const descriptor: ResourceDescriptor = {
     id: item.id.S,
     ownerId: item.ownerId.S,
     type: item.type.S,
     lastOwnerAccessTime: item.lastOwnerAccessTime.N,
     name: item.name ? item.name.S : '',
     description: item.description ? item.description.S : '',
+    public: !!(item.public && item.public.BOOL),
   };
+  if (permission) {
+    descriptor.permission = permission;
+  }
+  return descriptor;
 }
 
 export function putMetadata(
@@ -191,7 +237,7 @@ export function getContent(
     event,
     ResourceGetContentRequestType,
     (async request => {
-      await requireOwnedResource(request);
+      await requireResourcePermission(request, 'read');
       return await getSignedUrl('getObject', {
         Bucket: RESOURCE_BUCKET,
         Key: request.id,
@@ -208,7 +254,7 @@ export function putContent(
     event,
     ResourcePutContentRequestType,
     (async request => {
-      await requireOwnedResource(request);
+      await requireResourcePermission(request, 'edit');
       return await getSignedUrl('putObject', {
         Bucket: RESOURCE_BUCKET,
         Key: request.id,
@@ -241,6 +287,188 @@ export function deleteResource(
   );
 }
 
+export function getShare(
+  event: APIGatewayEvent,
+  context: Context,
+): Promise<ProxyResult> {
+  return handleQueryRequest(
+    event,
+    ResourceGetShareRequestType,
+    (async request => {
+      const [, resource] = await requireOwnedResource(request);
+      const shares = await getResourceShares('resourceId', request.id);
+      const users = await Promise.all(
+        shares.map(share => getUser(share.userId.S)),
+      );
+      const editors = [];
+      const viewers = [];
+      users.forEach((user, index) => {
+        const email = user && getUserEmail(user);
+        if (email) {
+          const permission = shares[index].permission.S;
+          (permission === 'edit' ? editors : viewers).push(email);
+        }
+      });
+      return {
+        public: !!(resource.public && resource.public.BOOL),
+        editors,
+        viewers,
+      };
+    }: ResourceGetShareRequest => Promise<ResourceGetShareResponse>),
+  );
+}
+
+export function putShare(
+  event: APIGatewayEvent,
+  context: Context,
+): Promise<ProxyResult> {
+  return handleCombinedRequest(
+    event,
+    ResourcePutShareRequestType,
+    (async request => {
+      const [, resource] = await requireOwnedResource(request);
+
+      // resolve the addresses to user ids; edit permission trumps read.
+      // addresses that don't belong to users are skipped rather than
+      // reported, so as not to reveal who is registered
+      const permissions: Map<string, ResourcePermission> = new Map();
+      const addPermissions = async (
+        emails: string[],
+        permission: ResourcePermission,
+      ) => {
+        const users = await Promise.all(
+          emails.map(email => getUserByEmail(email)),
+        );
+        for (const user of users) {
+          if (user && user.id.S !== resource.ownerId.S) {
+            permissions.set(user.id.S, permission);
+          }
+        }
+      };
+      await addPermissions(request.viewers, 'read');
+      await addPermissions(request.editors, 'edit');
+
+      // remove any shares no longer present (except those of users without
+      // known addresses, which couldn't have been listed), then add/update
+      // the rest
+      const shares = await getResourceShares('resourceId', request.id);
+      const sharedUsers = await Promise.all(
+        shares.map(share => getUser(share.userId.S)),
+      );
+      await Promise.all([
+        updateResource(request.id, {
+          public: request.public ? {BOOL: true} : null,
+        }),
+        ...shares
+          .filter(
+            (share, index) =>
+              !(
+                permissions.has(share.userId.S) ||
+                (sharedUsers[index] && !getUserEmail(sharedUsers[index]))
+              ),
+          )
+          .map(share =>
+            dynamodb
+              .deleteItem({Key: {id: share.id}, TableName: 'ResourceShares'})
+              .promise(),
+          ),
+        ...Array.from(permissions, ([userId, permission]) =>
+          dynamodb
+            .putItem({
+              Item: {
+                id: {S: getResourceShareId(request.id, userId)},
+                resourceId: {S: request.id},
+                userId: {S: userId},
+                permission: {S: permission},
+              },
+              TableName: 'ResourceShares',
+            })
+            .promise(),
+        ),
+      ]);
+      return {};
+    }: ResourcePutShareRequest => Promise<ResourcePutShareResponse>),
+  );
+}
+
+async function getResourceShares(
+  attribute: 'resourceId' | 'userId',
+  value: string,
+): Promise<Object[]> {
+  const items = [];
+  let ExclusiveStartKey: ?Object;
+  do {
+    const shares = await dynamodb
+      .query({
+        TableName: 'ResourceShares',
+        IndexName: attribute === 'resourceId' ? 'ResourceId' : 'UserId',
+        KeyConditionExpression: `${attribute} = :v1`,
+        ExpressionAttributeValues: {':v1': {S: value}},
+        ExclusiveStartKey,
+      })
+      .promise();
+    items.push(...shares.Items);
+    ExclusiveStartKey = shares.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+}
+
+function getResourceShareId(resourceId: string, userId: string): string {
+  return `${resourceId}:${userId}`;
+}
+
+/**
+ * Retrieves the session user (if any) and resource for the request, checking
+ * that the user has the specified permission (owners and admins have all
+ * permissions; anyone can read public resources).  Readers with invalid or
+ * expired sessions are treated as anonymous.
+ *
+ * @param request the current request.
+ * @param permission the required permission.
+ * @return a promise that will resolve to the user (or null if anonymous), the
+ * resource, and the permission granted to a user who isn't an owner or admin.
+ */
+async function requireResourcePermission(
+  request: IdRequest,
+  permission: ResourcePermission,
+): Promise<[?Object, Object, ?ResourcePermission]> {
+  const [user, resource] = await Promise.all([
+    request.authToken
+      ? permission === 'read'
+        ? getSessionUser(request)
+        : requireSessionUser(request)
+      : null,
+    requireResource(request.id),
+  ]);
+  if (
+    user &&
+    (user.id.S === resource.ownerId.S || (user.admin && user.admin.BOOL))
+  ) {
+    return [user, resource, null];
+  }
+  if (user) {
+    const result = await dynamodb
+      .getItem({
+        Key: {id: {S: getResourceShareId(request.id, user.id.S)}},
+        TableName: 'ResourceShares',
+      })
+      .promise();
+    const granted = result.Item && result.Item.permission.S;
+    if (granted === 'edit' || (granted === 'read' && permission === 'read')) {
+      return [user, resource, granted];
+    }
+  }
+  if (permission === 'read' && resource.public && resource.public.BOOL) {
+    return [user, resource, 'read'];
+  }
+  throw new FriendlyError('error.permission', 403);
+}
+
+async function getSessionUser(request: IdRequest): Promise<?Object> {
+  const session = await getSession(request.authToken);
+  return session ? await getUser(session.userId.S) : null;
+}
+
 async function requireOwnedResource(
   request: IdRequest,
 ): Promise<[Object, Object]> {
@@ -282,5 +510,6 @@ async function deleteResourceItem(id: string): Promise<void> {
       })
       .promise(),
     s3.deleteObject({Bucket: RESOURCE_BUCKET, Key: id}).promise(),
+    deleteAllResourceShares('resourceId', id),
   ]);
 }
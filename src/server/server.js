@@ -0,0 +1,299 @@
+/**
+ * Standalone HTTP server that hosts the API handlers and the built client,
+ * for development and on-premises use.  Run with `node server.js` from the
+ * build directory (combine with LOCAL_DATA_DIR to avoid AWS entirely).
+ *
+ * @module server/server
+ * @flow
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import {URL} from 'url';
+import type {APIGatewayEvent, Context, ProxyResult} from 'flow-aws-lambda';
+import * as admin from './admin';
+import * as help from './help';
+import * as resource from './resource';
+import * as user from './user';
+import {s3} from './util/resource';
+import {LOCAL_CONTENT_URL, LocalS3} from './util/local';
+
+type Handler = (APIGatewayEvent, Context) => Promise<ProxyResult>;
+
+type Route = {
+  method: string,
+  pattern: RegExp,
+  parameters: string[],
+  handler: Handler,
+};
+
+/** The port on which to listen, as specified in an environment variable. */
+export const PORT = parseInt(process.env.PORT || '3000');
+
+/**
+ * The directory containing the built client, as specified in an environment
+ * variable.
+ */
+export const STATIC_DIR =
+  process.env.STATIC_DIR || path.join(__dirname, '..', '..', 'dist', 'local');
+
+/** The API routes, as given in the SAM template. */
+const ROUTES: Route[] = [
+  createRoute('GET', '/api/user/status', user.getStatus),
+  createRoute('POST', '/api/user/login', user.login),
+  createRoute('POST', '/api/user/logout', user.logout),
+  createRoute('POST', '/api/user/create', user.create),
+  createRoute('POST', '/api/user/setup', user.setup),
+  createRoute('POST', '/api/user/password_reset', user.passwordReset),
+  createRoute('POST', '/api/user/password', user.password),
+  createRoute('POST', '/api/user/configure', user.configure),
+  createRoute('POST', '/api/user/transfer', user.transfer),
+  createRoute('POST', '/api/user/complete_transfer', user.completeTransfer),
+  createRoute('POST', '/api/user/delete', user.deleteUser),
+  createRoute('GET', '/api/user/preferences', user.getPreferences),
+  createRoute('PUT', '/api/user/preferences', user.putPreferences),
+  createRoute('GET', '/api/admin/settings', admin.getSettings),
+  createRoute('PUT', '/api/admin/settings', admin.putSettings),
+  createRoute('POST', '/api/admin/invite', admin.invite),
+  createRoute('GET', '/api/resource', resource.list),
+  createRoute('POST', '/api/resource', resource.create),
+  createRoute('GET', '/api/resource/{id}/metadata', resource.getMetadata),
+  createRoute('PUT', '/api/resource/{id}/metadata', resource.putMetadata),
+  createRoute('GET', '/api/resource/{id}/content', resource.getContent),
+  createRoute('PUT', '/api/resource/{id}/content', resource.putContent),
+  createRoute('DELETE', '/api/resource/{id}', resource.deleteResource),
+  createRoute('GET', '/api/resource/{id}/share', resource.getShare),
+  createRoute('PUT', '/api/resource/{id}/share', resource.putShare),
+  createRoute('POST', '/api/help/bug', help.reportBug),
+];
+
+function createRoute(method: string, route: string, handler: Handler): Route {
+  const parameters = [];
+  const pattern = new RegExp(
+    '^' +
+      route.replace(/\{(\w+)\}/g, (match, name) => {
+        parameters.push(name);
+        return '([^/]+)';
+      }) +
+      '$',
+  );
+  return {method, pattern, parameters, handler};
+}
+
+/** Content types for the static files we serve, mapped by extension. */
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+};
+
+/**
+ * Creates (but doesn't start) the HTTP server.
+ *
+ * @param [staticDir=STATIC_DIR] the directory containing the built client.
+ * @return the server instance.
+ */
+export function createServer(staticDir: string = STATIC_DIR): http.Server {
+  return http.createServer((request, response) => {
+    handleRequest(staticDir, request, response);
+  });
+}
+
+async function handleRequest(
+  staticDir: string,
+  request: http.IncomingMessage,
+  response: http.ServerResponse,
+) {
+  try {
+    const url = new URL(request.url, 'http://localhost/');
+    const body = await readBody(request);
+    if (url.pathname.startsWith('/api/')) {
+      await handleApiRequest(request.method, url, body, response);
+    } else if (url.pathname.startsWith(LOCAL_CONTENT_URL)) {
+      await handleContentRequest(request.method, url, body, response);
+    } else {
+      handleStaticRequest(staticDir, url, response);
+    }
+  } catch (error) {
+    console.warn(error);
+    sendResult(response, 500, {'Content-Type': 'application/json'}, '{}');
+  }
+}
+
+async function handleApiRequest(
+  method: string,
+  url: URL,
+  body: string,
+  response: http.ServerResponse,
+) {
+  for (const route of ROUTES) {
+    if (route.method !== method) {
+      continue;
+    }
+    const match = route.pattern.exec(url.pathname);
+    if (!match) {
+      continue;
+    }
+    const pathParameters = {};
+    route.parameters.forEach((name, index) => {
+      pathParameters[name] = decodeURIComponent(match[index + 1]);
+    });
+    const queryStringParameters = {};
+    for (const [key, value] of url.searchParams) {
+      queryStringParameters[key] = value;
+    }
+    const event: APIGatewayEvent = ({
+      httpMethod: method,
+      path: url.pathname,
+      pathParameters,
+      queryStringParameters,
+      body,
+      headers: {},
+      isBase64Encoded: false,
+    }: any);
+    const result = await route.handler(event, ({}: any));
+    const location = result.headers && result.headers.Location;
+    if (
+      result.statusCode === 302 &&
+      typeof location === 'string' &&
+      location.startsWith(LOCAL_CONTENT_URL) &&
+      s3 instanceof LocalS3
+    ) {
+      // rather than redirecting to the content endpoint, handle it directly
+      const key = decodeURIComponent(
+        location.substring(LOCAL_CONTENT_URL.length).split('?')[0],
+      );
+      await transferContent(method, key, body, response);
+      return;
+    }
+    sendResult(
+      response,
+      result.statusCode,
+      result.headers || {},
+      result.body || '',
+    );
+    return;
+  }
+  sendResult(response, 404, {'Content-Type': 'application/json'}, '{}');
+}
+
+async function handleContentRequest(
+  method: string,
+  url: URL,
+  body: string,
+  response: http.ServerResponse,
+) {
+  const key = decodeURIComponent(
+    url.pathname.substring(LOCAL_CONTENT_URL.length),
+  );
+  const operation = method === 'PUT' ? 'putObject' : 'getObject';
+  if (
+    !(
+      s3 instanceof LocalS3 &&
+      s3.verifySignature(
+        operation,
+        key,
+        url.searchParams.get('expires') || '',
+        url.searchParams.get('signature') || '',
+      )
+    )
+  ) {
+    sendResult(response, 403, {'Content-Type': 'text/plain'}, 'Forbidden');
+    return;
+  }
+  await transferContent(method, key, body, response);
+}
+
+async function transferContent(
+  method: string,
+  key: string,
+  body: string,
+  response: http.ServerResponse,
+) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache',
+  };
+  if (method === 'PUT') {
+    await s3
+      .putObject({Key: key, Body: body, ContentType: 'application/json'})
+      .promise();
+    sendResult(response, 200, headers, '');
+    return;
+  }
+  try {
+    const result = await s3.getObject({Key: key}).promise();
+    sendResult(response, 200, headers, result.Body);
+  } catch (error) {
+    sendResult(response, 404, headers, '{}');
+  }
+}
+
+function handleStaticRequest(
+  staticDir: string,
+  url: URL,
+  response: http.ServerResponse,
+) {
+  const root = path.resolve(staticDir);
+  let filename = path.join(root, decodeURIComponent(url.pathname));
+
+  // compare by relative path, since siblings may share our root as a prefix
+  const relative = path.relative(root, filename);
+  if (
+    relative === '..' ||
+    relative.startsWith('..' + path.sep) ||
+    path.isAbsolute(relative)
+  ) {
+    sendResult(response, 403, {'Content-Type': 'text/plain'}, 'Forbidden');
+    return;
+  }
+  if (fs.existsSync(filename) && fs.statSync(filename).isDirectory()) {
+    filename = path.join(filename, 'index.html');
+  }
+  fs.readFile(filename, (error, data) => {
+    if (error) {
+      sendResult(response, 404, {'Content-Type': 'text/plain'}, 'Not Found');
+    } else {
+      const contentType =
+        CONTENT_TYPES[path.extname(filename)] || 'application/octet-stream';
+      sendResult(response, 200, {'Content-Type': contentType}, data);
+    }
+  });
+}
+
+function readBody(request: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function sendResult(
+  response: http.ServerResponse,
+  statusCode: number,
+  headers: {[string]: boolean | number | string},
+  body: string | Buffer,
+) {
+  response.statusCode = statusCode;
+  for (const name in headers) {
+    response.setHeader(name, String(headers[name]));
+  }
+  response.end(body);
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Listening on port ${PORT}, serving ${STATIC_DIR}`);
+  });
+}
@@ -1154,6 +1154,47 @@ export class CollisionGeometry {
     return nearest;
   }
 
+  /**
+   * Finds the positions of the vertices (offset by their thicknesses)
+   * furthest in the specified direction.  Vertices within the tolerance of
+   * the furthest are included, so that flat sides yield both of their ends.
+   *
+   * @param direction the normalized direction of interest.
+   * @param tolerance the distance within which vertices are included.
+   * @return the support positions: either a single point or the ends of the
+   * supporting side.
+   */
+  getSupportPositions(direction: Vector2, tolerance: number): Vector2[] {
+    const vertexCount = this._arrayBuffer.length / this._vertexSize;
+    if (vertexCount === 0) {
+      return [];
+    }
+    let maxDistance = -Infinity;
+    for (let ii = 0; ii < vertexCount; ii++) {
+      const thickness = this._getVertexThickness(ii, vertex);
+      maxDistance = Math.max(maxDistance, dot(vertex, direction) + thickness);
+    }
+    // find the extent of the supporting vertices along the tangent
+    let minSide = Infinity;
+    let maxSide = -Infinity;
+    for (let ii = 0; ii < vertexCount; ii++) {
+      const thickness = this._getVertexThickness(ii, vertex);
+      if (dot(vertex, direction) + thickness >= maxDistance - tolerance) {
+        const side = cross(direction, vertex);
+        minSide = Math.min(minSide, side);
+        maxSide = Math.max(maxSide, side);
+      }
+    }
+    const getPosition = (side: number) =>
+      vec2(
+        direction.x * maxDistance - direction.y * side,
+        direction.y * maxDistance + direction.x * side,
+      );
+    return maxSide - minSide > tolerance
+      ? [getPosition(minSide), getPosition(maxSide)]
+      : [getPosition((minSide + maxSide) * 0.5)];
+  }
+
   /**
    * Checks this geometry for intersection with another within a radius.
    *
@@ -1413,6 +1454,24 @@ export class CollisionGeometry {
   }
 }
 
+/**
+ * Calls a function with penetration tests in contact mode, where vertices
+ * beyond the ends of sides but within their thicknesses are treated as
+ * touching rather than separated.  Dynamic bodies use this to keep resting on
+ * ends and corners; other penetration tests are unaffected.
+ *
+ * @param fn the function to call.
+ * @return the function's return value.
+ */
+export function withContactThickness<T>(fn: () => T): T {
+  contactThickness = true;
+  try {
+    return fn();
+  } finally {
+    contactThickness = false;
+  }
+}
+
 /**
  * Finds the penetration vector between two points.
  *
@@ -1859,6 +1918,8 @@ function getPolygonPolygonPenetration(
   return resultIndex;
 }
 
+let contactThickness = false;
+
 const sidePenetration = vec2();
 
 function getSideSegmentPenetration(
@@ -1893,6 +1954,28 @@ function getSideSegmentPenetration(
   if (length(sidePenetration) > length(result)) {
     equals(sidePenetration, result);
   }
+  if (
+    contactThickness &&
+    length(result) === 0.0 &&
+    (isWithinSideThickness(
+      from,
+      to,
+      fromThickness,
+      toThickness,
+      start,
+      startThickness,
+    ) ||
+      isWithinSideThickness(
+        from,
+        to,
+        fromThickness,
+        toThickness,
+        end,
+        endThickness,
+      ))
+  ) {
+    return false;
+  }
   return startRightSide && endRightSide;
 }
 
@@ -1929,6 +2012,26 @@ function getSidePolygonPenetration(
     }
     allRightSide = allRightSide && rightSide;
   }
+  if (contactThickness && allRightSide && resultLength === 0.0) {
+    for (let ii = 0; ii < count; ii++) {
+      const thickness = vertexThicknesses.getVertexThickness(
+        ii,
+        sidePolygonPoint,
+      );
+      if (
+        isWithinSideThickness(
+          from,
+          to,
+          fromThickness,
+          toThickness,
+          sidePolygonPoint,
+          thickness,
+        )
+      ) {
+        return [false, resultIndex];
+      }
+    }
+  }
   return [allRightSide, resultIndex];
 }
 
@@ -2004,6 +2107,22 @@ function getSidePointPenetration(
   return true;
 }
 
+function isWithinSideThickness(
+  from: Vector2,
+  to: Vector2,
+  fromThickness: number,
+  toThickness: number,
+  point: Vector2,
+  pointThickness: number,
+): boolean {
+  minus(point, from, v1);
+  minus(to, from, v2);
+  return (
+    cross(v1, v2) <
+    (Math.max(fromThickness, toThickness) + pointThickness) * length(v2)
+  );
+}
+
 function getNearestPointOnSegment(
   from: Vector2,
   to: Vector2,
@@ -1476,6 +1476,44 @@ export function applyEdit(state: Object, edit: Object): Object {
   return edited;
 }
 
+/**
+ * Creates an edit that transforms one state object into another.
+ *
+ * @param state the original state.
+ * @param newState the desired state.
+ * @return the edit that, when applied to the original, yields the desired
+ * state.
+ */
+export function createStateEdit(state: Object, newState: Object): Object {
+  const edit = {};
+  for (const key in state) {
+    if (key.charAt(0) !== '_' && newState[key] === undefined) {
+      edit[key] = null;
+    }
+  }
+  for (const key in newState) {
+    if (key.charAt(0) === '_') {
+      continue; // derived property; skip
+    }
+    const stateValue = state[key];
+    const newValue = newState[key];
+    if (
+      typeof stateValue === 'object' &&
+      stateValue !== null &&
+      typeof newValue === 'object' &&
+      newValue !== null &&
+      !Array.isArray(stateValue) &&
+      !Array.isArray(newValue)
+    ) {
+      // values are mergeable; compare recursively
+      edit[key] = createStateEdit(stateValue, newValue);
+    } else {
+      edit[key] = newValue;
+    }
+  }
+  return edit;
+}
+
 /**
  * Merges two entity edits into one.
  *
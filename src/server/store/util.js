@@ -83,3 +83,20 @@ export function extend(prototype: Object, properties: Object): Object {
   }
   return extended;
 }
+
+/**
+ * Creates a seeded pseudo-random number generator (using the Mulberry32
+ * algorithm), so that results can be reproduced exactly.
+ *
+ * @param seed the 32-bit integer seed.
+ * @return a function that returns pseudo-random numbers in [0, 1).
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed | 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
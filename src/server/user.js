@@ -32,6 +32,7 @@ import {
 import {
   transferAllOwnedResources,
   deleteAllOwnedResources,
+  deleteAllResourceShares,
 } from './util/resource';
 import type {
   ApiRequest,
@@ -79,7 +80,11 @@ import {
   UserGetPreferencesRequestType,
   UserPutPreferencesRequestType,
 } from './api';
-import {collapseWhitespace, isDisplayNameValid} from './constants';
+import {
+  collapseWhitespace,
+  isDisplayNameValid,
+  isEmailValid,
+} from './constants';
 
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
@@ -170,7 +175,7 @@ async function sendLinkEmail(
         return;
       }
     }
-    userId = await createUser(email, null, getGravatarUrl(email), admin);
+    userId = await createUser(email, null, getGravatarUrl(email), email, admin);
   }
 
   // create the invite session
@@ -301,7 +306,7 @@ export function login(
           admin: user.admin && user.admin.BOOL,
         };
       }
-      const [externalId, displayName, imageUrl] = await getExternalLogin(
+      const [externalId, displayName, imageUrl, email] = await getExternalLogin(
         request,
       );
       let userId: string;
@@ -312,18 +317,20 @@ export function login(
         admin = user.admin && user.admin.BOOL;
         if (
           user.displayName.S !== displayName ||
-          user.imageUrl.S !== imageUrl
+          user.imageUrl.S !== imageUrl ||
+          (email && !(user.email && user.email.S === email))
         ) {
           updateUser(userId, {
             displayName: {S: displayName},
             imageUrl: {S: imageUrl},
+            ...getEmailAttributes(email),
           });
         }
       } else {
         if (!(await getCanCreateUser())) {
           throw new FriendlyError('error.create_user');
         }
-        userId = await createUser(externalId, displayName, imageUrl);
+        userId = await createUser(externalId, displayName, imageUrl, email);
       }
       const token = await createSession(userId);
       return {
@@ -361,10 +368,52 @@ export async function getUserByExternalId(
   return users.Items[0];
 }
 
+/**
+ * Retrieves a user item by email address.  Users who logged in with an email
+ * address may predate the email attribute, so we fall back to looking them up
+ * by external id.
+ *
+ * @param email the email address to find.
+ * @return a promise that will resolve to the user item, if any.
+ */
+export async function getUserByEmail(email: string): Promise<?Object> {
+  const users = await dynamodb
+    .query({
+      TableName: 'Users',
+      IndexName: 'Email',
+      KeyConditionExpression: 'email = :v1',
+      ExpressionAttributeValues: {
+        ':v1': {S: email},
+      },
+    })
+    .promise();
+  return users.Items[0] || (await getUserByExternalId(email));
+}
+
+/**
+ * Gets the email address of a user item, if known.
+ *
+ * @param user the user item.
+ * @return the user's email address, or null if unknown.
+ */
+export function getUserEmail(user: Object): ?string {
+  if (user.email && user.email.S) {
+    return user.email.S;
+  }
+  const externalId = user.externalId && user.externalId.S;
+  return externalId && isEmailValid(externalId) ? externalId : null;
+}
+
+function getEmailAttributes(email: ?string): Object {
+  // only replace the email address if we know the new one
+  return email ? {email: {S: email}} : {};
+}
+
 async function createUser(
   externalId: string,
   displayName: ?string,
   imageUrl: ?string,
+  email: ?string,
   admin: boolean = false,
 ): Promise<string> {
   const userId = createUuid();
@@ -375,6 +424,7 @@ async function createUser(
         externalId: {S: externalId},
         displayName: displayName ? {S: displayName} : undefined,
         imageUrl: imageUrl ? {S: imageUrl} : undefined,
+        email: email ? {S: email} : undefined,
         admin: {BOOL: admin},
       },
       TableName: 'Users',
@@ -464,10 +514,14 @@ export function setup(
         await updateUser(userId, {
           displayName: {S: displayName},
           imageUrl: {S: imageUrl},
+          email: {S: email},
           ...getPasswordAttributes(request.password),
         });
       } else {
-        [externalId, displayName, imageUrl] = await getExternalLogin(request);
+        let email: ?string;
+        [externalId, displayName, imageUrl, email] = await getExternalLogin(
+          request,
+        );
         const existingUser = await getUserByExternalId(externalId);
         if (existingUser) {
           // if the authenticated user already exists, delete the original user
@@ -487,6 +541,7 @@ export function setup(
           externalId: {S: externalId},
           displayName: {S: displayName},
           imageUrl: {S: imageUrl},
+          ...getEmailAttributes(email),
         });
       }
       const token = await createSession(userId, persistAuthToken);
@@ -506,12 +561,17 @@ export function setup(
 
 async function getExternalLogin(
   request: ExternalLoginRequest,
-): Promise<[string, string, string]> {
+): Promise<[string, string, string, ?string]> {
   if (request.type === 'facebook') {
-    const user = await FB.api('/me?fields=first_name,picture', {
+    const user = await FB.api('/me?fields=first_name,picture,email', {
       access_token: request.accessToken,
     });
-    return [`facebook:${user.id}`, user.first_name, user.picture.data.url];
+    return [
+      `facebook:${user.id}`,
+      user.first_name,
+      user.picture.data.url,
+      user.email,
+    ];
   } else {
     // request.type === 'google'
     const ticket = await googleClient.verifyIdToken({
@@ -519,7 +579,12 @@ async function getExternalLogin(
       audience: GOOGLE_CLIENT_ID,
     });
     const payload = ticket.getPayload();
-    return [`google:${payload.sub}`, payload.given_name, payload.picture];
+    return [
+      `google:${payload.sub}`,
+      payload.given_name,
+      payload.picture,
+      payload.email_verified ? payload.email : null,
+    ];
   }
 }
 
@@ -654,7 +719,7 @@ export function transfer(
         return {type: 'email'};
       }
       let admin = user.admin && user.admin.BOOL;
-      const [externalId, displayName, imageUrl] = await getExternalLogin(
+      const [externalId, displayName, imageUrl, email] = await getExternalLogin(
         request,
       );
       const existingUser = await getUserByExternalId(externalId);
@@ -679,6 +744,7 @@ export function transfer(
         displayName: {S: displayName},
         imageUrl: {S: imageUrl},
         admin: {BOOL: !!admin},
+        ...getEmailAttributes(email),
       });
       return {
         type: 'logged-in',
@@ -750,6 +816,7 @@ export function deleteUser(
     (async request => {
       const session = await requireSession(request.authToken);
       await deleteAllOwnedResources(session.userId.S);
+      await deleteAllResourceShares('userId', session.userId.S);
       await deleteUserItem(session.userId.S);
       await deleteSession(request.authToken);
       return await getAnonymousResponse();
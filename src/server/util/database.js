@@ -5,12 +5,17 @@
  * @flow
  */
 
-import {DynamoDB} from 'aws-sdk';
 import uuid from 'uuid/v1';
 import {SITE_URL} from './handler';
+import {LOCAL_DATA_DIR, LocalDynamoDB} from './local';
 
-/** The shared DynamoDB instance. */
-export const dynamodb = new DynamoDB();
+/**
+ * The shared DynamoDB instance, or its local equivalent if LOCAL_DATA_DIR is
+ * set.  We only require the AWS SDK when we need it.
+ */
+export const dynamodb = LOCAL_DATA_DIR
+  ? new LocalDynamoDB(LOCAL_DATA_DIR)
+  : new (require('aws-sdk')).DynamoDB();
 
 /**
  * Returns the current time in seconds since the epoch.
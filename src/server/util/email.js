@@ -5,11 +5,11 @@
  * @flow
  */
 
-import {SES} from 'aws-sdk';
 import React from 'react';
 import type {Element} from 'react';
 import ReactDOMServer from 'react-dom/server';
 import {IntlProvider} from 'react-intl';
+import {LOCAL_DATA_DIR, LocalSES} from './local';
 
 /** The 'from' email as specified in an environment variable. */
 export const FROM_EMAIL = process.env.FROM_URL || 'noreply@phantasml.com';
@@ -17,8 +17,13 @@ export const FROM_EMAIL = process.env.FROM_URL || 'noreply@phantasml.com';
 /** The configured first admin email. */
 export const FIRST_ADMIN_EMAIL = process.env.FIRST_ADMIN_EMAIL || '';
 
-/** Shared SES instance. */
-export const ses = new SES();
+/**
+ * Shared SES instance, or its local equivalent (which writes to an outbox
+ * directory) if LOCAL_DATA_DIR is set.
+ */
+export const ses = LOCAL_DATA_DIR
+  ? new LocalSES(LOCAL_DATA_DIR)
+  : new (require('aws-sdk')).SES();
 
 export function renderHtml(element: Element<*>, locale: string): string {
   return ReactDOMServer.renderToStaticMarkup(
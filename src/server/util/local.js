@@ -0,0 +1,464 @@
+/**
+ * Local (filesystem) implementations of the storage and mail services, for
+ * running without AWS.  These implement the subset of the DynamoDB, S3 and SES
+ * client interfaces that we use.
+ *
+ * @module server/util/local
+ * @flow
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {promisify} from 'util';
+import crypto, {randomBytes, createHmac} from 'crypto';
+
+/**
+ * The directory in which to store local data, as specified in an environment
+ * variable.  If set, we use the local implementations rather than AWS.
+ */
+export const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || '';
+
+/**
+ * The base URL for local resource content, as specified in an environment
+ * variable.
+ */
+export const LOCAL_CONTENT_URL = process.env.LOCAL_CONTENT_URL || '/content/';
+
+// Flow's library definitions lack timingSafeEqual, so we declare its type here
+const timingSafeEqual: (Buffer, Buffer) => boolean = (crypto: Object)
+  .timingSafeEqual;
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const unlink = promisify(fs.unlink);
+
+/** Mimics the AWS request object, which provides a promise on demand. */
+type LocalRequest<T> = {promise: () => Promise<T>};
+
+function createRequest<T>(fn: () => T | Promise<T>): LocalRequest<T> {
+  return {promise: async () => await fn()};
+}
+
+/** The hash and (optional) range keys of the indices we support. */
+const INDICES: {[string]: {hash: string, range?: string}} = {
+  Email: {hash: 'email'},
+  ExternalId: {hash: 'externalId'},
+  OwnerId: {hash: 'ownerId', range: 'lastOwnerAccessTime'},
+  ResourceId: {hash: 'resourceId'},
+  UserId: {hash: 'userId'},
+};
+
+/** The time-to-live attributes of the tables that have them. */
+const TTL_ATTRIBUTES: {[string]: string} = {
+  Sessions: 'expirationTime',
+};
+
+/**
+ * A DynamoDB stand-in that keeps each table in a JSON file.
+ *
+ * @param directory the directory in which to store the data.
+ */
+export class LocalDynamoDB {
+  _directory: string;
+  _tables: Map<string, Map<string, Object>> = new Map();
+
+  constructor(directory: string) {
+    this._directory = path.join(directory, 'tables');
+  }
+
+  getItem(params: Object): LocalRequest<Object> {
+    return createRequest(() => {
+      const [key, table] = this._getKeyAndTable(params.TableName, params.Key);
+      const item = table.get(key);
+      if (item && this._isExpired(params.TableName, item)) {
+        table.delete(key);
+        this._saveTable(params.TableName);
+        return {};
+      }
+      return {Item: item};
+    });
+  }
+
+  putItem(params: Object): LocalRequest<Object> {
+    return createRequest(() => {
+      const item = removeUndefined(params.Item);
+      const table = this._getTable(params.TableName);
+      table.set(getKey(getKeyAttribute(params.TableName, item)), item);
+      this._saveTable(params.TableName);
+      return {};
+    });
+  }
+
+  updateItem(params: Object): LocalRequest<Object> {
+    return createRequest(() => {
+      const [key, table] = this._getKeyAndTable(params.TableName, params.Key);
+      const item = Object.assign({}, table.get(key) || params.Key);
+      const names = params.ExpressionAttributeNames || {};
+      const values = params.ExpressionAttributeValues || {};
+      const clauses = params.UpdateExpression.split(/\b(SET|REMOVE)\b/);
+      for (let ii = 1; ii < clauses.length; ii += 2) {
+        for (const action of clauses[ii + 1].split(',')) {
+          if (clauses[ii] === 'SET') {
+            const [name, value] = action.split('=').map(part => part.trim());
+            item[names[name] || name] = values[value];
+          } else {
+            const name = action.trim();
+            delete item[names[name] || name];
+          }
+        }
+      }
+      table.set(key, item);
+      this._saveTable(params.TableName);
+      return {};
+    });
+  }
+
+  deleteItem(params: Object): LocalRequest<Object> {
+    return createRequest(() => {
+      const [key, table] = this._getKeyAndTable(params.TableName, params.Key);
+      table.delete(key);
+      this._saveTable(params.TableName);
+      return {};
+    });
+  }
+
+  batchWriteItem(params: Object): LocalRequest<Object> {
+    return createRequest(() => {
+      for (const tableName in params.RequestItems) {
+        const table = this._getTable(tableName);
+        for (const request of params.RequestItems[tableName]) {
+          if (request.DeleteRequest) {
+            table.delete(getKey(request.DeleteRequest.Key));
+          } else if (request.PutRequest) {
+            const item = removeUndefined(request.PutRequest.Item);
+            table.set(getKey(getKeyAttribute(tableName, item)), item);
+          }
+        }
+        this._saveTable(tableName);
+      }
+      return {UnprocessedItems: {}};
+    });
+  }
+
+  query(params: Object): LocalRequest<Object> {
+    return createRequest(() => {
+      const index = INDICES[params.IndexName];
+      if (!index) {
+        throw new Error('Unknown index: ' + params.IndexName);
+      }
+      const match = /^\s*(\w+)\s*=\s*(:\w+)\s*$/.exec(
+        params.KeyConditionExpression,
+      );
+      if (!match || match[1] !== index.hash) {
+        throw new Error(
+          'Unsupported key condition: ' + params.KeyConditionExpression,
+        );
+      }
+      const value = getValue(params.ExpressionAttributeValues[match[2]]);
+      const table = this._getTable(params.TableName);
+      let items = Array.from(table.values()).filter(
+        item =>
+          !this._isExpired(params.TableName, item) &&
+          getValue(item[index.hash]) === value,
+      );
+      const range = index.range;
+      if (range) {
+        const direction = params.ScanIndexForward === false ? -1 : 1;
+        items.sort(
+          (a, b) =>
+            direction *
+            (Number(getValue(a[range])) - Number(getValue(b[range]))),
+        );
+      }
+      if (params.ExclusiveStartKey) {
+        const startKey = getKey(params.ExclusiveStartKey);
+        const keyAttribute = Object.keys(params.ExclusiveStartKey)[0];
+        const startIndex = items.findIndex(
+          item => getValue(item[keyAttribute]) === startKey,
+        );
+        items = items.slice(startIndex + 1);
+      }
+      let LastEvaluatedKey: ?Object;
+      if (params.Limit && items.length > params.Limit) {
+        items = items.slice(0, params.Limit);
+        LastEvaluatedKey = getKeyAttribute(
+          params.TableName,
+          items[items.length - 1],
+        );
+      }
+      if (params.ProjectionExpression) {
+        const names = params.ProjectionExpression.split(',').map(name =>
+          name.trim(),
+        );
+        items = items.map(item => {
+          const projected = {};
+          for (const name of names) {
+            item[name] !== undefined && (projected[name] = item[name]);
+          }
+          return projected;
+        });
+      }
+      return {Items: items, Count: items.length, LastEvaluatedKey};
+    });
+  }
+
+  _getKeyAndTable(
+    tableName: string,
+    key: Object,
+  ): [string, Map<string, Object>] {
+    return [getKey(key), this._getTable(tableName)];
+  }
+
+  _isExpired(tableName: string, item: Object): boolean {
+    const attribute = TTL_ATTRIBUTES[tableName];
+    const value = attribute && item[attribute];
+    return !!value && Number(getValue(value)) < Date.now() / 1000;
+  }
+
+  _getTable(tableName: string): Map<string, Object> {
+    let table = this._tables.get(tableName);
+    if (!table) {
+      table = new Map();
+      const filename = this._getTableFilename(tableName);
+      if (fs.existsSync(filename)) {
+        const json = JSON.parse(
+          fs.readFileSync(filename, 'utf8'),
+          reviveBuffer,
+        );
+        for (const key in json) {
+          table.set(key, json[key]);
+        }
+      }
+      this._tables.set(tableName, table);
+    }
+    return table;
+  }
+
+  _saveTable(tableName: string) {
+    const table = this._tables.get(tableName);
+    if (!table) {
+      return;
+    }
+    const json = {};
+    for (const [key, item] of table) {
+      json[key] = item;
+    }
+    // write synchronously to a temporary file and rename, so that a crash
+    // never leaves a partial table
+    makeDirectory(this._directory);
+    const filename = this._getTableFilename(tableName);
+    fs.writeFileSync(filename + '.tmp', JSON.stringify(json));
+    fs.renameSync(filename + '.tmp', filename);
+  }
+
+  _getTableFilename(tableName: string): string {
+    return path.join(this._directory, tableName + '.json');
+  }
+}
+
+/**
+ * An S3 stand-in that stores objects as files in a directory.  Signed URLs
+ * refer to the content endpoint at LOCAL_CONTENT_URL.
+ *
+ * @param directory the directory in which to store the data.
+ */
+export class LocalS3 {
+  _directory: string;
+  _secret: ?Buffer;
+
+  constructor(directory: string) {
+    this._directory = directory;
+  }
+
+  getObject(params: Object): LocalRequest<Object> {
+    return createRequest(async () => {
+      return {Body: await readFile(this._getObjectFilename(params.Key))};
+    });
+  }
+
+  putObject(params: Object): LocalRequest<Object> {
+    return createRequest(async () => {
+      const filename = this._getObjectFilename(params.Key);
+      makeDirectory(path.dirname(filename));
+      await writeFile(filename, params.Body);
+      return {};
+    });
+  }
+
+  deleteObject(params: Object): LocalRequest<Object> {
+    return createRequest(async () => {
+      await this._deleteObject(params.Key);
+      return {};
+    });
+  }
+
+  deleteObjects(params: Object): LocalRequest<Object> {
+    return createRequest(async () => {
+      await Promise.all(
+        params.Delete.Objects.map(object => this._deleteObject(object.Key)),
+      );
+      return {};
+    });
+  }
+
+  getSignedUrl(
+    operation: string,
+    params: Object,
+    callback: (?Error, string) => void,
+  ) {
+    const SIGNED_URL_DURATION = 15 * 60;
+    const expires = String(Math.round(Date.now() / 1000) + SIGNED_URL_DURATION);
+    const signature = this._getSignature(operation, params.Key, expires);
+    callback(
+      null,
+      `${LOCAL_CONTENT_URL}${encodeURIComponent(params.Key)}` +
+        `?operation=${operation}&expires=${expires}` +
+        `&signature=${encodeURIComponent(signature)}`,
+    );
+  }
+
+  /**
+   * Checks the parameters of a signed URL.
+   *
+   * @param operation the requested operation ('getObject' or 'putObject').
+   * @param key the object key.
+   * @param expires the expiration time in seconds since the epoch.
+   * @param signature the signature to verify.
+   * @return whether or not the signature is valid and unexpired.
+   */
+  verifySignature(
+    operation: string,
+    key: string,
+    expires: string,
+    signature: string,
+  ): boolean {
+    if (!(Number(expires) >= Date.now() / 1000)) {
+      return false;
+    }
+    // compare in constant time so as not to reveal the expected signature
+    const expected = Buffer.from(this._getSignature(operation, key, expires));
+    const actual = Buffer.from(signature);
+    return (
+      actual.length === expected.length && timingSafeEqual(actual, expected)
+    );
+  }
+
+  _getSignature(operation: string, key: string, expires: string): string {
+    const hmac = createHmac('sha256', this._getSecret());
+    hmac.update(`${operation}\n${key}\n${expires}`);
+    return hmac.digest('base64');
+  }
+
+  _getSecret(): Buffer {
+    let secret = this._secret;
+    if (!secret) {
+      const filename = path.join(this._directory, 'secret');
+      if (fs.existsSync(filename)) {
+        secret = fs.readFileSync(filename);
+      } else {
+        secret = randomBytes(32);
+        makeDirectory(this._directory);
+        fs.writeFileSync(filename, secret);
+      }
+      this._secret = secret;
+    }
+    return secret;
+  }
+
+  async _deleteObject(key: string): Promise<void> {
+    try {
+      await unlink(this._getObjectFilename(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  _getObjectFilename(key: string): string {
+    // keys are URL-safe already, but make sure they can't escape
+    return path.join(this._directory, 'content', encodeURIComponent(key));
+  }
+}
+
+/**
+ * An SES stand-in that writes messages to an outbox directory.
+ *
+ * @param directory the directory in which to store the data.
+ */
+export class LocalSES {
+  _directory: string;
+
+  constructor(directory: string) {
+    this._directory = path.join(directory, 'outbox');
+  }
+
+  sendEmail(params: Object): LocalRequest<Object> {
+    return createRequest(async () => {
+      const MessageId = await this._writeMessage(
+        '.json',
+        JSON.stringify(params, null, 2),
+      );
+      return {MessageId};
+    });
+  }
+
+  sendRawEmail(params: Object): LocalRequest<Object> {
+    return createRequest(async () => {
+      const MessageId = await this._writeMessage(
+        '.eml',
+        params.RawMessage.Data,
+      );
+      return {MessageId};
+    });
+  }
+
+  async _writeMessage(extension: string, data: string): Promise<string> {
+    const id = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+    makeDirectory(this._directory);
+    await writeFile(path.join(this._directory, id + extension), data);
+    return id;
+  }
+}
+
+function makeDirectory(directory: string) {
+  if (!fs.existsSync(directory)) {
+    makeDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+  }
+}
+
+function getKeyAttribute(tableName: string, item: Object): Object {
+  const name = tableName === 'Sessions' ? 'token' : 'id';
+  return {[name]: item[name]};
+}
+
+function getKey(key: Object): string {
+  for (const name in key) {
+    return String(getValue(key[name]));
+  }
+  throw new Error('Empty key');
+}
+
+function getValue(attribute: ?Object): mixed {
+  if (!attribute) {
+    return undefined;
+  }
+  for (const type in attribute) {
+    return attribute[type];
+  }
+}
+
+function removeUndefined(item: Object): Object {
+  const result = {};
+  for (const key in item) {
+    item[key] !== undefined && (result[key] = item[key]);
+  }
+  return result;
+}
+
+function reviveBuffer(key: string, value: any): any {
+  return value && value.type === 'Buffer' && Array.isArray(value.data)
+    ? Buffer.from(value.data)
+    : value;
+}
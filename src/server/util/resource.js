@@ -5,10 +5,13 @@
  * @flow
  */
 
-import {S3} from 'aws-sdk';
 import {dynamodb, updateItem} from './database';
+import {LOCAL_DATA_DIR, LocalS3} from './local';
 
-export const s3 = new S3();
+/** The shared S3 instance, or its local equivalent if LOCAL_DATA_DIR is set. */
+export const s3 = LOCAL_DATA_DIR
+  ? new LocalS3(LOCAL_DATA_DIR)
+  : new (require('aws-sdk')).S3();
 
 /** The bucket in which we store resources. */
 export const RESOURCE_BUCKET =
@@ -51,6 +54,7 @@ export async function deleteAllOwnedResources(userId: string): Promise<void> {
           },
         })
         .promise(),
+      ...items.map(item => deleteAllResourceShares('resourceId', item.id.S)),
       s3
         .deleteObjects({
           Bucket: RESOURCE_BUCKET,
@@ -64,6 +68,48 @@ export async function deleteAllOwnedResources(userId: string): Promise<void> {
   });
 }
 
+/**
+ * Deletes all share records for a resource or user.
+ *
+ * @param attribute the attribute to match: resourceId to delete the shares of a
+ * resource, userId to delete the shares granted to a user.
+ * @param value the id of the resource or user.
+ * @return a promise that will resolve when finished.
+ */
+export async function deleteAllResourceShares(
+  attribute: 'resourceId' | 'userId',
+  value: string,
+): Promise<void> {
+  let ExclusiveStartKey: ?Object;
+  do {
+    const BATCH_WRITE_LIMIT = 25;
+    const shares = await dynamodb
+      .query({
+        TableName: 'ResourceShares',
+        IndexName: attribute === 'resourceId' ? 'ResourceId' : 'UserId',
+        Select: 'SPECIFIC_ATTRIBUTES',
+        KeyConditionExpression: `${attribute} = :v1`,
+        ExpressionAttributeValues: {':v1': {S: value}},
+        Limit: BATCH_WRITE_LIMIT,
+        ProjectionExpression: 'id',
+        ExclusiveStartKey,
+      })
+      .promise();
+    if (shares.Items.length > 0) {
+      await dynamodb
+        .batchWriteItem({
+          RequestItems: {
+            ResourceShares: shares.Items.map(item => ({
+              DeleteRequest: {Key: {id: item.id}},
+            })),
+          },
+        })
+        .promise();
+    }
+    ExclusiveStartKey = shares.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+}
+
 async function forAllOwnedResources(
   userId: string,
   op: (Object[]) => Promise<void>,
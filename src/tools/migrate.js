@@ -6,6 +6,7 @@
  */
 
 import {getUserByExternalId, inviteEmail} from '../server/user';
+import {LOCAL_DATA_DIR} from '../server/util/local';
 
 /**
  * Performs all necessary migrations, including creating and seeding tables.
@@ -26,5 +27,8 @@ export default async function migrate(
   if (!firstAdmin) {
     console.log('Creating and sending initial admin invite');
     await inviteEmail(firstAdminEmail, 'en-US', true, fromEmail, siteUrl);
+    if (LOCAL_DATA_DIR) {
+      console.log(`Invite written to ${LOCAL_DATA_DIR}/outbox`);
+    }
   }
 }
@@ -0,0 +1,199 @@
+/**
+ * Command line script to check the penetrations reported by the colliders
+ * against known values: `node penetration.js`.
+ *
+ * @module tools/penetration
+ * @flow
+ */
+
+import {Simulation} from '../client/simulation';
+import {ComponentColliders} from '../client/collision/colliders';
+import {getWorldTransform} from '../server/store/scene';
+import {getCollisionGeometry} from '../server/store/geometry';
+import type {Vector2, Transform} from '../server/store/math';
+import {
+  vec2,
+  composeTransforms,
+  invertTransform,
+  distance,
+} from '../server/store/math';
+
+/** A penetration to check. */
+type PenetrationCase = {
+  description: string,
+  collider: Object,
+  shape: Object,
+  transform: Transform,
+  expected: Vector2,
+};
+
+/** The result of checking a penetration. */
+export type PenetrationResult = {
+  description: string,
+  expected: Vector2,
+  actual: Vector2,
+};
+
+const FILLED_BOX = {
+  rectangle: {width: 2, height: 2, fill: true},
+  shapeCollider: {},
+};
+const OUTLINED_BOX = {rectangle: {width: 2, height: 2}, shapeCollider: {}};
+const LINE = {line: {length: 4}, shapeCollider: {}};
+const TRIANGLE = {
+  polygon: {
+    vertices: [{x: -1, y: -1}, {x: 1, y: -1}, {x: 0, y: 1}],
+    fill: true,
+  },
+  shapeCollider: {},
+};
+const CIRCLE = {arc: {radius: 1, fill: true}, shapeCollider: {}};
+const POINT = {point: {}, pointCollider: {}};
+
+// the penetrations of the shapes (at the given transforms) into the colliders
+// (at the origin), as reported by the original penetration routines
+const CASES: PenetrationCase[] = [
+  {
+    description: 'filled boxes overlapping',
+    collider: FILLED_BOX,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 1.5, y: 0.25}},
+    expected: {x: -0.9, y: 0},
+  },
+  {
+    description: 'filled boxes separated',
+    collider: FILLED_BOX,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 3, y: 0}},
+    expected: {x: 0, y: 0},
+  },
+  {
+    description: 'filled boxes corner to corner',
+    collider: FILLED_BOX,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 2.1, y: 2.1}},
+    expected: {x: -0.182843, y: -0.182843},
+  },
+  {
+    description: 'rotated filled box beyond a corner',
+    collider: FILLED_BOX,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 2, y: 2.5}, rotation: 0.3},
+    expected: {x: 0, y: 0},
+  },
+  {
+    description: 'rotated filled box on filled box',
+    collider: FILLED_BOX,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 0.5, y: 2.2}, rotation: 0.5},
+    expected: {x: 0, y: -0.107188},
+  },
+  {
+    description: 'outlined boxes overlapping',
+    collider: OUTLINED_BOX,
+    shape: OUTLINED_BOX,
+    transform: {translation: {x: 1.5, y: 0.5}},
+    expected: {x: 0, y: 0.9},
+  },
+  {
+    description: 'filled box on line',
+    collider: LINE,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 1, y: 0.9}},
+    expected: {x: 0, y: -0.5},
+  },
+  {
+    description: 'lines crossing',
+    collider: LINE,
+    shape: LINE,
+    transform: {translation: {x: 1, y: 0.5}, rotation: 1.5},
+    expected: {x: 0, y: 1.43286},
+  },
+  {
+    description: 'triangle on filled box',
+    collider: FILLED_BOX,
+    shape: TRIANGLE,
+    transform: {translation: {x: 0.5, y: 1.8}},
+    expected: {x: 0, y: -0.6},
+  },
+  {
+    description: 'circle on filled box',
+    collider: FILLED_BOX,
+    shape: CIRCLE,
+    transform: {translation: {x: 1.5, y: 1.5}},
+    expected: {x: -0.648511, y: 0},
+  },
+  {
+    description: 'filled box on circle',
+    collider: CIRCLE,
+    shape: FILLED_BOX,
+    transform: {translation: {x: -1.2, y: 1.4}, rotation: 0.3},
+    expected: {x: -0.192834, y: -0.623381},
+  },
+  {
+    description: 'filled box on point',
+    collider: POINT,
+    shape: FILLED_BOX,
+    transform: {translation: {x: 0.2, y: 1.05}},
+    expected: {x: 0, y: -0.35},
+  },
+];
+
+/**
+ * Checks the penetrations of various shapes into various colliders.
+ *
+ * @return the results of the checks.
+ */
+export default function checkPenetrations(): PenetrationResult[] {
+  return CASES.map(({description, collider, shape, transform, expected}) => {
+    const simulation = new Simulation({
+      entities: {
+        default: {},
+        collider: {parent: {ref: 'default'}, ...collider},
+        shape: {parent: {ref: 'default'}, transform, ...shape},
+      },
+    });
+    const scene = simulation.scene;
+    const colliderEntity = scene.getEntity('collider');
+    const shapeEntity = scene.getEntity('shape');
+    const actual = vec2();
+    const geometry =
+      shapeEntity && getCollisionGeometry(scene.idTree, shapeEntity);
+    if (colliderEntity && shapeEntity && geometry) {
+      const relativeTransform = composeTransforms(
+        invertTransform(getWorldTransform(scene.getEntityLineage(shapeEntity))),
+        getWorldTransform(scene.getEntityLineage(colliderEntity)),
+      );
+      for (const key in colliderEntity.state) {
+        const componentCollider = ComponentColliders[key];
+        if (componentCollider) {
+          componentCollider.getShapePenetration(
+            scene.idTree,
+            colliderEntity,
+            geometry,
+            relativeTransform,
+            actual,
+          );
+        }
+      }
+    }
+    return {description, expected, actual};
+  });
+}
+
+if (require.main === module) {
+  let failed = false;
+  for (const {description, expected, actual} of checkPenetrations()) {
+    const result = `(${actual.x.toFixed(6)}, ${actual.y.toFixed(6)})`;
+    if (distance(expected, actual) > 0.00001) {
+      console.error(
+        `${description}: expected (${expected.x}, ${expected.y}), ` +
+          `got ${result}`,
+      );
+      failed = true;
+    } else {
+      console.log(`${description}: ${result}`);
+    }
+  }
+  failed && process.exit(1);
+}
@@ -0,0 +1,267 @@
+/**
+ * Command line script to check the JavaScript versions of the SBRRN models:
+ * `node sbrrn.js`.  Where WebGL is available (that is, in a browser), the
+ * checks also compare the JavaScript rules with those of the shaders.
+ *
+ * @module tools/sbrrn
+ * @flow
+ */
+
+import type {SbrrnData, SbrrnType} from '../client/models/sbrrn';
+import {BaseSbrrn, CpuSbrrn, createSbrrn} from '../client/models/sbrrn';
+
+/** The result of a check: an error message if it failed. */
+export type SbrrnCheckResult = {
+  description: string,
+  error: ?string,
+};
+
+// the types of model to check
+const TYPES: SbrrnType[] = ['sbrrn', 'sbrrn2'];
+
+// the rewards to grant on successive steps
+const REWARDS = [0.0, 1.0, 0.0, -0.5, 2.0, 0.0, -1.0, 0.25];
+
+// the probability limit and history decay rate for the rule checks
+const PROBABILITY_LIMIT = 6.0;
+const HISTORY_DECAY_RATE = 0.1;
+
+// the input cells of each cell in a two-by-one model
+const TWO_BY_ONE_INPUTS = [[0, 1], [1, 1]];
+
+/**
+ * Runs the SBRRN checks.
+ *
+ * @param [canvas] a canvas to use for the WebGL comparison, which is skipped
+ * if not given.
+ * @return the results of the checks.
+ */
+export default function checkSbrrn(
+  canvas?: ?HTMLCanvasElement,
+): SbrrnCheckResult[] {
+  const results = [];
+  const check = (description: string, fn: () => ?string) => {
+    let error: ?string;
+    try {
+      error = fn();
+    } catch (e) {
+      error = String(e);
+    }
+    results.push({description, error});
+  };
+  for (const type of TYPES) {
+    check(`${type} models with the same seed match`, () => {
+      const first = createCpuModel(type, 16, 16, 1);
+      const second = createCpuModel(type, 16, 16, 1);
+      runSteps(first, 50);
+      runSteps(second, 50);
+      return compareData(first.getData(), second.getData());
+    });
+    check(`${type} models with different seeds differ`, () => {
+      const first = createCpuModel(type, 16, 16, 1);
+      const second = createCpuModel(type, 16, 16, 2);
+      return compareData(first.getData(), second.getData())
+        ? null
+        : 'models are identical';
+    });
+    check(`${type} models survive a JSON round trip`, () => {
+      const model = createCpuModel(type, 16, 8, 3);
+      runSteps(model, 30);
+      const json = JSON.parse(JSON.stringify(model.toJSON()));
+      const restored = BaseSbrrn.fromJSON(json, 'cpu');
+      const error = compareData(model.getData(), restored.getData());
+      if (error) {
+        return error;
+      }
+      // the restored model should carry on exactly as the original would
+      runSteps(model, 30);
+      runSteps(restored, 30);
+      return compareData(model.getData(), restored.getData());
+    });
+    check(`${type} models reject incompatible JSON`, () => {
+      const json = createCpuModel(type, 16, 8, 3).toJSON();
+      try {
+        createCpuModel(type, 8, 8, 3).loadJSON(json);
+      } catch (error) {
+        return null;
+      }
+      return 'loaded state of different dimensions';
+    });
+  }
+  check('sbrrn history records decisions', () => {
+    const model = createCpuModel('sbrrn', 2, 1, 4);
+    const expected = new Float32Array(32);
+    for (let step = 0; step < 20; step++) {
+      const states = model.getData().states;
+      model.step(0.0);
+      const nextStates = model.getData().states;
+      for (let ii = 0; ii < 2; ii++) {
+        const [input1, input2] = TWO_BY_ONE_INPUTS[ii].map(index =>
+          states[index] ? 1 : 0,
+        );
+        const self = states[ii] ? 1 : 0;
+        const decision =
+          (self * 4 + input1 * 2 + input2) * 2 + (nextStates[ii] ? 1 : 0);
+        for (let jj = 0; jj < 16; jj++) {
+          const index = ii * 16 + jj;
+          expected[index] +=
+            ((jj === decision ? 1.0 : 0.0) - expected[index]) *
+            HISTORY_DECAY_RATE;
+        }
+      }
+    }
+    return compareArrays('history', model.getData().history, expected);
+  });
+  check('sbrrn positive reward reinforces recent decisions', () =>
+    compareArrays(
+      'probabilities',
+      applyReward([0.75, 0.25, 0.95, 0.5], [0.2, 0.6, 0.6, 0.2, 0, 1, 0, 0], 2),
+      // raw values: 3 + 2 * 0.4, -3 - 2 * 0.4, 5.4 + 2 (clamped to 6), 0
+      [3.8 / 12 + 0.5, -3.8 / 12 + 0.5, 1.0, 0.5],
+    ),
+  );
+  check('sbrrn punishment reverts to the center', () =>
+    compareArrays(
+      'probabilities',
+      applyReward(
+        [0.75, 0.25, 0.55, 0.5],
+        [0.2, 0.6, 0.6, 0.2, 0.5, 0.5, 0, 0],
+        -1,
+      ),
+      // raw values: 3 - 0.8, -3 + 0.8, 0.6 - 1 (stopping at 0), 0
+      [2.2 / 12 + 0.5, -2.2 / 12 + 0.5, 0.5, 0.5],
+    ),
+  );
+  if (canvas) {
+    const shaderCanvas = canvas;
+    for (const type of TYPES) {
+      check(`${type} rewards match those of the shaders`, () =>
+        compareBackends(type, shaderCanvas),
+      );
+    }
+  }
+  return results;
+}
+
+function createCpuModel(
+  type: SbrrnType,
+  width: number,
+  height: number,
+  seed: number,
+): BaseSbrrn {
+  return createSbrrn(type, {
+    width,
+    height,
+    probabilityLimit: PROBABILITY_LIMIT,
+    historyDecayRate: HISTORY_DECAY_RATE,
+    backend: 'cpu',
+    seed,
+  });
+}
+
+function runSteps(model: BaseSbrrn, count: number) {
+  for (let ii = 0; ii < count; ii++) {
+    model.step(REWARDS[ii % REWARDS.length]);
+  }
+}
+
+/**
+ * Applies a reward to the first probabilities of a one-cell model.
+ *
+ * @param probabilities the initial probabilities.
+ * @param history the initial history sums, two for each probability.
+ * @param reward the reward to apply.
+ * @return the resulting probabilities.
+ */
+function applyReward(
+  probabilities: number[],
+  history: number[],
+  reward: number,
+): Float32Array {
+  const model = new CpuSbrrn({
+    width: 1,
+    height: 1,
+    probabilityLimit: PROBABILITY_LIMIT,
+    seed: 5,
+  });
+  const data = model.getData();
+  data.probabilities.set(probabilities);
+  data.history && data.history.set(history);
+  model.setData(data);
+  model.step(reward);
+  return model.getData().probabilities.slice(0, probabilities.length);
+}
+
+/**
+ * Compares the reward rules of the JavaScript model with those of the
+ * shaders.  The rules are applied at the start of each step, so starting from
+ * the same data, the probabilities after one step should match.
+ *
+ * @param type the type of model to compare.
+ * @param canvas the canvas to use for the WebGL model.
+ * @return an error message, if the rules differ.
+ */
+function compareBackends(type: SbrrnType, canvas: HTMLCanvasElement): ?string {
+  const model = createCpuModel(type, 16, 16, 6);
+  runSteps(model, 20);
+  const data = model.getData();
+  const options = {...model.options, backend: 'webgl'};
+  const shaderModel = createSbrrn(type, options, canvas);
+  try {
+    shaderModel.setData(data);
+    model.step(1.0);
+    shaderModel.step(1.0);
+    // allow for the quantization of byte textures
+    return compareArrays(
+      'probabilities',
+      shaderModel.getData().probabilities,
+      model.getData().probabilities,
+      1.0 / 255,
+    );
+  } finally {
+    shaderModel.dispose();
+  }
+}
+
+function compareData(first: SbrrnData, second: SbrrnData): ?string {
+  for (const key of ['states', 'probabilities', 'noise', 'history']) {
+    const error = compareArrays(key, first[key], second[key]);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+function compareArrays(
+  name: string,
+  actual: ?($ReadOnlyArray<number> | $TypedArray),
+  expected: ?($ReadOnlyArray<number> | $TypedArray),
+  tolerance: number = 0.000001,
+): ?string {
+  if (!(actual && expected)) {
+    return actual || expected ? `${name} missing` : null;
+  }
+  if (actual.length !== expected.length) {
+    return `${name} length ${actual.length}, expected ${expected.length}`;
+  }
+  for (let ii = 0; ii < actual.length; ii++) {
+    if (!(Math.abs(actual[ii] - expected[ii]) <= tolerance)) {
+      return `${name}[${ii}] ${actual[ii]}, expected ${expected[ii]}`;
+    }
+  }
+  return null;
+}
+
+if (require.main === module) {
+  let failed = false;
+  for (const {description, error} of checkSbrrn()) {
+    if (error) {
+      console.error(`${description}: ${error}`);
+      failed = true;
+    } else {
+      console.log(`${description}: passed`);
+    }
+  }
+  failed && process.exit(1);
+}
@@ -0,0 +1,88 @@
+/**
+ * Command line script to check that bodies dropped onto a floor come to rest:
+ * `node settle.js [frames]`.
+ *
+ * @module tools/settle
+ * @flow
+ */
+
+import {Simulation} from '../client/simulation';
+
+/** The result of dropping a body onto the floor. */
+export type SettleResult = {
+  description: string,
+  restFrame: ?number,
+};
+
+// the heights from which to drop, the initial rotations, and the shape fills
+const HEIGHTS = [0, 5, 20];
+const ROTATIONS = [0, 0.1, 0.5, 1.0];
+const FILLS = [false, true];
+
+/**
+ * Drops boxes of various kinds from various heights onto a floor and records
+ * the frames at which they fall asleep.
+ *
+ * @param frames the maximum number of frames to simulate for each drop.
+ * @return the results of the drops, with null rest frames for bodies that
+ * never came to rest.
+ */
+export default function settle(frames: number): SettleResult[] {
+  const results = [];
+  for (const fill of FILLS) {
+    for (const height of HEIGHTS) {
+      for (const rotation of ROTATIONS) {
+        const parent = {ref: 'default'};
+        const simulation = new Simulation({
+          entities: {
+            default: {gravity: {}},
+            floor: {
+              parent,
+              transform: {translation: {x: 0, y: -5}},
+              rectangle: {width: 40, height: 1, fill},
+              shapeCollider: {},
+              rigidBody: {},
+            },
+            box: {
+              parent,
+              transform: {translation: {x: 0, y: height}, rotation},
+              rectangle: {width: 1, height: 1, fill},
+              shapeCollider: {},
+              rigidBody: {dynamic: true},
+            },
+          },
+        });
+        let restFrame: ?number;
+        while (simulation.frame < frames) {
+          simulation.step();
+          const box = simulation.scene.getEntity('box');
+          if (box && box.state.rigidBody.asleep) {
+            restFrame = simulation.frame;
+            break;
+          }
+        }
+        results.push({
+          description:
+            `${fill ? 'filled' : 'outlined'} box at height ${height}, ` +
+            `rotation ${rotation}`,
+          restFrame,
+        });
+      }
+    }
+  }
+  return results;
+}
+
+if (require.main === module) {
+  const [frames] = process.argv.slice(2);
+  let failed = false;
+  for (const result of settle(parseInt(frames || '900'))) {
+    if (result.restFrame == null) {
+      console.error(`${result.description}: never came to rest`);
+      failed = true;
+    } else {
+      console.log(`${result.description}: rested at ${result.restFrame}`);
+    }
+  }
+  failed && process.exit(1);
+}
@@ -0,0 +1,44 @@
+/**
+ * Command line script to run a headless simulation of a saved scene and print
+ * the result: `node simulate.js scene.json [frames] [seed] [type]`.
+ *
+ * @module tools/simulate
+ * @flow
+ */
+
+import fs from 'fs';
+import {Simulation} from '../client/simulation';
+
+/**
+ * Loads a scene from a file, simulates it, and returns the resulting JSON.
+ *
+ * @param filename the name of the file containing the scene JSON.
+ * @param frames the number of frames to simulate.
+ * @param [seed=0] the random seed to use.
+ * @param [type='environment'] the type of the scene.
+ * @return the JSON representation of the final scene state.
+ */
+export default function simulate(
+  filename: string,
+  frames: number,
+  seed: number = 0,
+  type: string = 'environment',
+): Object {
+  const json = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  return new Simulation(json, {type: (type: any), seed}).step(frames).toJSON();
+}
+
+if (require.main === module) {
+  const [filename, frames, seed, type] = process.argv.slice(2);
+  if (!filename) {
+    console.error('Usage: simulate.js scene.json [frames] [seed] [type]');
+    process.exit(1);
+  }
+  const result = simulate(
+    filename,
+    parseInt(frames || '60'),
+    parseInt(seed || '0'),
+    type,
+  );
+  console.log(JSON.stringify(result, null, 2));
+}